@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { changedRanges } = require('../utils/diff');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+// A ruff on PATH: `format` spaces out `=`, `check --fix` drops `import os`
+const bin = tempDir();
+fs.writeFileSync(path.join(bin, 'ruff'), [
+  '#!/usr/bin/env node',
+  "const fs = require('fs');",
+  'const file = process.argv[process.argv.length - 1];',
+  "const source = fs.readFileSync(file, 'utf8');",
+  "if (process.argv[2] === 'format') fs.writeFileSync(file, source.replace(/\\b=\\b/g, ' = '));",
+  "else fs.writeFileSync(file, source.replace('import os\\n', '')), console.log('[]');",
+  '',
+].join('\n'), { mode: 0o755 });
+process.env.PATH = [bin, process.env.PATH].join(path.delimiter);
+
+test('changed ranges give line numbers before and after, an empty side naming the line before', () => {
+  const before = ['a', 'b', 'c', 'd', 'e', ''].join('\n');
+  const after = ['a', 'B', 'c', 'e', 'f', 'g', ''].join('\n');
+  assert.deepStrictEqual(changedRanges(before, after), [
+    { oldStart: 2, oldLines: 1, newStart: 2, newLines: 1 },
+    { oldStart: 4, oldLines: 1, newStart: 3, newLines: 0 },
+    { oldStart: 5, oldLines: 0, newStart: 5, newLines: 2 },
+  ]);
+  assert.deepStrictEqual(changedRanges(before, before), []);
+});
+
+test('format and lint each report their changes and are timed apart for the same tool', () => {
+  const home = tempDir();
+  const root = tempDir();
+  const source = ['import os', 'import sys', '', 'x=1', 'y=2', 'print(sys.argv)', ''].join('\n');
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    'pyproject.toml': '[tool.ruff]\nline-length = 100\n',
+    '.agent/policies/format.json': { lint: { enabled: true } },
+    'app.py': source
+  });
+  const filePath = path.join(root, 'app.py');
+  const run = () => runHook('auto-format.js', { tool_input: { file_path: filePath } }, home).output.hookSpecificOutput;
+
+  const output = run();
+  assert.strictEqual(output.formatter, 'ruff');
+  assert.deepStrictEqual(output.changes.ranges, [{ oldStart: 4, oldLines: 2, newStart: 4, newLines: 2 }]);
+  assert.strictEqual(output.changes.summary, '+2 -2 lines in 1 place(s): lines 4-5');
+  assert.notStrictEqual(output.changes.hashBefore, output.changes.hashAfter);
+  assert.deepStrictEqual(output.lint.changes.ranges, [{ oldStart: 1, oldLines: 1, newStart: 0, newLines: 0 }]);
+  assert.strictEqual(output.lint.changes.summary, '+0 -1 lines in 1 place(s): 1 line(s) deleted at the top');
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), ['import sys', '', 'x = 1', 'y = 2', 'print(sys.argv)', ''].join('\n'));
+
+  assert.deepStrictEqual(Object.keys(output.timing).sort(), ['format', 'lint']);
+  assert.deepStrictEqual(Object.keys(output.timing.format), ['ruff']);
+  assert.deepStrictEqual(Object.keys(output.timing.lint), ['ruff']);
+
+  // A second run changes nothing and adds one run per operation
+  const again = run();
+  assert.deepStrictEqual(again.changes, { changed: false, hash: output.lint.changes.hashAfter });
+  assert.strictEqual(again.lint.changes.changed, false);
+  const timings = JSON.parse(fs.readFileSync(path.join(home, '.claude', 'kailash-learning', 'format-timings.json'), 'utf8'));
+  assert.deepStrictEqual([timings.format.ruff.runs, timings.lint.ruff.runs], [2, 2]);
+});
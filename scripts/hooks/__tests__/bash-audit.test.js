@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+const AUDIT_SCRIPT = path.join(__dirname, '..', '..', 'learning', 'bash-audit.js');
+
+const auditDir = home => path.join(home, '.claude', 'kailash-learning');
+
+/**
+ * Run the bash-audit query CLI against the learning dir `dir`
+ */
+function query(dir, ...args) {
+  const result = spawnSync(process.execPath, [AUDIT_SCRIPT, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, KAILASH_LEARNING_DIR: dir },
+    timeout: 10000
+  });
+  return { status: result.status, output: result.status === 0 ? JSON.parse(result.stdout) : null, stderr: result.stderr };
+}
+
+const entry = (timestamp, session_id, verdict, rule) =>
+  JSON.stringify({ timestamp, session_id, cwd: '/p', command: 'ls', verdict, rule: rule ? { id: rule } : null, message: null });
+
+test('the audit log never stores a detected secret, however it is quoted', () => {
+  const commands = [
+    ['mysql -u root -psecretpw db', 'mysql -u root -p**** db', 'secretpw'],
+    ['export API_KEY=hunter2"hunter2" && echo ok', 'export API_KEY=**** && echo ok', 'hunter2'],
+    ["curl -u 'bob:s3cr'\\''etpw' https://example.com", 'curl -u bob:**** https://example.com', 's3cr'],
+  ];
+  for (const [command, logged, secret] of commands) {
+    const home = tempDir();
+    const { output } = runHook('validate-bash-command.js', { session_id: 's1', tool_input: { command }, cwd: home }, home);
+    assert.strictEqual(output.hookSpecificOutput.rule.id, 'inline-secret', command);
+
+    const log = fs.readFileSync(path.join(auditDir(home), 'bash-audit.jsonl'), 'utf8');
+    assert.strictEqual(JSON.parse(log).command, logged);
+    assert.ok(!log.includes(secret), `${command}: secret in the audit log`);
+  }
+});
+
+test('a full log is archived before the next entry and still queried in order', () => {
+  const home = tempDir();
+  const line = entry('2026-01-01T00:00:00.000Z', 'old', 'allow') + '\n';
+  writeFiles(auditDir(home), { 'bash-audit.jsonl': line.repeat(Math.ceil(5 * 1024 * 1024 / line.length)) });
+
+  runHook('validate-bash-command.js', { session_id: 'new', tool_input: { command: 'ls' }, cwd: home }, home);
+  const archives = fs.readdirSync(path.join(auditDir(home), 'bash-audit.archive'));
+  assert.strictEqual(archives.length, 1);
+  assert.match(archives[0], /^bash-audit_\d+\.jsonl$/);
+  const active = fs.readFileSync(path.join(auditDir(home), 'bash-audit.jsonl'), 'utf8').trim().split('\n');
+  assert.deepStrictEqual(active.map(l => JSON.parse(l).session_id), ['new']);
+
+  const { output } = query(auditDir(home), '--limit', '2');
+  assert.deepStrictEqual(output.map(e => e.session_id), ['old', 'new']);
+});
+
+test('the query CLI filters by session, verdict, rule and inclusive dates', () => {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'bash-audit.archive/bash-audit_1.jsonl': entry('2026-01-01T10:00:00.000Z', 'a', 'block', 'git-force-push') + '\n',
+    'bash-audit.jsonl': [
+      entry('2026-01-02T23:30:00.000Z', 'a', 'warn', 'inline-secret'),
+      entry('2026-01-03T08:00:00.000Z', 'b', 'allow'),
+      entry('2026-01-04T08:00:00.000Z', 'b', 'block', 'git-force-push'),
+      'not json',
+      '',
+    ].join('\n'),
+  });
+
+  const sessions = (...args) => query(dir, ...args).output.map(e => `${e.session_id}:${e.verdict}`);
+  assert.deepStrictEqual(sessions(), ['a:block', 'a:warn', 'b:allow', 'b:block']);
+  assert.deepStrictEqual(sessions('--session', 'a'), ['a:block', 'a:warn']);
+  assert.deepStrictEqual(sessions('--verdict', 'block'), ['a:block', 'b:block']);
+  assert.deepStrictEqual(sessions('--rule', 'inline-secret'), ['a:warn']);
+  assert.deepStrictEqual(sessions('--since', '2026-01-02', '--until', '2026-01-03'), ['a:warn', 'b:allow']);
+  assert.deepStrictEqual(sessions('--verdict', 'block', '--limit', '1'), ['b:block']);
+
+  const { output: stats } = query(dir, '--stats', '--session', 'b');
+  assert.deepStrictEqual(stats, { total: 2, by_verdict: { allow: 1, block: 1 }, by_rule: { 'git-force-push': 1 }, sessions: 1 });
+
+  for (const args of [['--verdict', 'deny'], ['--since', 'yesterday']]) {
+    const { status, stderr } = query(dir, ...args);
+    assert.strictEqual(status, 1, args.join(' '));
+    assert.match(stderr, /^Error: Invalid/);
+  }
+});
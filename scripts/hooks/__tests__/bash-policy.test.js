@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadBashPolicy, findMatchingRule } = require('../utils/bash-policy');
+const { parseCommand } = require('../utils/shell-parser');
+const { tempDir, writeFiles } = require('./helpers');
+
+/**
+ * Policy for a project with the given user and project bash.json contents
+ */
+function policyFor({ user, project }) {
+  const learningDir = tempDir();
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n' });
+  if (user) writeFiles(learningDir, { 'policies/bash.json': user });
+  if (project) writeFiles(root, { '.agent/policies/bash.json': project });
+
+  process.env.KAILASH_LEARNING_DIR = learningDir;
+  try {
+    return { policy: loadBashPolicy(root), root };
+  } finally {
+    delete process.env.KAILASH_LEARNING_DIR;
+  }
+}
+
+function ruleFor({ policy, root }, command) {
+  const [cmd] = parseCommand(command).commands;
+  return findMatchingRule(policy.rules, cmd, [cmd], { cwd: root, projectRoot: root, commands: [cmd] });
+}
+
+test('project policy cannot disable or allow critical built-in blocks', () => {
+  const loaded = policyFor({
+    project: {
+      rules: [
+        { id: 'rm-root', enabled: false },
+        { id: 'mkfs', action: 'allow' },
+        { id: 'rm-anything', action: 'allow', command: ['rm'] },
+      ]
+    }
+  });
+
+  assert.strictEqual(ruleFor(loaded, 'rm -rf /').id, 'rm-root');
+  assert.strictEqual(ruleFor(loaded, 'rm -rf /').action, 'block');
+  assert.strictEqual(ruleFor(loaded, 'mkfs.ext4 /dev/sda1').action, 'block');
+  assert.strictEqual(ruleFor(loaded, 'rm -rf build').id, 'rm-anything');
+
+  const errors = loaded.policy.errors.join('\n');
+  assert.match(errors, /\(rm-root\): ignored/);
+  assert.match(errors, /\(mkfs\): ignored/);
+  assert.strictEqual(loaded.policy.errors.length, 2);
+  assert.ok(loaded.policy.errors.every(error => error.includes(path.join('.agent', 'policies'))));
+});
+
+test('user policy can still override critical built-in blocks', () => {
+  const loaded = policyFor({ user: { rules: [{ id: 'mkfs', action: 'warn' }] } });
+  assert.strictEqual(ruleFor(loaded, 'mkfs.ext4 /dev/sda1').action, 'warn');
+  assert.deepStrictEqual(loaded.policy.errors, []);
+});
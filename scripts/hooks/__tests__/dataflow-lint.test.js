@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePython } = require('../utils/python-parser');
+const { analyzeWorkflows } = require('../utils/workflow-analysis');
+const { lintDataFlow, findModels, unsupportedTypes } = require('../utils/dataflow-lint');
+
+/**
+ * [line, message] of each DataFlow finding in the given source lines
+ */
+function lint(lines, catalogue = { nodes: {} }) {
+  const module = parsePython(lines.join('\n'));
+  return lintDataFlow(module, analyzeWorkflows(module), catalogue).map(f => [f.position.line, f.message]);
+}
+
+const HEADER = [
+  'from dataflow import DataFlow',
+  'from kailash.workflow.builder import WorkflowBuilder',
+  'db = DataFlow()',
+];
+
+test('model fields are read from @db.model classes only', () => {
+  const module = parsePython([
+    ...HEADER,
+    '@db.model',
+    'class User:',
+    '    id: str',
+    '    name: str = "x"',
+    '    def label(self):',
+    '        local: int = 1',
+    'class Plain:',
+    '    id: int',
+  ].join('\n'));
+  const models = findModels(module);
+  assert.deepStrictEqual(models.map(m => [m.name, m.fields.map(f => `${f.name}: ${f.annotation}`)]), [['User', ['id: str', 'name: str']]]);
+});
+
+test('unsupported field types are found inside Optional, unions and lists', () => {
+  assert.deepStrictEqual(unsupportedTypes('Optional[str]'), []);
+  assert.deepStrictEqual(unsupportedTypes('int | None'), []);
+  assert.deepStrictEqual(unsupportedTypes('"datetime"'), []);
+  assert.deepStrictEqual(unsupportedTypes('List[Decimal]'), []);
+  assert.deepStrictEqual(unsupportedTypes('Union[bytes, None]'), ['bytes']);
+  assert.deepStrictEqual(unsupportedTypes('list[set]'), ['set']);
+  assert.deepStrictEqual(unsupportedTypes('np.ndarray | str'), ['np.ndarray']);
+});
+
+test('primary keys not named id and unsupported types are reported on the field', () => {
+  const findings = lint([
+    ...HEADER,
+    '@db.model',
+    'class OrderItem:',
+    '    order_item_id: str',
+    '    payload: bytes',
+    '@db.model',
+    'class Account:',
+    '    id: str',
+    '    code: str = Field(primary_key=True)',
+    '    account_id: str',
+  ]);
+  assert.deepStrictEqual(findings, [
+    [6, 'Model "OrderItem" uses "order_item_id" as its primary key. DataFlow requires the primary key to be named "id".'],
+    [7, 'Model "OrderItem" field "payload" has unsupported type "bytes". Supported: str, int, float, bool, datetime, date, Decimal, dict, Dict, list, List, UUID.'],
+    [11, 'Model "Account" uses "code" as its primary key. DataFlow requires the primary key to be named "id".'],
+  ]);
+});
+
+test('generated node names, unknown models and manual timestamps are reported', () => {
+  const findings = lint([
+    ...HEADER,
+    'from app.models import Invoice',
+    '@db.model',
+    'class User:',
+    '    id: str',
+    'workflow = WorkflowBuilder()',
+    'workflow.add_node("CreateUserNode", "a", {})',
+    'workflow.add_node("UserCreateNode", "b", {"name": "x", "created_at": "now"})',
+    'workflow.add_node("UserListNode", "c", {"filter": {"updated_at": {"$gt": "x"}}})',
+    'workflow.add_node("InvoiceBulkUpdateNode", "d", {"records": [{"id": "1", "updated_at": "now"}]})',
+    'workflow.add_node("UsrReadNode", "e", {})',
+    'workflow.add_node("HTTPRequestNode", "f", {})',
+    'data["updated_at"] = "now"',
+  ], { nodes: { HTTPRequestNode: {} } });
+  assert.deepStrictEqual(findings, [
+    [9, 'Node type "CreateUserNode" puts the operation first. DataFlow generates "UserCreateNode".'],
+    [10, 'Node "b" sets "created_at" manually. DataFlow manages created_at and updated_at.'],
+    [12, 'Node "d" sets "updated_at" manually. DataFlow manages created_at and updated_at.'],
+    [13, 'Node type "UsrReadNode" refers to model "Usr", which is not defined in this file or imported. Did you mean "UserReadNode"?'],
+    [15, '"updated_at" is set manually. DataFlow manages created_at and updated_at; remove the assignment.'],
+  ]);
+});
+
+test('files without DataFlow, star imports and schema discovery skip the model check', () => {
+  const nodes = ['workflow = WorkflowBuilder()', 'workflow.add_node("OrderCreateNode", "a", {})'];
+  assert.deepStrictEqual(lint(['from kailash.workflow.builder import WorkflowBuilder', ...nodes]), []);
+  assert.deepStrictEqual(lint([...HEADER, 'from app.models import *', ...nodes]), []);
+  assert.deepStrictEqual(lint([...HEADER, 'db.discover_schema()', ...nodes]), []);
+  assert.strictEqual(lint([...HEADER, ...nodes]).length, 1);
+});
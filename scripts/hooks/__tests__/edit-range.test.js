@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { editedRanges } = require('../utils/edit-range');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+// 40 lines, "b:1" on lines 3, 13 and 23; line 33 is edited to "b:1" as well
+const ORIGINAL = Array.from({ length: 40 }, (_, i) => (i % 10 === 2 && i !== 32 ? 'b:1' : `x${i + 1}`)).join('\n') + '\n';
+const EDITED = ORIGINAL.replace('x33\n', 'b:1\n');
+const EDIT = { file_path: 'a.js', old_string: 'x33', new_string: 'b:1' };
+
+const lines = result => result.ranges.map(({ startLine, endLine }) => [startLine, endLine]);
+
+test('the edited occurrence is found when new_string also appears elsewhere', () => {
+  assert.deepStrictEqual(lines(editedRanges(EDIT, EDITED, { originalFile: ORIGINAL })), [[33, 33]]);
+  // Without the original file the occurrence cannot be told apart
+  assert.deepStrictEqual(editedRanges(EDIT, EDITED), { ambiguous: true });
+});
+
+test('replace_all gives each replaced occurrence its own range', () => {
+  const original = 'a\nq\nb:1\nq\n';
+  const edited = 'a\nb:1\nb:1\nb:1\n';
+  const edit = { old_string: 'q', new_string: 'b:1', replace_all: true };
+  assert.deepStrictEqual(lines(editedRanges(edit, edited, { originalFile: original })), [[2, 2], [4, 4]]);
+  // Without the original, every occurrence counts as edited
+  assert.deepStrictEqual(lines(editedRanges(edit, edited)), [[2, 2], [3, 3], [4, 4]]);
+});
+
+test('MultiEdit ranges follow later edits', () => {
+  const original = 'one\ntwo\nthree\nfour\nfive\n';
+  const edits = [
+    { old_string: 'two', new_string: 'TWO\nTWO' },
+    { old_string: 'four', new_string: '4' },
+    { old_string: 'TWO\nthree', new_string: 'TWO\nTHREE' },
+  ];
+  const edited = 'one\nTWO\nTWO\nTHREE\n4\nfive\n';
+  assert.deepStrictEqual(lines(editedRanges({ edits }, edited, { originalFileContents: original })), [[2, 4], [5, 5]]);
+  assert.deepStrictEqual(editedRanges({ old_string: 'two\n', new_string: '' }, 'one\nthree\n', { originalFile: 'one\ntwo\nthree\n' }),
+    { empty: true });
+});
+
+test('auto-format passes only the edited occurrence to prettier', () => {
+  const home = tempDir();
+  const root = tempDir();
+  const log = path.join(root, 'prettier-args.json');
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.agent/policies/format.json': { scope: 'edit', daemon: { enabled: false } },
+    'package.json': { name: 'app', prettier: {} },
+    'node_modules/prettier/package.json': { name: 'prettier', version: '3.0.0', bin: { prettier: 'bin.js' } },
+    'node_modules/prettier/bin.js': `#!/usr/bin/env node\nrequire('fs').writeFileSync(${JSON.stringify(log)}, JSON.stringify(process.argv.slice(2)));\n`,
+    'a.js': EDITED,
+  });
+  fs.chmodSync(path.join(root, 'node_modules', 'prettier', 'bin.js'), 0o755);
+  fs.mkdirSync(path.join(root, 'node_modules', '.bin'));
+  fs.symlinkSync(path.join('..', 'prettier', 'bin.js'), path.join(root, 'node_modules', '.bin', 'prettier'));
+
+  const filePath = path.join(root, 'a.js');
+  const { output } = runHook('auto-format.js', {
+    tool_input: { ...EDIT, file_path: filePath },
+    tool_response: { filePath, originalFile: ORIGINAL }
+  }, home);
+
+  const start = EDITED.lastIndexOf('b:1');
+  assert.strictEqual(output.hookSpecificOutput.formatted, true);
+  assert.deepStrictEqual(output.hookSpecificOutput.ranges, [{ startLine: 33, endLine: 33 }]);
+  const args = JSON.parse(fs.readFileSync(log, 'utf8'));
+  assert.ok(args.includes(`--range-start=${start}`), args.join(' '));
+  assert.ok(args.includes(`--range-end=${start + 3}`), args.join(' '));
+});
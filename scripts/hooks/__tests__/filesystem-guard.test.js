@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { destructiveTargets, countGlobMatches } = require('../utils/filesystem-guard');
+const { parseCommand } = require('../utils/shell-parser');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+/**
+ * A project inside a fresh home directory; returns a function running
+ * validate-bash-command there and returning [rule id, verdict text]
+ */
+function project(files = {}) {
+  const home = tempDir();
+  const root = path.join(home, 'project');
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.agent/skills/README.md': '',
+    'src/app.py': '',
+    ...files
+  });
+  return command => {
+    const { output } = runHook('validate-bash-command.js', { tool_input: { command }, cwd: root }, home);
+    return [output.hookSpecificOutput.rule?.id, output.hookSpecificOutput.validation];
+  };
+}
+
+test('the home directory is protected with its own reason, not a path inside it', () => {
+  const run = project();
+  for (const command of ['rm -rf ~', 'rm -rf $HOME/', 'cd .. && rm -rf ..']) {
+    const [rule, text] = run(command);
+    assert.strictEqual(rule, 'fs-protected-path', command);
+    assert.match(text, /home directory, a protected path outside the project/, command);
+    assert.doesNotMatch(text, /\.git/, command);
+  }
+  assert.match(run('chmod -R 777 ~/..')[1], /which contains the home directory/);
+});
+
+test('protected paths inside the project block, at any depth or via a parent', () => {
+  const run = project({ 'pkg/.git/HEAD': '', '.env.local': '' });
+  const cases = [
+    ['rm -rf .git', 'rm .git touches .git'],
+    ['rm -rf pkg/.git/objects', 'touches .git'],
+    ['rm .env.local', 'touches .env.local'],
+    ['rm -rf .agent', 'rm .agent touches .agent/skills'],
+    ['cd src && rm -rf ../.agent/skills', 'touches .agent/skills'],
+  ];
+  for (const [command, reason] of cases) {
+    const [rule, text] = run(command);
+    assert.strictEqual(rule, 'fs-protected-path', command);
+    assert.ok(text.includes(reason), `${command}: ${text}`);
+  }
+});
+
+test('paths outside the project block unless temporary or allowed by policy', () => {
+  const run = project({ '.agent/policies/bash.json': { filesystem: { allowedPaths: ['/srv/kailash-cache'] } } });
+  assert.strictEqual(run('rm -f /etc/hosts')[0], 'fs-outside-project');
+  assert.match(run('cd /etc && rm hosts')[1], /rm hosts resolves to \/etc\/hosts/);
+  assert.strictEqual(run(`rm -rf ${path.join(os.tmpdir(), 'build-output')}`)[0], undefined);
+  assert.strictEqual(run('rm -rf /srv/kailash-cache/models')[0], undefined);
+  assert.strictEqual(run('rm -rf /srv/other')[0], 'fs-outside-project');
+  assert.strictEqual(run('rm -rf "$BUILD_DIR"')[0], undefined);
+  assert.strictEqual(run('rm -rf src/__pycache__')[0], undefined);
+});
+
+test('a glob matching more files than the threshold warns', () => {
+  const files = {};
+  for (let i = 0; i < 120; i++) files[`logs/run-${i}.log`] = '';
+  const run = project(files);
+  const [rule, text] = run('rm logs/*.log');
+  assert.strictEqual(rule, 'fs-large-glob');
+  assert.match(text, /matches more than 100 files/);
+  assert.strictEqual(run('rm logs/run-1*.log')[0], undefined);
+});
+
+test('targets of each destructive command are found and globs counted', () => {
+  const targets = command => destructiveTargets(parseCommand(command).commands[0]);
+  assert.deepStrictEqual(targets('rm -rf -- a -b'), { targets: ['a', '-b'], recursive: true });
+  assert.deepStrictEqual(targets('chmod -x run.sh'), { targets: ['run.sh'], recursive: false });
+  assert.deepStrictEqual(targets('chown -R app:app data'), { targets: ['data'], recursive: true });
+  assert.deepStrictEqual(targets('truncate -s 0 app.log'), { targets: ['app.log'], recursive: false });
+  assert.deepStrictEqual(targets('find build -name "*.pyc" -delete'), { targets: ['build'], recursive: false });
+  assert.deepStrictEqual(targets('find . -exec rm {} +'), { targets: ['.'], recursive: true });
+  assert.strictEqual(targets('find . -name "*.py"'), null);
+  assert.strictEqual(targets('ls -la'), null);
+
+  const dir = tempDir();
+  writeFiles(dir, { 'a.txt': '', 'b.txt': '', '.hidden.txt': '', 'sub/c.txt': '' });
+  assert.strictEqual(countGlobMatches(path.join(fs.realpathSync(dir), '*.txt'), 10), 2);
+  assert.strictEqual(countGlobMatches(path.join(fs.realpathSync(dir), '**', '*.txt'), 10), 3);
+});
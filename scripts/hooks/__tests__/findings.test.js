@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createFinding, formatFinding, toSarif } = require('../utils/findings');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+test('findings keep every policy severity, unknown ones become medium', () => {
+  for (const severity of ['critical', 'high', 'medium', 'low', 'info']) {
+    assert.strictEqual(createFinding({ rule: 'r', severity, message: 'm' }).severity, severity);
+  }
+  assert.strictEqual(createFinding({ rule: 'r', severity: 'severe', message: 'm' }).severity, 'medium');
+
+  const finding = createFinding({ rule: 'r', severity: 'low', position: { line: 3, col: 5 }, message: 'Bad.' });
+  assert.strictEqual(formatFinding(finding, 'app/flow.py'), 'WARNING: app/flow.py, Line 3, col 5: Bad.');
+  assert.strictEqual(formatFinding({ ...finding, line: null }), 'WARNING: Bad.');
+});
+
+test('SARIF levels follow severity and locations are relative to the root', () => {
+  const root = path.join(path.sep, 'repo');
+  const findings = ['critical', 'high', 'medium', 'low', 'info'].map((severity, i) => createFinding({
+    rule: `rule-${severity}`,
+    severity,
+    file: path.join(root, 'src', 'flow.py'),
+    position: { line: i + 1, col: 2 },
+    message: `A ${severity} finding.`,
+    fix: severity === 'high' ? 'workflow.build()' : null
+  }));
+  const sarif = toSarif(findings, {
+    name: 'tool', version: '1.0.0', informationUri: 'https://example.com', root,
+    rules: { 'rule-info': { severity: 'info', description: 'Informational' } }
+  });
+
+  const [run] = sarif.runs;
+  assert.deepStrictEqual(run.results.map(r => r.level), ['error', 'error', 'warning', 'note', 'note']);
+  assert.deepStrictEqual(run.tool.driver.rules[0], {
+    id: 'rule-info',
+    shortDescription: { text: 'Informational' },
+    defaultConfiguration: { level: 'note' },
+    properties: { severity: 'info' }
+  });
+  assert.deepStrictEqual(run.results.map(r => r.ruleIndex), [1, 2, 3, 4, 0]);
+  assert.deepStrictEqual(run.results[1].locations[0].physicalLocation, {
+    artifactLocation: { uri: 'src/flow.py', uriBaseId: 'SRCROOT' },
+    region: { startLine: 2, startColumn: 2 }
+  });
+  assert.strictEqual(run.results[1].message.text, 'A high finding. Suggested fix: workflow.build()');
+  assert.strictEqual(run.results[1].properties.fix, 'workflow.build()');
+});
+
+test('a bash policy rule with severity info reports an info finding', () => {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.agent/policies/bash.json': { rules: [{ id: 'docker-note', action: 'warn', severity: 'info', command: ['docker'] }] }
+  });
+  const { output } = runHook('validate-bash-command.js', { tool_input: { command: 'docker ps' }, cwd: root }, home);
+  assert.deepStrictEqual(output.hookSpecificOutput.findings.map(f => [f.rule, f.severity]), [['docker-note', 'info']]);
+});
+
+test('the --sarif CLI writes the findings of a directory as SARIF', () => {
+  const root = tempDir();
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    'src/flow.py': [
+      'from kailash.workflow.builder import WorkflowBuilder',
+      'from kailash.runtime.local import LocalRuntime',
+      'workflow = WorkflowBuilder()',
+      'runtime = LocalRuntime()',
+      'runtime.execute(workflow)',
+      '',
+    ].join('\n')
+  });
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'validate-workflow.js'), '--sarif', root], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: tempDir(), KAILASH_LEARNING_DIR: '' },
+    timeout: 10000
+  });
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  const [run] = JSON.parse(result.stdout).runs;
+  const missing = run.results.filter(r => r.ruleId === 'missing-build');
+  assert.deepStrictEqual(missing.map(r => [r.level, r.locations[0].physicalLocation.artifactLocation.uri,
+    r.locations[0].physicalLocation.region.startLine]), [['error', 'src/flow.py', 5]]);
+});
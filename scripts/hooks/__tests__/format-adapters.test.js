@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { resolveFormatter } = require('../utils/formatters');
+
+const TOOL = '#!/bin/sh\nexit 0\n';
+
+// A bin directory on PATH holding every adapter's tool, as a global install would
+const globalBin = tempDir();
+for (const name of ['dart', 'sqlfluff', 'pg_format', 'taplo', 'shfmt']) {
+  fs.writeFileSync(path.join(globalBin, name), TOOL, { mode: 0o755 });
+}
+process.env.PATH = [globalBin, process.env.PATH].join(path.delimiter);
+
+function project(files) {
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n', ...files });
+  return root;
+}
+
+function installLocally(root, name) {
+  writeFiles(root, { [`node_modules/.bin/${name}`]: TOOL });
+  fs.chmodSync(path.join(root, 'node_modules', '.bin', name), 0o755);
+}
+
+test('a tool found only on PATH is not used without the project config', () => {
+  const root = project({ 'q.sql': '', 'c.toml': '', 's.sh': '', 'lib/a.dart': '' });
+  for (const file of ['q.sql', 'c.toml', 's.sh', 'lib/a.dart']) {
+    assert.strictEqual(resolveFormatter(path.join(root, file)), null, file);
+  }
+});
+
+test('an .editorconfig without a shell section does not declare shfmt', () => {
+  const root = project({ '.editorconfig': '[*.py]\nindent_size = 4\n', 's.sh': '' });
+  assert.strictEqual(resolveFormatter(path.join(root, 's.sh')), null);
+});
+
+test('a project config applies the adapter with a tool on PATH', () => {
+  const root = project({
+    'pubspec.yaml': 'name: app\n', 'lib/a.dart': '',
+    'taplo.toml': '', 'c.toml': '',
+    '.editorconfig': '[*.{sh,bash}]\nindent_style = space\n', 's.sh': '',
+    '.pg_format': 'spaces=2\n', 'q.sql': ''
+  });
+
+  const dart = resolveFormatter(path.join(root, 'lib/a.dart'));
+  assert.strictEqual(dart.name, 'dart');
+  assert.strictEqual(dart.config, 'pubspec.yaml');
+  assert.strictEqual(resolveFormatter(path.join(root, 'c.toml')).config, 'taplo.toml');
+  assert.strictEqual(resolveFormatter(path.join(root, 's.sh')).config, '.editorconfig');
+  const pgFormat = resolveFormatter(path.join(root, 'q.sql'));
+  assert.strictEqual(pgFormat.name, 'pg_format');
+  assert.match(pgFormat.command, /pg_format' --config \.pg_format --inplace /);
+});
+
+test('a local install applies an adapter that needs no config', () => {
+  const root = project({ 'c.toml': '', 'q.sql': '' });
+  installLocally(root, 'taplo');
+  installLocally(root, 'sqlfluff');
+
+  const taplo = resolveFormatter(path.join(root, 'c.toml'));
+  assert.strictEqual(taplo.name, 'taplo');
+  assert.strictEqual(taplo.config, path.join('node_modules', '.bin', 'taplo'));
+  assert.ok(taplo.command.startsWith(`'${path.join(root, 'node_modules', '.bin', 'taplo')}' format `));
+  // sqlfluff needs a dialect from its config, a local install alone is not enough
+  assert.strictEqual(resolveFormatter(path.join(root, 'q.sql')), null);
+});
+
+test('sqlfluff is preferred over pg_format when configured', () => {
+  const root = project({ 'pyproject.toml': '[tool.sqlfluff.core]\ndialect = "postgres"\n', 'q.sql': '' });
+  const sqlfluff = resolveFormatter(path.join(root, 'q.sql'));
+  assert.strictEqual(sqlfluff.name, 'sqlfluff');
+  assert.strictEqual(sqlfluff.config, 'pyproject.toml');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { socketPath, stopDaemon } = require('../utils/format-daemon');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+// Stand-in for prettier: the daemon marks what it formats, the CLI marks what it
+// formats, and the daemon never answers for files containing HANG
+const FAKE_PRETTIER = {
+  'node_modules/prettier/package.json': { name: 'prettier', version: '3.0.0', main: 'index.js', bin: { prettier: 'bin.js' } },
+  'node_modules/prettier/index.js': [
+    'exports.clearConfigCache = () => {};',
+    "exports.getFileInfo = async () => ({ ignored: false, inferredParser: 'babel' });",
+    'exports.resolveConfig = async () => ({});',
+    "exports.format = async source => source.includes('HANG') ? new Promise(() => {}) : `${source}// daemon\\n`;",
+  ].join('\n'),
+  'node_modules/prettier/bin.js': [
+    '#!/usr/bin/env node',
+    "const fs = require('fs');",
+    'const file = process.argv[process.argv.length - 1];',
+    "fs.appendFileSync(file, '// exec\\n');",
+  ].join('\n'),
+  'package.json': { name: 'app', prettier: {} },
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) return false;
+    await sleep(50);
+  }
+  return true;
+}
+
+function alive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('daemon failures fall back to exec and a wedged daemon is replaced', { skip: process.platform === 'win32' }, async () => {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, { ...FAKE_PRETTIER, '.git/HEAD': 'ref: refs/heads/main\n', 'a.js': 'a\n', 'b.js': 'HANG\n' });
+  const bin = path.join(root, 'node_modules', '.bin');
+  fs.mkdirSync(bin, { recursive: true });
+  fs.symlinkSync(path.join('..', 'prettier', 'bin.js'), path.join(bin, 'prettier'));
+  fs.chmodSync(path.join(root, 'node_modules', 'prettier', 'bin.js'), 0o755);
+
+  const socket = socketPath(require.resolve('prettier', { paths: [root] }));
+  const pidFile = `${socket}.pid`;
+  const daemonPid = () => Number(fs.readFileSync(pidFile, 'utf8'));
+  process.on('exit', () => stopDaemon(socket));
+  const format = file => runHook('auto-format.js', { tool_input: { file_path: path.join(root, file) } }, home)
+    .output.hookSpecificOutput;
+
+  // First call starts the daemon and formats through exec
+  let output = format('a.js');
+  assert.strictEqual(output.formatted, true);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'a.js'), 'utf8'), 'a\n// exec\n');
+  assert.ok(await waitFor(() => fs.existsSync(pidFile)), 'daemon did not start');
+
+  // Then through the daemon, reporting the prettier it loaded
+  output = format('a.js');
+  assert.strictEqual(output.daemon, true);
+  assert.strictEqual(output.command, `${require.resolve('prettier', { paths: [root] })} (formatter daemon)`);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'a.js'), 'utf8'), 'a\n// exec\n// daemon\n');
+
+  // A daemon that does not answer is killed, and exec formats the file
+  const wedged = daemonPid();
+  output = format('b.js');
+  assert.strictEqual(output.formatted, true);
+  assert.match(output.daemonError, /no answer/);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'b.js'), 'utf8'), 'HANG\n// exec\n');
+  assert.ok(await waitFor(() => !alive(wedged)), 'wedged daemon still running');
+  assert.ok(await waitFor(() => fs.existsSync(pidFile) && daemonPid() !== wedged), 'no replacement daemon');
+});
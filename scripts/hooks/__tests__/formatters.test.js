@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir, writeFiles } = require('./helpers');
+const { resolveFormatter, readEditorconfig, readToml } = require('../utils/formatters');
+
+function project(files) {
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n', ...files });
+  return root;
+}
+
+/**
+ * [name, command with the project root as <root>, cwd relative to it, config] of a file's formatter
+ */
+function formatterOf(root, file) {
+  const formatter = resolveFormatter(path.join(root, file));
+  if (!formatter) return null;
+  return [formatter.name, formatter.command.split(root).join('<root>'), path.relative(root, formatter.cwd), formatter.config];
+}
+
+test('files of a project declaring no formatter are left alone', () => {
+  const root = project({ 'pyproject.toml': '[project]\nname = "app"\n', 'package.json': '{"name": "app"}' });
+  assert.strictEqual(resolveFormatter(path.join(root, 'app.py')), null);
+  assert.strictEqual(resolveFormatter(path.join(root, 'index.ts')), null);
+});
+
+test('python: black or ruff from pyproject.toml or ruff.toml, through the lock file runner', () => {
+  assert.deepStrictEqual(formatterOf(project({ 'pyproject.toml': '[tool.black]\nline-length = 100\n' }), 'app.py'),
+    ['black', "black '<root>/app.py'", '', 'pyproject.toml [tool.black]']);
+  // black and ruff declared together: ruff format wins when configured
+  assert.strictEqual(formatterOf(project({ 'pyproject.toml': '[tool.black]\n[tool.ruff.format]\nquote-style = "single"\n' }), 'app.py')[0], 'ruff');
+  assert.deepStrictEqual(formatterOf(project({ 'pyproject.toml': '[tool.ruff]\n', 'uv.lock': '' }), 'src/app.py'),
+    ['ruff', "uv run ruff format '<root>/src/app.py'", '', 'pyproject.toml [tool.ruff]']);
+  assert.deepStrictEqual(formatterOf(project({ 'svc/.ruff.toml': 'line-length = 90\n', 'poetry.lock': '' }), 'svc/app.py'),
+    ['ruff', "poetry run ruff format '<root>/svc/app.py'", '', path.join('svc', '.ruff.toml')]);
+});
+
+test('.editorconfig max_line_length applies unless the formatter sets a line length', () => {
+  const editorconfig = 'root = true\n[*]\nindent_style = space\n[*.{py,pyi}]\nmax_line_length = 88\n[docs/**.md]\nmax_line_length = off\n';
+  const root = project({ '.editorconfig': editorconfig, 'pyproject.toml': '[tool.black]\n' });
+  assert.deepStrictEqual(readEditorconfig(path.join(root, 'pkg/app.py'), root), { indent_style: 'space', max_line_length: '88' });
+  assert.strictEqual(readEditorconfig(path.join(root, 'docs/guide/a.md'), root).max_line_length, 'off');
+  assert.strictEqual(formatterOf(root, 'pkg/app.py')[1], "black --line-length 88 '<root>/pkg/app.py'");
+
+  const configured = project({ '.editorconfig': editorconfig, 'pyproject.toml': '[tool.ruff]\nline-length = 120\n' });
+  assert.strictEqual(formatterOf(configured, 'app.py')[1], "ruff format '<root>/app.py'");
+});
+
+test('js: biome unless its formatter is off, else prettier, through the package manager', () => {
+  const biome = project({ 'biome.json': '{ "formatter": { "indentStyle": "space" } }', 'pnpm-lock.yaml': '' });
+  assert.deepStrictEqual(formatterOf(biome, 'src/index.ts'), ['biome', "pnpm exec biome format --write '<root>/src/index.ts'", '', 'biome.json']);
+  // biome cannot format Markdown
+  assert.strictEqual(formatterOf(biome, 'README.md'), null);
+
+  const off = project({
+    'biome.jsonc': '// formatting is prettier\'s job\n{ "formatter": { "enabled": false } }',
+    'package.json': '{ "prettier": { "semi": false } }'
+  });
+  assert.deepStrictEqual(formatterOf(off, 'index.js'), ['prettier', "npx prettier --write '<root>/index.js'", '', 'package.json "prettier"']);
+});
+
+test('the config nearest to the file wins in a monorepo', () => {
+  const root = project({
+    '.prettierrc': '{}',
+    'package.json': '{}',
+    'packages/api/biome.json': '{}',
+    'packages/api/package.json': '{}',
+    'packages/api/bun.lockb': '',
+    'services/worker/pyproject.toml': '[tool.ruff]\n',
+    'pyproject.toml': '[tool.black]\n'
+  });
+  assert.deepStrictEqual(formatterOf(root, 'packages/api/src/a.ts'),
+    ['biome', "bunx biome format --write '<root>/packages/api/src/a.ts'", path.join('packages', 'api'), path.join('packages', 'api', 'biome.json')]);
+  assert.strictEqual(formatterOf(root, 'web/a.ts')[0], 'prettier');
+  assert.deepStrictEqual(formatterOf(root, 'services/worker/job.py').slice(0, 1), ['ruff']);
+  assert.strictEqual(formatterOf(root, 'scripts/tool.py')[0], 'black');
+});
+
+test('toml keys are read per table, dotted and quoted', () => {
+  const { tables, keys } = readToml('top = 1\n[tool.ruff] # lint\nline-length = 100 # max\n"quoted" = "a # b"\n[[tool.poetry.source]]\n');
+  assert.deepStrictEqual([...tables], ['tool.ruff', 'tool.poetry.source']);
+  assert.strictEqual(keys.get('top'), '1');
+  assert.strictEqual(keys.get('tool.ruff.line-length'), '100');
+  assert.strictEqual(keys.get('tool.ruff.quoted'), '"a # b"');
+});
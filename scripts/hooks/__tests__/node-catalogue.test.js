@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildCatalogue, REQUIRED_PARAMETERS } = require('../utils/node-catalogue');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+function validateWorkflow(source) {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n', 'flow.py': source });
+  const { output } = runHook('validate-workflow.js', { tool_input: { file_path: path.join(root, 'flow.py') }, cwd: root }, home);
+  return output.hookSpecificOutput.validation
+    .map(text => text.replace(/^\w+: Line \d+, col \d+: /, ''))
+    .filter(message => / is missing required parameter /.test(message));
+}
+
+const HEADER = 'from kailash.workflow.builder import WorkflowBuilder\nfrom kailash.runtime.local import LocalRuntime\n\n' +
+  'workflow = WorkflowBuilder()\n';
+const FOOTER = 'runtime = LocalRuntime()\nresults, run_id = runtime.execute(workflow.build())\n';
+
+test('required parameters missing from the config are reported', () => {
+  const messages = validateWorkflow(HEADER +
+    'workflow.add_node("PythonCodeNode", "calc", {"inputs": {}})\n' +
+    'workflow.add_node("CSVWriterNode", "writer", {"headers": ["id"]})\n' +
+    'workflow.add_connection("calc", "result", "writer", "data")\n' + FOOTER);
+
+  assert.deepStrictEqual(messages, [
+    'Node "calc" (PythonCodeNode) is missing required parameter "code".',
+    'Node "writer" (CSVWriterNode) is missing required parameter "file_path".',
+  ]);
+});
+
+test('parameters supplied by a connection or at runtime count as present', () => {
+  const messages = validateWorkflow(HEADER +
+    'workflow.add_node("PythonCodeNode", "calc", {"code": "result = 1"})\n' +
+    'workflow.add_node("CSVWriterNode", "writer", {})\n' +
+    'workflow.add_node("SQLDatabaseNode", "db", {"query": "SELECT 1"})\n' +
+    'workflow.add_connection("calc", "result", "writer", "file_path")\n' +
+    'workflow.add_connection("writer", "result", "db", "query")\n' +
+    'runtime = LocalRuntime()\n' +
+    'results, run_id = runtime.execute(workflow.build(), parameters={"db": {"connection_string": "sqlite://"}})\n');
+
+  assert.deepStrictEqual(messages, []);
+});
+
+test('every required parameter is documented for its node in the 08-nodes-reference', () => {
+  const dir = path.join(__dirname, '..', '..', '..', '.agent', 'skills', '08-nodes-reference');
+  const nodes = buildCatalogue(fs.readdirSync(dir).filter(f => f.endsWith('.md')).map(f => path.join(dir, f)));
+
+  for (const [type, required] of Object.entries(REQUIRED_PARAMETERS)) {
+    assert.ok(nodes[type], `${type} is not in the reference`);
+    for (const param of required) {
+      assert.ok(nodes[type].params.includes(param), `${type}.${param} is not a documented parameter`);
+    }
+  }
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePython, tokenize, TOKEN } = require('../utils/python-parser');
+
+const callsTo = (module, callee) => module.calls.filter(call => call.callee === callee);
+
+test('decorators belong to the def they precede and their calls are found', () => {
+  const module = parsePython([
+    '@app.route("/run", methods=["POST"])',
+    '@cached',
+    'def handler(request, *args, timeout=5, **kwargs):',
+    '    return run(request)',
+    '',
+  ].join('\n'));
+
+  const def = module.statements.find(s => s.scope);
+  assert.strictEqual(def.scope.name, 'handler');
+  assert.strictEqual(def.scope.kind, 'function');
+  assert.deepStrictEqual(def.scope.decorators.map(d => module.tokens[d.start + 1].value), ['app', 'cached']);
+  assert.deepStrictEqual(def.scope.params, ['request', 'args', 'timeout', 'kwargs']);
+
+  const [route] = callsTo(module, 'app.route');
+  assert.deepStrictEqual([route.line, route.col], [1, 2]);
+  assert.strictEqual(route.args[1].keyword, 'methods');
+  assert.deepStrictEqual(callsTo(module, 'run').map(call => call.statement.scopes.map(s => s.name)), [['handler']]);
+});
+
+test('nested functions and classes record their enclosing scopes', () => {
+  const module = parsePython([
+    'class Flows:',
+    '    def make(self):',
+    '        def inner():',
+    '            return WorkflowBuilder()',
+    '        workflow = inner()',
+    '        return workflow',
+    '',
+    'workflow = Flows().make()',
+  ].join('\n'));
+
+  const local = module.assignments.find(a => a.line === 5);
+  assert.deepStrictEqual(local.statement.scopes.map(s => `${s.kind}:${s.name}`), ['class:Flows', 'function:make']);
+  const [builder] = callsTo(module, 'WorkflowBuilder');
+  assert.deepStrictEqual(builder.statement.scopes.map(s => s.name), ['Flows', 'make', 'inner']);
+  assert.deepStrictEqual(module.assignments.filter(a => a.statement.scopes.length === 0).map(a => a.line), [8]);
+
+  const make = module.statements.find(s => s.scope && s.scope.name === 'make').scope;
+  assert.deepStrictEqual([make.line, make.endLine], [2, 8]);
+});
+
+test('multi-line calls keep their arguments and the position of the callee', () => {
+  const source = [
+    'workflow.add_node(',
+    '    "PythonCodeNode",  # the type',
+    '    "calc",',
+    '    {',
+    '        "code": "result = 1",',
+    '    },',
+    ')',
+    'runtime.execute(workflow.build(),',
+    '                parameters={"calc": {}})',
+  ].join('\n');
+  const module = parsePython(source);
+
+  const [addNode] = callsTo(module, 'workflow.add_node');
+  assert.deepStrictEqual([addNode.line, addNode.col, addNode.endLine, addNode.endCol], [1, 1, 7, 2]);
+  assert.deepStrictEqual(addNode.args.map(arg => arg.value.type), ['string', 'string', 'dict']);
+  assert.deepStrictEqual(addNode.args.map(arg => [arg.line, arg.col]), [[2, 5], [3, 5], [4, 5]]);
+  assert.strictEqual(addNode.args[2].value.entries[0].value.value, 'result = 1');
+
+  const [execute] = callsTo(module, 'runtime.execute');
+  assert.deepStrictEqual([execute.line, execute.col], [8, 1]);
+  assert.strictEqual(execute.args[0].value.callee, 'workflow.build');
+  assert.deepStrictEqual([execute.args[1].keyword, execute.args[1].line, execute.args[1].col], ['parameters', 9, 17]);
+  assert.strictEqual(module.statements.length, 2);
+});
+
+test('f-strings, comments and strings never produce calls', () => {
+  const module = parsePython([
+    'name = f"{workflow.build()} {runtime.execute(x)}"',
+    '# runtime.execute(workflow)',
+    'doc = """',
+    'workflow.execute(runtime)',
+    '"""',
+    'label = rf"{a}\\d" "tail"',
+  ].join('\n'));
+
+  assert.deepStrictEqual(module.calls, []);
+  const [fstring, docstring, mixed] = module.assignments.map(a => a.value);
+  assert.deepStrictEqual([fstring.type, fstring.fstring], ['string', true]);
+  assert.strictEqual(docstring.value, '\nworkflow.execute(runtime)\n');
+  assert.deepStrictEqual([mixed.type, mixed.fstring, mixed.value], ['string', true, '{a}\\dtail']);
+  assert.strictEqual(module.assignments[2].line, 6);
+});
+
+test('token positions are 1-based and follow continuation lines and tabs', () => {
+  const tokens = tokenize('x = 1 + \\\n    foo(a,\n\tb)\nif x:\n\ty = "é"\n');
+  const at = value => tokens.find(t => t.value === value);
+  assert.deepStrictEqual([at('x').line, at('x').col], [1, 1]);
+  assert.deepStrictEqual([at('foo').line, at('foo').col, at('foo').endCol], [2, 5, 8]);
+  assert.deepStrictEqual([at('b').line, at('b').col], [3, 2]);
+  assert.deepStrictEqual([at('y').line, at('y').col], [5, 2]);
+  assert.deepStrictEqual([at('"é"').line, at('"é"').col, at('"é"').endCol], [5, 6, 9]);
+  assert.deepStrictEqual(tokens.filter(t => t.type === TOKEN.INDENT).map(t => t.line), [5]);
+  assert.strictEqual(tokens.filter(t => t.type === TOKEN.NEWLINE).length, 3);
+});
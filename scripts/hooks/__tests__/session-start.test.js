@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+/**
+ * Run session-start for a new session in `cwd`, returning its briefing
+ */
+function briefing(home, cwd, env = {}) {
+  const { output } = runHook('session-start.js', { session_id: 'new', cwd }, home, env);
+  return output.hookSpecificOutput?.additionalContext || null;
+}
+
+test('the previous session is the one saved for this directory', () => {
+  const home = tempDir();
+  const project = tempDir();
+  const other = tempDir();
+  writeFiles(path.join(home, '.claude', 'sessions'), {
+    'last-session.json': { session_id: 'elsewhere', cwd: other, endedAt: '2026-01-02T00:00:00.000Z' },
+    'elsewhere.json': { session_id: 'elsewhere', cwd: other, endedAt: '2026-01-02T00:00:00.000Z' },
+    'here.json': { session_id: 'here', cwd: project, endedAt: '2026-01-01T00:00:00.000Z' }
+  });
+
+  const text = briefing(home, project);
+  assert.match(text, /Previous session here, ended 2026-01-01T00:00:00\.000Z\./);
+  assert.doesNotMatch(text, /elsewhere/);
+  assert.strictEqual(briefing(home, tempDir()), null);
+});
+
+test('a stop checkpoint is only reported when no session ended after it', () => {
+  const home = tempDir();
+  const project = tempDir();
+  const claudeDir = path.join(home, '.claude');
+  writeFiles(claudeDir, {
+    'sessions/prev.json': { session_id: 'prev', cwd: project, endedAt: '2026-01-01T12:00:00.000Z' },
+    'checkpoints/stop_prev.json': { session_id: 'prev', cwd: project, timestamp: '2026-01-01T11:00:00.000Z', pending_work: 'tests' }
+  });
+  assert.doesNotMatch(briefing(home, project), /Interrupted/);
+
+  writeFiles(claudeDir, {
+    'checkpoints/stop_prev.json': { session_id: 'prev', cwd: project, timestamp: '2026-01-01T13:00:00.000Z', pending_work: 'tests' }
+  });
+  assert.match(briefing(home, project), /- Interrupted at 2026-01-01T13:00:00\.000Z before the session ended; pending work: tests/);
+});
+
+test('open TODOs of the previous session are listed, completed ones left out', () => {
+  const home = tempDir();
+  const project = tempDir();
+  writeFiles(path.join(home, '.claude'), {
+    'sessions/prev.json': { session_id: 'prev', cwd: project },
+    'todos/prev-agent-prev.json': [
+      { content: 'Write the migration', status: 'in_progress' },
+      { content: 'Add the model', status: 'completed' },
+      { content: 'Run the tests' }
+    ],
+    'todos/other-agent-other.json': [{ content: 'Not this session', status: 'pending' }]
+  });
+
+  const text = briefing(home, project);
+  assert.ok(text.includes('- Open TODOs:\n  - [in_progress] Write the migration\n  - [pending] Run the tests'), text);
+  assert.doesNotMatch(text, /Add the model|Not this session/);
+});
+
+test('files the previous session wrote are recorded and listed from the learning dir', () => {
+  const home = tempDir();
+  const project = tempDir();
+  const learningDir = tempDir();
+  const env = { KAILASH_LEARNING_DIR: learningDir };
+  writeFiles(project, { 'app/models.py': 'x = 1\n', 'README.md': '# Project\n' });
+  writeFiles(path.join(home, '.claude'), { 'sessions/prev.json': { session_id: 'prev', cwd: project } });
+  for (const file of ['app/models.py', 'README.md', 'app/models.py']) {
+    runHook('auto-format.js', { session_id: 'prev', cwd: project, tool_name: 'Edit', tool_input: { file_path: file } }, home, env);
+  }
+  runHook('auto-format.js', { session_id: 'other', cwd: project, tool_name: 'Write', tool_input: { file_path: 'other.py' } }, home, env);
+
+  assert.match(briefing(home, project, env), /- Files touched: app\/models\.py, README\.md$/m);
+  assert.ok(!fs.existsSync(path.join(home, '.claude', 'kailash-learning', 'observations.jsonl')));
+  assert.doesNotMatch(briefing(home, project), /Files touched/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCommand } = require('../utils/shell-parser');
+const { runHook, tempDir } = require('./helpers');
+
+const argvs = command => parseCommand(command).commands.map(cmd => cmd.argv);
+
+function validate(command) {
+  const home = tempDir();
+  return runHook('validate-bash-command.js', { tool_input: { command }, cwd: home }, home);
+}
+
+test('heredoc fed to a shell is parsed as commands', () => {
+  // Like `sh -c`, the shell's own commands come before the shell itself
+  assert.deepStrictEqual(argvs('bash <<EOF\nrm -rf /\nEOF'), [['rm', '-rf', '/'], ['bash']]);
+  assert.deepStrictEqual(argvs("sh -s <<-'X'\n\tgit push -f\n\tX"), [['git', 'push', '-f'], ['sh', '-s']]);
+  assert.deepStrictEqual(argvs("zsh <<< 'rm -rf /'"), [['rm', '-rf', '/'], ['zsh']]);
+});
+
+test('heredoc fed to anything else stays data', () => {
+  assert.deepStrictEqual(argvs('cat <<EOF\nrm -rf /\nEOF'), [['cat']]);
+  assert.deepStrictEqual(argvs('bash script.sh <<EOF\nrm -rf /\nEOF'), [['bash', 'script.sh']]);
+});
+
+test('ANSI-C quoting is decoded', () => {
+  assert.deepStrictEqual(argvs("rm -rf $'/'"), [['rm', '-rf', '/']]);
+  assert.deepStrictEqual(argvs("rm -rf $'\\x2f' $'\\057'"), [['rm', '-rf', '/', '/']]);
+  assert.deepStrictEqual(argvs("echo $'it\\'s' $'a\\tb'"), [['echo', "it's", 'a\tb']]);
+});
+
+test('rm -rf / through a heredoc or ANSI-C quoting is blocked', () => {
+  for (const command of ['bash <<EOF\nrm -rf /\nEOF', "rm -rf $'/'"]) {
+    const { status, output } = validate(command);
+    assert.strictEqual(status, 2, command);
+    assert.match(output.hookSpecificOutput.validation, /rm -rf \/ \(system destruction\)/, command);
+  }
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parsePython } = require('../utils/python-parser');
+const { parseSuppressions, isSuppressed } = require('../utils/suppressions');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+const HEADER = [
+  'from kailash.workflow.builder import WorkflowBuilder',
+  'from kailash.runtime.local import LocalRuntime',
+  'workflow = WorkflowBuilder()',
+  'runtime = LocalRuntime()',
+];
+
+/**
+ * Project with flow.py holding `lines`; returns a function validating it
+ * and returning the [line, rule] of each finding, and the project root
+ */
+function project(lines, files = {}) {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, { '.git/HEAD': 'ref: refs/heads/main\n', 'flow.py': lines.join('\n') + '\n', ...files });
+  const validate = () => {
+    const { output } = runHook('validate-workflow.js', { tool_input: { file_path: path.join(root, 'flow.py') }, cwd: root }, home);
+    return output.hookSpecificOutput;
+  };
+  return { root, home, validate, found: () => validate().findings.map(f => [f.line, f.rule]) };
+}
+
+test('suppressions cover their own line, the next line when alone, or the file', () => {
+  const suppressions = parseSuppressions(parsePython([
+    'x = run(a)  # kailash: ignore[missing-build]',
+    '# kailash: ignore[missing-build, undefined-node]',
+    '',
+    'y = run(b)',
+    'z = run(c)  # kailash: ignore',
+    '# kailash: ignore-file[relative-import]',
+    '# kailash: ignore[]',
+  ].join('\n')));
+
+  assert.deepStrictEqual([...suppressions.file], ['relative-import']);
+  assert.deepStrictEqual([...suppressions.lines.keys()], [1, 4, 5]);
+  const suppressed = (line, rule) => isSuppressed({ line, rule }, suppressions);
+  assert.ok(suppressed(1, 'missing-build'));
+  assert.ok(!suppressed(1, 'undefined-node'));
+  assert.ok(suppressed(4, 'undefined-node'));
+  assert.ok(!suppressed(2, 'missing-build'));
+  assert.ok(suppressed(5, 'anything'));
+  assert.ok(suppressed(99, 'relative-import'));
+});
+
+test('suppressed findings are left out of the hook output', () => {
+  const { found } = project([
+    ...HEADER,
+    'runtime.execute(workflow)  # kailash: ignore[missing-build]',
+    '# kailash: ignore[missing-build]',
+    'runtime.execute(workflow)',
+    'runtime.execute(workflow)  # kailash: ignore[relative-import]',
+    'runtime.execute(workflow)',
+  ]);
+  assert.deepStrictEqual(found(), [[8, 'missing-build'], [9, 'missing-build']]);
+});
+
+test('a recorded baseline hides existing findings, matched by line text and count', () => {
+  const lines = [...HEADER, 'runtime.execute(workflow)', 'runtime.execute(workflow)'];
+  const { root, home, validate, found } = project(lines);
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'validate-workflow.js'), '--baseline', root], {
+    encoding: 'utf8',
+    env: { ...process.env, HOME: home, KAILASH_LEARNING_DIR: '' },
+    timeout: 10000
+  });
+  assert.strictEqual(result.status, 0, result.stderr);
+  const baseline = JSON.parse(fs.readFileSync(path.join(root, '.agent', 'workflow-baseline.json'), 'utf8'));
+  assert.deepStrictEqual(baseline.findings.map(f => [f.file, f.rule, f.line]), [['flow.py', 'missing-build', 5], ['flow.py', 'missing-build', 6]]);
+
+  const output = validate();
+  assert.deepStrictEqual(output.findings, []);
+  assert.strictEqual(output.baselined, 2);
+
+  // Moved lines still match; a third identical line is new
+  fs.writeFileSync(path.join(root, 'flow.py'), ['# moved', ...lines, 'runtime.execute(workflow)', ''].join('\n'));
+  assert.deepStrictEqual(found(), [[8, 'missing-build']]);
+
+  // A policy can turn the baseline off
+  writeFiles(root, { '.agent/policies/workflow.json': { baseline: false } });
+  assert.strictEqual(found().length, 3);
+});
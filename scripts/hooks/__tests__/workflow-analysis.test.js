@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePython } = require('../utils/python-parser');
+const { analyzeWorkflows } = require('../utils/workflow-analysis');
+
+const analyze = lines => analyzeWorkflows(parsePython(lines.join('\n')));
+
+test('a builder local to one function is not the same name in another', () => {
+  const workflows = analyze([
+    'from kailash.workflow.builder import WorkflowBuilder',
+    '',
+    'def make():',
+    '    workflow = WorkflowBuilder()',
+    '    return workflow',
+    '',
+    'def run(runtime):',
+    '    workflow = make().build()',
+    '    runtime.execute(workflow)',
+  ]);
+
+  const [execution] = workflows.executions;
+  assert.deepStrictEqual([execution.call.line, execution.call.col], [9, 5]);
+  assert.strictEqual(execution.definition.kind, 'built');
+  assert.strictEqual(execution.unbuilt, null);
+});
+
+test('the last assignment before the call decides what a name holds', () => {
+  const workflows = analyze([
+    'workflow = WorkflowBuilder()',
+    'runtime = LocalRuntime()',
+    'runtime.execute(workflow)',
+    'workflow = workflow.build()',
+    'runtime.execute(workflow)',
+  ]);
+
+  assert.deepStrictEqual(workflows.executions.map(e => [e.call.line, Boolean(e.unbuilt)]), [[3, true], [5, false]]);
+  assert.deepStrictEqual(workflows.bindings.get('0:workflow').map(b => b.kind), ['builder', 'built']);
+});
+
+test('functions see module-level builders and runtimes unless they bind the name', () => {
+  const workflows = analyze([
+    'workflow = WorkflowBuilder()',
+    'runtime = LocalRuntime()',
+    '',
+    'def main():',
+    '    runtime.execute(workflow)',
+    '',
+    'def other(workflow):',
+    '    runtime.execute(workflow)',
+    '',
+    'class Service:',
+    '    def __init__(self):',
+    '        self.flow = WorkflowBuilder()',
+    '',
+    '    def run(self):',
+    '        runtime.execute(self.flow)',
+  ]);
+
+  assert.deepStrictEqual(workflows.executions.map(e => [e.call.line, e.definition.kind, Boolean(e.unbuilt)]), [
+    [5, 'builder', true],
+    [8, 'unknown', false],
+    [15, 'builder', true],
+  ]);
+});
+
+test('nodes and connections carry the assignment of their builder', () => {
+  const workflows = analyze([
+    'def first():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("CSVReaderNode", "reader", {})',
+    '',
+    'def second():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("CSVReaderNode", "reader", {})',
+    '    workflow.add_connection("reader", "data", "writer", "data")',
+  ]);
+
+  const [a, b] = workflows.nodes;
+  assert.deepStrictEqual([a.definition.line, b.definition.line], [2, 6]);
+  assert.strictEqual(workflows.connections[0].definition, b.definition);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+/**
+ * Run validate-workflow with auto-fix enabled on `source`; returns the hook
+ * output and the file content afterwards
+ */
+function autoFix(source) {
+  const home = tempDir();
+  const root = tempDir();
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.agent/policies/workflow.json': { autoFix: { enabled: true } },
+    'flow.py': source
+  });
+  const file = path.join(root, 'flow.py');
+  const { output } = runHook('validate-workflow.js', { tool_input: { file_path: file }, cwd: root }, home);
+  return { output: output.hookSpecificOutput, content: fs.readFileSync(file, 'utf8') };
+}
+
+const HEADER = 'from kailash.workflow.builder import WorkflowBuilder\nfrom kailash.runtime.local import LocalRuntime\n\n';
+
+test('a missing .build() is added and the original is backed up', () => {
+  const source = HEADER + [
+    'workflow = WorkflowBuilder()',
+    'runtime = LocalRuntime()',
+    'results, run_id = runtime.execute(workflow)',
+    'workflow.execute(runtime)',
+    '',
+  ].join('\n');
+  const { output, content } = autoFix(source);
+
+  assert.strictEqual(content, HEADER + [
+    'workflow = WorkflowBuilder()',
+    'runtime = LocalRuntime()',
+    'results, run_id = runtime.execute(workflow.build())',
+    'runtime.execute(workflow.build())',
+    '',
+  ].join('\n'));
+  assert.deepStrictEqual(output.autoFix.applied.map(fix => [fix.rule, fix.line]), [['missing-build', 6], ['builder-execute', 7]]);
+  assert.strictEqual(fs.readFileSync(output.autoFix.backup, 'utf8'), source);
+  assert.deepStrictEqual(output.findings, []);
+});
+
+test('a builder made by a function and built by the caller is left alone', () => {
+  const source = HEADER + [
+    'def make():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("PythonCodeNode", "calc", {"code": "result = 1"})',
+    '    return workflow',
+    '',
+    'def run():',
+    '    runtime = LocalRuntime()',
+    '    workflow = make().build()',
+    '    return runtime.execute(workflow)',
+    '',
+  ].join('\n');
+  const { output, content } = autoFix(source);
+
+  assert.strictEqual(content, source);
+  assert.strictEqual(output.autoFix, undefined);
+  assert.deepStrictEqual(output.findings.filter(f => f.rule === 'missing-build'), []);
+});
+
+test('a name also assigned something other than a builder is reported but not rewritten', () => {
+  const source = HEADER + [
+    'def run(prebuilt):',
+    '    runtime = LocalRuntime()',
+    '    workflow = prebuilt',
+    '    if workflow is None:',
+    '        workflow = WorkflowBuilder()',
+    '    return runtime.execute(workflow)',
+    '',
+  ].join('\n');
+  const { output, content } = autoFix(source);
+
+  assert.strictEqual(content, source);
+  assert.strictEqual(output.autoFix, undefined);
+  assert.deepStrictEqual(output.findings.map(f => [f.rule, f.line]), [['missing-build', 9]]);
+});
+
+test('a builder returned by a function in the same module is built where it is executed', () => {
+  const lines = [
+    'def make():',
+    '    return WorkflowBuilder()',
+    '',
+    'runtime = LocalRuntime()',
+    'workflow = make()',
+    'runtime.execute(workflow)',
+    '',
+  ];
+  const { content } = autoFix(HEADER + lines.join('\n'));
+  assert.strictEqual(content, HEADER + lines.join('\n').replace('execute(workflow)', 'execute(workflow.build())'));
+});
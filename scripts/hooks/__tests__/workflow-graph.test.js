@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePython } = require('../utils/python-parser');
+const { analyzeWorkflows } = require('../utils/workflow-analysis');
+const { findCycles, validateWorkflowGraph } = require('../utils/workflow-graph');
+
+const edge = (source, target) => ({ source, target, connection: `${source}->${target}` });
+
+test('finds the cycle closed by each back edge', () => {
+  const edges = [edge('a', 'b'), edge('b', 'c'), edge('c', 'a'), edge('c', 'd'), edge('d', 'd')];
+  assert.deepStrictEqual(findCycles(['a', 'b', 'c', 'd'], edges), [
+    { path: ['a', 'b', 'c', 'a'], closing: 'c->a' },
+    { path: ['d', 'd'], closing: 'd->d' },
+  ]);
+  assert.deepStrictEqual(findCycles(['a', 'b'], [edge('a', 'b')]), []);
+});
+
+test('long connection chains do not overflow the stack', () => {
+  const count = 50000;
+  const edges = [];
+  for (let i = 0; i < count; i++) edges.push(edge(`n${i}`, `n${i + 1}`));
+  edges.push(edge(`n${count}`, 'n0'));
+
+  const started = Date.now();
+  const cycles = findCycles(edges.map(e => e.source), edges);
+  assert.strictEqual(cycles.length, 1);
+  assert.strictEqual(cycles[0].path.length, count + 2);
+  assert.ok(Date.now() - started < 2000, 'cycle search should be linear in the graph size');
+});
+
+test('builders of the same name in two functions are separate graphs', () => {
+  const module = parsePython([
+    'from kailash.workflow.builder import WorkflowBuilder',
+    '',
+    'def read_then_write():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("CSVReaderNode", "reader", {})',
+    '    workflow.add_node("CSVWriterNode", "writer", {})',
+    '    workflow.add_connection("reader", "data", "writer", "data")',
+    '    return workflow.build()',
+    '',
+    'def write_then_read():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("CSVWriterNode", "writer", {})',
+    '    workflow.add_node("CSVReaderNode", "reader", {})',
+    '    workflow.add_connection("writer", "result", "reader", "file_path")',
+    '    return workflow.build()',
+  ].join('\n'));
+
+  assert.deepStrictEqual(validateWorkflowGraph(analyzeWorkflows(module), module), []);
+});
+
+test('a cycle inside one function is still reported', () => {
+  const module = parsePython([
+    'def looping():',
+    '    workflow = WorkflowBuilder()',
+    '    workflow.add_node("PythonCodeNode", "a", {})',
+    '    workflow.add_node("PythonCodeNode", "b", {})',
+    '    workflow.add_connection("a", "result", "b", "data")',
+    '    workflow.add_connection("b", "result", "a", "data")',
+  ].join('\n'));
+
+  const findings = validateWorkflowGraph(analyzeWorkflows(module), module);
+  assert.deepStrictEqual(findings.map(f => [f.message, f.position.line]), [
+    ['Node "a" is unreachable in workflow: its only inputs come from a cycle with no entry node.', 3],
+    ['Node "b" is unreachable in workflow: its only inputs come from a cycle with no entry node.', 4],
+    ['Cycle a -> b -> a in workflow without enable_cycles=True. Enable cycles on the runtime or remove the loop.', 6],
+  ]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { runHook, tempDir, writeFiles } = require('./helpers');
+
+const FLOWS = [
+  'from kailash.workflow.builder import WorkflowBuilder',
+  '',
+  'def create_order_workflow():',
+  '    workflow = WorkflowBuilder()',
+  '    workflow.add_node("PythonCodeNode", "calc", {"code": "result = 1"})',
+  '    return workflow',
+  '',
+].join('\n');
+
+const RUN = [
+  'from kailash.runtime.local import LocalRuntime',
+  'from myapp.flows import create_order_workflow',
+  '',
+  'def main():',
+  '    runtime = LocalRuntime()',
+  '    workflow = create_order_workflow()',
+  '    runtime.execute(workflow)',
+  '',
+  'def built():',
+  '    runtime = LocalRuntime()',
+  '    workflow = create_order_workflow().build()',
+  '    runtime.execute(workflow)',
+  '',
+].join('\n');
+
+function project() {
+  const root = tempDir();
+  writeFiles(root, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    'myapp/__init__.py': '',
+    'myapp/flows.py': FLOWS,
+    'myapp/run.py': RUN
+  });
+  return root;
+}
+
+const validate = (root, file, home) =>
+  runHook('validate-workflow.js', { tool_input: { file_path: path.join(root, file) }, cwd: root }, home).output.hookSpecificOutput;
+
+test('a builder from another module executed without .build() is reported from either file', () => {
+  const home = tempDir();
+  const root = project();
+
+  for (const file of ['myapp/run.py', 'myapp/flows.py']) {
+    const output = validate(root, file, home);
+    const missing = output.findings.filter(f => f.rule === 'missing-build');
+    assert.deepStrictEqual(missing.map(f => [path.relative(root, f.file), f.line]), [[path.join('myapp', 'run.py'), 7]], file);
+    assert.match(missing[0].message, /WorkflowBuilder from myapp\/flows\.py/);
+  }
+});
+
+test('each project gets its own module cache, written whole', () => {
+  const home = tempDir();
+  const first = project();
+  const second = project();
+  validate(first, 'myapp/run.py', home);
+  validate(second, 'myapp/run.py', home);
+
+  const dir = path.join(home, '.claude', 'kailash-learning', 'cache', 'workflow-modules');
+  const caches = fs.readdirSync(dir);
+  assert.strictEqual(caches.length, 2);
+  assert.ok(caches.every(name => name.endsWith('.json')), caches.join(', '));
+  const roots = caches.map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')).projectRoot);
+  assert.deepStrictEqual(roots.sort(), [first, second].sort());
+});
+
+test('caches of projects not validated for 30 days are removed', () => {
+  const home = tempDir();
+  const dir = path.join(home, '.claude', 'kailash-learning', 'cache', 'workflow-modules');
+  writeFiles(dir, { 'stale.json': '{}', 'recent.json': '{}' });
+  const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+  fs.utimesSync(path.join(dir, 'stale.json'), old, old);
+
+  validate(project(), 'myapp/run.py', home);
+  const caches = fs.readdirSync(dir);
+  assert.ok(!caches.includes('stale.json'));
+  assert.ok(caches.includes('recent.json'));
+  assert.strictEqual(caches.length, 2);
+});
@@ -3,7 +3,24 @@
  * Hook: auto-format
  * Event: PostToolUse
  * Matcher: Edit|Write
- * Purpose: Auto-format Python, JavaScript, TypeScript files
+ * Purpose: Auto-format Python, JavaScript, TypeScript (and Dart, SQL, TOML, shell
+ *          through utils/format-adapters.js) files with the formatter
+ *          the project declares (pyproject.toml, .prettierrc*, biome.json, ...),
+ *          run through its runner (uv run, poetry run, pnpm exec, bunx, ...).
+ *          Projects that declare no formatter are not formatted.
+ *          Opt-in lint-and-fix pass afterwards (ruff check --fix, isort, eslint --fix)
+ *          via .agent/policies/format.json; what it cannot fix is reported as findings.
+ *          Each run reports the file's hash before and after, the line ranges it
+ *          rewrote and its duration; durations also accumulate per tool and
+ *          operation (format, lint) in <learning dir>/format-timings.json and
+ *          slow tools are flagged.
+ *          A locally installed prettier is kept loaded in a background daemon
+ *          (utils/format-daemon.js) instead of paying npx start-up on every call.
+ *          With "scope": "edit" only the lines an Edit wrote are formatted, one
+ *          range at a time (prettier --range-start/--range-end, ruff --range,
+ *          black --line-ranges).
+ *          Every edited path is also recorded as a file_edit observation, which
+ *          the next session's resume briefing lists (session-start.js).
  *
  * Exit Codes:
  *   0 = success (continue)
@@ -12,24 +29,73 @@
  */
 
 const fs = require('fs');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 const path = require('path');
+const { changedRanges } = require('./utils/diff');
+const { recordTimings } = require('./utils/format-timings');
+const { formatWithDaemon } = require('./utils/format-daemon');
+const { editedRanges, MAX_EDITED_RANGES } = require('./utils/edit-range');
+const { resolveFormatter, resolveLinter, parseLintReport, isFormattable } = require('./utils/formatters');
+const { loadFormatPolicy } = require('./utils/format-policy');
+const { getLearningDir } = require('./utils/project');
+
+// Leave headroom inside the hook's own timeout
+const FORMAT_TIMEOUT_MS = 4000;
+const HOOK_BUDGET_MS = 4500;
+
+// A loaded prettier answers well within this; past it, exec prettier instead
+const DAEMON_TIMEOUT_MS = 1500;
+
+// Changed ranges listed individually in hookSpecificOutput
+const MAX_REPORTED_RANGES = 20;
 
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => input += chunk);
-process.stdin.on('end', () => {
+process.stdin.on('end', async () => {
+  const deadline = Date.now() + HOOK_BUDGET_MS;
   try {
     const data = JSON.parse(input);
-    const result = autoFormat(data);
-    console.log(JSON.stringify({
-      continue: true,
-      hookSpecificOutput: {
-        hookEventName: 'PostToolUse',
-        formatted: result.formatted,
-        formatter: result.formatter
+    const filePath = data.tool_input?.file_path;
+    recordEdit(data);
+    const policy = filePath && fs.existsSync(filePath) ? loadFormatPolicy(path.dirname(path.resolve(filePath))) : null;
+    const result = await autoFormat(data, policy, deadline);
+    const hookSpecificOutput = {
+      hookEventName: 'PostToolUse',
+      formatted: result.formatted,
+      formatter: result.formatter,
+      command: result.command,
+      config: result.config,
+      changes: result.changes
+    };
+    if (result.ranges) hookSpecificOutput.ranges = result.ranges;
+    if (result.daemon) hookSpecificOutput.daemon = true;
+    if (result.daemonError) hookSpecificOutput.daemonError = result.daemonError;
+    // Per operation, as one tool (ruff) may both format and lint
+    const durations = { format: {}, lint: {} };
+    if (result.durationMs !== undefined) durations.format[result.tool] = result.durationMs;
+
+    if (policy) {
+      if (policy.lint.enabled) {
+        const lint = lintFile(filePath, Math.min(policy.lint.budgetMs, deadline - Date.now()));
+        if (lint) hookSpecificOutput.lint = lint;
+        if (lint && lint.durationMs !== undefined) durations.lint[lint.linter] = lint.durationMs;
+      }
+      if (policy.errors.length > 0) {
+        hookSpecificOutput.policyErrors = policy.errors;
+        policy.errors.forEach(err => console.error(`[POLICY ERROR] ${err}`));
       }
-    }));
+    }
+
+    const timed = Object.fromEntries(Object.entries(durations).filter(([, tools]) => Object.keys(tools).length > 0));
+    if (Object.keys(timed).length > 0) {
+      hookSpecificOutput.timing = { ...timed };
+      const slow = recordTimings(timed);
+      if (slow.length > 0) hookSpecificOutput.timing.slow = slow;
+    }
+
+    console.log(JSON.stringify({ continue: true, hookSpecificOutput }));
     process.exit(0);
   } catch (error) {
     console.error(`[HOOK ERROR] ${error.message}`);
@@ -38,7 +104,31 @@ process.stdin.on('end', () => {
   }
 });
 
-function autoFormat(data) {
+/**
+ * Append a file_edit observation for the written file. Never fails the hook.
+ */
+function recordEdit(data) {
+  const filePath = data.tool_input?.file_path;
+  if (!filePath || !data.session_id) return;
+  try {
+    const learningDir = getLearningDir();
+    fs.mkdirSync(learningDir, { recursive: true });
+    fs.appendFileSync(path.join(learningDir, 'observations.jsonl'), JSON.stringify({
+      type: 'file_edit',
+      session_id: data.session_id,
+      cwd: data.cwd,
+      timestamp: new Date().toISOString(),
+      data: { tool: data.tool_name, file_path: path.resolve(data.cwd || process.cwd(), filePath) }
+    }) + '\n');
+  } catch {}
+}
+
+/**
+ * Format the written file with the formatter its project declares (see utils/formatters.js).
+ * Prettier goes through the formatter daemon when the policy allows it (utils/format-daemon.js),
+ * and through exec when the daemon fails.
+ */
+async function autoFormat(data, policy, deadline = Date.now() + HOOK_BUDGET_MS) {
   const filePath = data.tool_input?.file_path;
 
   if (!filePath || !fs.existsSync(filePath)) {
@@ -46,46 +136,173 @@ function autoFormat(data) {
   }
 
   const ext = path.extname(filePath).toLowerCase();
+  if (!isFormattable(ext)) {
+    return { formatted: false, formatter: 'unsupported file type' };
+  }
 
   try {
-    // Python files: black or ruff
-    if (ext === '.py') {
-      try {
-        execSync(`black "${filePath}" 2>/dev/null`, { stdio: 'pipe' });
-        return { formatted: true, formatter: 'black' };
-      } catch {
-        // Try ruff if black not available
-        try {
-          execSync(`ruff format "${filePath}" 2>/dev/null`, { stdio: 'pipe' });
-          return { formatted: true, formatter: 'ruff' };
-        } catch {
-          return { formatted: false, formatter: 'none (black/ruff not found)' };
-        }
-      }
+    const before = fs.readFileSync(filePath, 'utf8');
+
+    // Range-only formatting: just what this Edit wrote, so legacy files keep reviewable diffs
+    const edited = policy && policy.scope === 'edit'
+      ? editedRanges(data.tool_input, before, data.tool_response)
+      : null;
+    if (edited && edited.empty) {
+      return { formatted: false, formatter: 'none (the edit only deleted text)' };
+    }
+    if (edited && edited.missing) {
+      return { formatted: false, formatter: 'none (edited text no longer in the file)' };
     }
+    if (edited && edited.ambiguous) {
+      return { formatted: false, formatter: 'none (cannot tell which occurrence the edit changed)' };
+    }
+    if (edited && edited.tooMany) {
+      return { formatted: false, formatter: `none (more than ${MAX_EDITED_RANGES} separate edited ranges)` };
+    }
+    // Last range first, so formatting one does not move the ones before it
+    const ranges = edited ? [...edited.ranges].reverse() : [null];
 
-    // JavaScript/TypeScript files: prettier
-    if (['.js', '.jsx', '.ts', '.tsx', '.json'].includes(ext)) {
-      try {
-        execSync(`npx prettier --write "${filePath}" 2>/dev/null`, { stdio: 'pipe' });
-        return { formatted: true, formatter: 'prettier' };
-      } catch {
-        return { formatted: false, formatter: 'none (prettier not found)' };
-      }
+    const formatter = resolveFormatter(filePath, ranges[0]);
+    if (!formatter) {
+      return { formatted: false, formatter: 'none (no formatter configured or installed)' };
+    }
+    if (formatter.missing) {
+      return { formatted: false, formatter: `none (${formatter.name} is configured but not installed)` };
     }
+    if (edited && !formatter.supportsRange) {
+      return { formatted: false, formatter: `none (${formatter.name} cannot format only the edited lines)` };
+    }
+
+    const details = { command: formatter.command, config: formatter.config, tool: formatter.name };
+    if (edited) details.ranges = edited.ranges.map(({ startLine, endLine }) => ({ startLine, endLine }));
+    const startedAt = Date.now();
 
-    // YAML/Markdown: prettier
-    if (['.yaml', '.yml', '.md'].includes(ext)) {
-      try {
-        execSync(`npx prettier --write "${filePath}" 2>/dev/null`, { stdio: 'pipe' });
-        return { formatted: true, formatter: 'prettier' };
-      } catch {
-        return { formatted: false, formatter: 'none' };
+    let failure = null;
+    for (const [index, range] of ranges.entries()) {
+      if (index > 0 && Date.now() > deadline - DAEMON_TIMEOUT_MS) {
+        failure = `out of time after ${index} of ${ranges.length} ranges`;
+        break;
       }
+      const command = index === 0 ? formatter : resolveFormatter(filePath, range);
+      failure = await formatOnce(filePath, command, range, policy, deadline, details);
+      if (failure) break;
     }
 
-    return { formatted: false, formatter: 'unsupported file type' };
+    const durationMs = Date.now() - startedAt;
+    if (failure) {
+      return { formatted: false, formatter: `none (${formatter.name} failed: ${failure})`, ...details, durationMs };
+    }
+    const changes = describeChanges(before, fs.readFileSync(filePath, 'utf8'));
+    return { formatted: true, formatter: formatter.name, ...details, changes, durationMs };
   } catch (error) {
     return { formatted: false, formatter: `error: ${error.message}` };
   }
 }
+
+/**
+ * Format the file (or `range` of it) once, through the daemon when it can and
+ * exec otherwise. Notes the daemon in `details`; returns why it failed, or null.
+ */
+async function formatOnce(filePath, formatter, range, policy, deadline, details) {
+  const daemon = formatter.name === 'prettier' && policy && policy.daemon.enabled
+    ? await formatWithDaemon(filePath, formatter.cwd, {
+      idleMinutes: policy.daemon.idleMinutes,
+      timeoutMs: DAEMON_TIMEOUT_MS,
+      range
+    })
+    : null;
+  if (daemon && daemon.ok) {
+    Object.assign(details, { daemon: true, command: `${daemon.prettier} (formatter daemon)` });
+    return null;
+  }
+  if (daemon) details.daemonError = daemon.error;
+  return runFormatter(formatter, Math.min(FORMAT_TIMEOUT_MS, Math.max(deadline - Date.now(), 500)));
+}
+
+/**
+ * Run a formatter command; returns why it failed, or null
+ */
+function runFormatter(formatter, timeoutMs = FORMAT_TIMEOUT_MS) {
+  try {
+    execSync(formatter.command, { cwd: formatter.cwd, stdio: 'pipe', timeout: timeoutMs });
+    return null;
+  } catch (error) {
+    return error.signal ? `timed out after ${timeoutMs}ms`
+      : String(error.stderr || '').trim().split('\n')[0] || `exit code ${error.status}`;
+  }
+}
+
+/**
+ * Run the project's linter with its fixes applied, within `budgetMs`.
+ * Returns { linter, command, config, findings, changes, durationMs } with the
+ * findings it could not fix, or null without a linter.
+ */
+function lintFile(filePath, budgetMs) {
+  const linter = resolveLinter(filePath);
+  if (!linter) return null;
+
+  const lint = { linter: linter.name, command: linter.command, config: linter.config, findings: [] };
+  if (budgetMs <= 0) {
+    return { ...lint, skipped: 'no time left in the hook budget' };
+  }
+
+  let stdout;
+  const before = fs.readFileSync(filePath, 'utf8');
+  const startedAt = Date.now();
+  try {
+    stdout = execSync(linter.command, { cwd: linter.cwd, stdio: 'pipe', timeout: budgetMs, encoding: 'utf8' });
+  } catch (error) {
+    lint.durationMs = Date.now() - startedAt;
+    if (error.signal) return { ...lint, skipped: `timed out after ${budgetMs}ms` };
+    // ruff and eslint exit 1 when findings remain; anything else is a failed run
+    if (error.status !== 1 || !error.stdout) {
+      const reason = String(error.stderr || '').trim().split('\n')[0] || `exit code ${error.status}`;
+      return { ...lint, error: reason };
+    }
+    stdout = error.stdout;
+  }
+  if (lint.durationMs === undefined) lint.durationMs = Date.now() - startedAt;
+  lint.changes = describeChanges(before, fs.readFileSync(filePath, 'utf8'));
+
+  try {
+    return { ...lint, findings: parseLintReport(linter.name, stdout, path.resolve(filePath)) };
+  } catch (error) {
+    return { ...lint, error: `unreadable ${linter.name} report: ${error.message}` };
+  }
+}
+
+/**
+ * Short content hash, as in the workflow baseline
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * What a tool rewrote: hashes, changed ranges (line numbers before and after)
+ * and a one-line summary in line numbers of the file as it now is
+ */
+function describeChanges(before, after) {
+  const hashBefore = hashContent(before);
+  if (before === after) return { changed: false, hash: hashBefore };
+
+  const ranges = changedRanges(before, after);
+  const linesAdded = ranges.reduce((sum, range) => sum + range.newLines, 0);
+  const linesRemoved = ranges.reduce((sum, range) => sum + range.oldLines, 0);
+  const spans = ranges.map(({ newStart, newLines, oldLines }) => {
+    if (newLines === 0) return `${oldLines} line(s) deleted ${newStart === 0 ? 'at the top' : `after line ${newStart}`}`;
+    return newLines === 1 ? `line ${newStart}` : `lines ${newStart}-${newStart + newLines - 1}`;
+  });
+  const listed = spans.slice(0, MAX_REPORTED_RANGES).join(', ') +
+    (spans.length > MAX_REPORTED_RANGES ? `, and ${spans.length - MAX_REPORTED_RANGES} more` : '');
+
+  return {
+    changed: true,
+    hashBefore,
+    hashAfter: hashContent(after),
+    linesAdded,
+    linesRemoved,
+    ranges: ranges.slice(0, MAX_REPORTED_RANGES),
+    summary: `+${linesAdded} -${linesRemoved} lines in ${ranges.length} place(s): ${listed}`
+  };
+}
@@ -2,7 +2,10 @@
 /**
  * Hook: session-start
  * Event: SessionStart
- * Purpose: Load previous session state, initialize logging, check environment
+ * Purpose: Load previous session state, initialize logging, check environment,
+ *          and brief the new session on where the last one in this directory
+ *          left off (files touched, latest pre-compact checkpoint, open TODOs,
+ *          interrupted stop checkpoint) through additionalContext
  *
  * Exit Codes:
  *   0 = success (continue)
@@ -12,6 +15,14 @@
 
 const fs = require("fs");
 const path = require("path");
+const { execSync } = require("child_process");
+const { getLearningDir } = require("./utils/project");
+
+// Longest list of files or TODOs in the resume briefing
+const MAX_BRIEFING_ITEMS = 10;
+
+// Checkpoint files read while looking for the latest one for this directory
+const MAX_CHECKPOINTS_SCANNED = 50;
 
 let input = "";
 process.stdin.setEncoding("utf8");
@@ -20,9 +31,15 @@ process.stdin.on("end", () => {
   try {
     const data = JSON.parse(input);
     const result = initializeSession(data);
-    // SessionStart hooks don't support hookSpecificOutput in schema
-    // Only PreToolUse, UserPromptSubmit, PostToolUse have hookSpecificOutput
-    console.log(JSON.stringify({ continue: true }));
+    // SessionStart only takes additionalContext, added to the new session
+    const output = { continue: true };
+    if (result.briefing) {
+      output.hookSpecificOutput = {
+        hookEventName: "SessionStart",
+        additionalContext: result.briefing,
+      };
+    }
+    console.log(JSON.stringify(output));
     process.exit(0);
   } catch (error) {
     console.error(`[HOOK ERROR] ${error.message}`);
@@ -36,7 +53,7 @@ function initializeSession(data) {
   const cwd = data.cwd || process.cwd();
   const homeDir = process.env.HOME || process.env.USERPROFILE;
   const sessionDir = path.join(homeDir, ".claude", "sessions");
-  const learningDir = path.join(homeDir, ".claude", "kailash-learning");
+  const learningDir = getLearningDir();
 
   // Ensure directories exist
   [sessionDir, learningDir].forEach((dir) => {
@@ -45,18 +62,8 @@ function initializeSession(data) {
     } catch {}
   });
 
-  // Load previous session if exists
-  let previousSession = null;
-  const sessionFile = path.join(sessionDir, `${session_id}.json`);
-  const lastSessionFile = path.join(sessionDir, "last-session.json");
-
-  try {
-    if (fs.existsSync(sessionFile)) {
-      previousSession = JSON.parse(fs.readFileSync(sessionFile, "utf8"));
-    } else if (fs.existsSync(lastSessionFile)) {
-      previousSession = JSON.parse(fs.readFileSync(lastSessionFile, "utf8"));
-    }
-  } catch {}
+  // Load previous session in this directory if exists
+  const previousSession = findPreviousSession(sessionDir, session_id, cwd);
 
   // Check for .env file
   let envExists = false;
@@ -88,10 +95,18 @@ function initializeSession(data) {
     warnings.push("No .env file found. Ensure environment variables are set.");
   }
 
+  const briefing = buildResumeBriefing({
+    previousSession,
+    cwd,
+    claudeDir: path.join(homeDir, ".claude"),
+    learningDir,
+  });
+
   return {
     session_id,
     cwd,
     previousSession: previousSession ? "loaded" : "none",
+    briefing,
     envExists,
     framework,
     warnings,
@@ -127,3 +142,237 @@ function detectFramework(cwd) {
     return "unknown";
   }
 }
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function sameDir(a, b) {
+  return Boolean(a && b) && path.resolve(a) === path.resolve(b);
+}
+
+/**
+ * The session being resumed (same id), else the last one saved for this cwd
+ */
+function findPreviousSession(sessionDir, sessionId, cwd) {
+  const own = readJson(path.join(sessionDir, `${sessionId}.json`));
+  if (own) return own;
+
+  const last = readJson(path.join(sessionDir, "last-session.json"));
+  if (last && sameDir(last.cwd, cwd)) return last;
+
+  try {
+    const files = fs
+      .readdirSync(sessionDir)
+      .filter((f) => f.endsWith(".json") && f !== "last-session.json")
+      .map((f) => ({
+        path: path.join(sessionDir, f),
+        mtime: fs.statSync(path.join(sessionDir, f)).mtimeMs,
+      }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const file of files) {
+      const session = readJson(file.path);
+      if (session && sameDir(session.cwd, cwd)) return session;
+    }
+  } catch {}
+  return null;
+}
+
+/**
+ * Newest checkpoint for this directory: a pre-compact one, or with `stop` set
+ * a stop_* one
+ */
+function latestCheckpoint(checkpointDir, cwd, stop) {
+  try {
+    const files = fs
+      .readdirSync(checkpointDir)
+      .filter((f) => f.endsWith(".json") && f.startsWith("stop_") === stop)
+      .map((f) => ({
+        path: path.join(checkpointDir, f),
+        mtime: fs.statSync(path.join(checkpointDir, f)).mtimeMs,
+      }))
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(0, MAX_CHECKPOINTS_SCANNED);
+    for (const file of files) {
+      const checkpoint = readJson(file.path);
+      if (checkpoint && sameDir(checkpoint.cwd, cwd)) return checkpoint;
+    }
+  } catch {}
+  return null;
+}
+
+/**
+ * Unfinished items of a session's todo lists (~/.claude/todos/<session>-*.json)
+ */
+function openTodos(todosDir, sessionId) {
+  if (!sessionId) return [];
+  try {
+    return fs
+      .readdirSync(todosDir)
+      .filter((f) => f.startsWith(sessionId) && f.endsWith(".json"))
+      .flatMap((f) => readJson(path.join(todosDir, f)) || [])
+      .filter((todo) => todo && todo.content && todo.status !== "completed");
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Files a session wrote, from the file_edit observations auto-format.js records
+ */
+function editedFiles(learningDir, sessionId) {
+  const files = [];
+  try {
+    const lines = fs
+      .readFileSync(path.join(learningDir, "observations.jsonl"), "utf8")
+      .split("\n");
+    for (const line of lines) {
+      if (!line.includes(sessionId)) continue;
+      try {
+        const observation = JSON.parse(line);
+        if (
+          observation.type !== "file_edit" ||
+          observation.session_id !== sessionId
+        ) {
+          continue;
+        }
+        const file = observation.data?.file_path;
+        if (typeof file === "string") files.push(file);
+      } catch {}
+    }
+  } catch {}
+  return files;
+}
+
+/**
+ * Uncommitted changes in the working tree, or [] outside git
+ */
+function uncommittedFiles(cwd) {
+  try {
+    return execSync("git status --porcelain", {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 1000,
+    })
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => line.slice(3).replace(/^.* -> /, ""));
+  } catch {
+    return [];
+  }
+}
+
+function listItems(items) {
+  const shown = items.slice(0, MAX_BRIEFING_ITEMS).join(", ");
+  const more = items.length - MAX_BRIEFING_ITEMS;
+  return more > 0 ? `${shown} (+${more} more)` : shown;
+}
+
+/**
+ * Concise markdown briefing on where the last session in `cwd` left off,
+ * or null when there is nothing to resume
+ */
+function buildResumeBriefing({ previousSession, cwd, claudeDir, learningDir }) {
+  const checkpointDir = path.join(claudeDir, "checkpoints");
+  const compact = latestCheckpoint(checkpointDir, cwd, false);
+  let stop = latestCheckpoint(checkpointDir, cwd, true);
+
+  // A stop checkpoint only matters when no session ended cleanly after it
+  if (
+    stop &&
+    previousSession?.endedAt &&
+    stop.timestamp < previousSession.endedAt
+  ) {
+    stop = null;
+  }
+
+  if (!previousSession && !compact && !stop) return null;
+  const sessionIds = [
+    ...new Set([
+      stop?.session_id,
+      previousSession?.session_id,
+      compact?.session_id,
+    ]),
+  ].filter(Boolean);
+
+  const lines = [`## Resuming work in ${cwd}`];
+  if (previousSession) {
+    const ended = previousSession.endedAt
+      ? `, ended ${previousSession.endedAt}`
+      : "";
+    lines.push(`Previous session ${previousSession.session_id}${ended}.`);
+  }
+
+  // What was worked on
+  const context = compact?.preservedContext || {};
+  const stats = previousSession?.stats || {};
+  const worked = [];
+  if (context.frameworkInUse) {
+    worked.push(`framework: ${context.frameworkInUse}`);
+  }
+  if (context.activeWorkflows?.length) {
+    worked.push(
+      `workflows: ${listItems(
+        context.activeWorkflows.map((w) => `${w.name} (${w.file})`),
+      )}`,
+    );
+  }
+  const patterns = Object.entries(context.criticalPatterns || {})
+    .filter(([, present]) => present)
+    .map(([name]) => name.replace(/^has/, ""));
+  if (patterns.length) worked.push(`patterns: ${patterns.join(", ")}`);
+  if (stats.workflowFiles) {
+    worked.push(`${stats.workflowFiles} workflow file(s)`);
+  }
+  if (worked.length) lines.push(`- Worked on: ${worked.join("; ")}`);
+
+  // Files touched
+  const relative = (file) =>
+    path.isAbsolute(file) ? path.relative(cwd, file) || file : file;
+  const touched = [
+    ...new Set([
+      ...sessionIds.flatMap((id) => editedFiles(learningDir, id)),
+      ...(context.recentlyModified || []),
+    ].map(relative)),
+  ];
+  if (touched.length) lines.push(`- Files touched: ${listItems(touched)}`);
+  const uncommitted = uncommittedFiles(cwd);
+  if (uncommitted.length) {
+    lines.push(`- Uncommitted changes: ${listItems(uncommitted)}`);
+  }
+
+  if (compact) {
+    lines.push(`- Last compaction: ${compact.compactedAt}`);
+  }
+
+  // Open TODOs
+  const todosDir = path.join(claudeDir, "todos");
+  const todos = sessionIds.flatMap((id) => openTodos(todosDir, id));
+  if (todos.length) {
+    lines.push("- Open TODOs:");
+    for (const todo of todos.slice(0, MAX_BRIEFING_ITEMS)) {
+      lines.push(`  - [${todo.status || "pending"}] ${todo.content}`);
+    }
+    if (todos.length > MAX_BRIEFING_ITEMS) {
+      lines.push(`  - ... ${todos.length - MAX_BRIEFING_ITEMS} more`);
+    }
+  }
+
+  if (stop) {
+    const work =
+      typeof stop.pending_work === "string"
+        ? stop.pending_work
+        : JSON.stringify(stop.pending_work);
+    const pending = stop.pending_work ? `; pending work: ${work}` : "";
+    lines.push(
+      `- Interrupted at ${stop.timestamp} before the session ended${pending}`,
+    );
+  }
+
+  return lines.join("\n");
+}
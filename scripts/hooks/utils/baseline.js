@@ -0,0 +1,108 @@
+/**
+ * Baseline of Known Findings for validate-workflow
+ *
+ * A committed JSON file listing the findings a project already has, so only
+ * new violations are reported. Entries are matched by file, rule and a
+ * fingerprint of the flagged line's text rather than its number, so they
+ * survive edits elsewhere in the file; identical lines are matched by count.
+ *
+ * Written by:
+ *   node scripts/hooks/validate-workflow.js --baseline <dir> [--output <file>]
+ *
+ * File format:
+ *   {
+ *     "version": 1,
+ *     "findings": [
+ *       { "file": "src/flows.py", "rule": "missing-build", "fingerprint": "9c1f0e2a7b3d4c5e",
+ *         "line": 12, "message": "Missing .build() call. ..." }
+ *     ]
+ *   }
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readPolicyFile } = require('./bash-policy');
+
+const BASELINE_VERSION = 1;
+
+const DEFAULT_BASELINE = path.join('.agent', 'workflow-baseline.json');
+
+/**
+ * Project-relative, '/'-separated path of a file
+ */
+function relativeFile(file, root) {
+  return path.relative(root, path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * Fingerprint of a finding: its rule and the trimmed text of its line
+ */
+function fingerprint(finding, lines) {
+  const text = finding.line ? (lines[finding.line - 1] || '').trim() : '';
+  return crypto.createHash('sha256').update(`${finding.rule}\n${text}`).digest('hex').slice(0, 16);
+}
+
+const keyOf = (file, rule, print) => `${file}\0${rule}\0${print}`;
+
+/**
+ * Load a baseline file as a Map of entry key -> count. Returns null when it does not exist.
+ */
+function loadBaseline(file, errors) {
+  const baseline = readPolicyFile(file, errors);
+  if (!baseline) return null;
+  if (!Array.isArray(baseline.findings)) {
+    errors.push(`${file}: "findings" must be an array`);
+    return null;
+  }
+  const counts = new Map();
+  for (const entry of baseline.findings) {
+    if (!entry || typeof entry.file !== 'string' || typeof entry.rule !== 'string' || typeof entry.fingerprint !== 'string') {
+      errors.push(`${file}: every finding needs "file", "rule" and "fingerprint"`);
+      return null;
+    }
+    const key = keyOf(entry.file, entry.rule, entry.fingerprint);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Split the findings of one file into new ones and ones recorded in the baseline
+ */
+function filterBaseline(findings, content, baseline, root) {
+  if (!baseline || findings.length === 0) return { findings, baselined: 0 };
+  const lines = content.split(/\r\n|\r|\n/);
+  const remaining = new Map(baseline);
+  const fresh = [];
+  for (const finding of findings) {
+    const key = keyOf(relativeFile(finding.file, root), finding.rule, fingerprint(finding, lines));
+    if (remaining.get(key) > 0) remaining.set(key, remaining.get(key) - 1);
+    else fresh.push(finding);
+  }
+  return { findings: fresh, baselined: findings.length - fresh.length };
+}
+
+/**
+ * Build a baseline from [{ content, findings }] per file
+ */
+function createBaseline(files, root) {
+  const findings = files.flatMap(({ content, findings: fileFindings }) => {
+    const lines = content.split(/\r\n|\r|\n/);
+    return fileFindings.map(finding => ({
+      file: relativeFile(finding.file, root),
+      rule: finding.rule,
+      fingerprint: fingerprint(finding, lines),
+      line: finding.line,
+      message: finding.message
+    }));
+  });
+  findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.rule.localeCompare(b.rule));
+  return { version: BASELINE_VERSION, findings };
+}
+
+module.exports = {
+  loadBaseline,
+  filterBaseline,
+  createBaseline,
+  DEFAULT_BASELINE,
+};
@@ -0,0 +1,506 @@
+/**
+ * Bash Command Policy for validate-bash-command
+ *
+ * Built-in rules are layered with two optional JSON policy files:
+ *   1. built-in defaults (below)
+ *   2. user policy:    <learning dir>/policies/bash.json
+ *   3. project policy: <project root>/.agent/policies/bash.json
+ *
+ * Later layers win. An entry whose id matches an earlier rule overrides its
+ * fields (or disables it with "enabled": false); any other entry is a new rule
+ * evaluated before the rules of earlier layers.
+ *
+ * The project policy lives in the repository, where the agent can edit it, so
+ * it cannot weaken the critical built-in blocks (rm-root, mkfs, fork-bomb, ...):
+ * its overrides of those are ignored and reported, and those rules are still
+ * evaluated ahead of its own rules. Only the user policy can change them.
+ *
+ * Policy file format:
+ *   {
+ *     "rules": [
+ *       {
+ *         "id": "no-prod-psql",
+ *         "action": "block",                  // block | warn | allow
+ *         "command": ["psql"],                // sub-command name(s)
+ *         "args": "prod\\.internal",          // regex over the arguments
+ *         "pattern": "^psql\\b",              // regex over the whole sub-command
+ *         "message": "Blocked: production database",
+ *         "severity": "critical",             // critical | high | medium | low | info
+ *         "paths": ["services/billing/**"]    // only when cwd is inside these
+ *       }
+ *     ],
+ *     "longRunning": [ ...same entry shape, action defaults to "warn"... ],
+ *     "git": { "protectedBranches": ["main", "master", "release/*"] },
+ *     "network": { "mode": "block", "allowedHosts": ["pypi.org", "*.corp.example.com"] },
+ *     "filesystem": { "protectedPaths": ["data/"], "allowedPaths": ["~/.cache"], "globWarnThreshold": 100 }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitArgs, SHELLS } = require('./shell-parser');
+const { getLearningDir, findProjectRoot, matchesGlob } = require('./project');
+const { GIT_RULES, DEFAULT_PROTECTED_BRANCHES } = require('./git-safety');
+const { SECRET_RULES } = require('./secret-scanner');
+const { NETWORK_RULES, MODES: NETWORK_MODES } = require('./network-egress');
+const { FILESYSTEM_RULES, DEFAULT_PROTECTED_PATHS, DEFAULT_GLOB_WARN_THRESHOLD } = require('./filesystem-guard');
+const { detectLongRunning } = require('./long-running');
+const { SEVERITIES } = require('./findings');
+
+const ACTIONS = ['block', 'warn', 'allow'];
+const DEFAULT_SEVERITY = { block: 'high', warn: 'medium', allow: 'info' };
+const RULE_KEYS = ['id', 'action', 'command', 'args', 'pattern', 'message', 'severity', 'paths', 'enabled'];
+
+const PROJECT_POLICY = path.join('.agent', 'policies', 'bash.json');
+const USER_POLICY = path.join('policies', 'bash.json');
+
+const LONG_RUNNING_MESSAGE = 'WARNING: Long-running command. Consider using run_in_background or tmux.';
+
+/**
+ * True when `target` names the filesystem root (/, //, /*, /.)
+ */
+function isRootPath(target) {
+  return /^\/+(\.|\*)?\/*$/.test(target);
+}
+
+// Dangerous commands, evaluated against every sub-command
+const DEFAULT_RULES = [
+  {
+    id: 'rm-root',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: rm -rf / (system destruction)',
+    test: cmd => {
+      if (cmd.name !== 'rm') return false;
+      const { flags, operands } = splitArgs(cmd.args);
+      const recursive = flags.has('r') || flags.has('R') || flags.has('recursive');
+      return recursive && (flags.has('no-preserve-root') || operands.some(isRootPath));
+    }
+  },
+  {
+    id: 'block-device-write',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Writing to block device',
+    test: cmd => cmd.redirects.some(r => r.op.includes('>') && /^\/dev\/sd/.test(r.target || ''))
+  },
+  {
+    id: 'mkfs',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Filesystem formatting',
+    test: cmd => /^mkfs(\.|$)/.test(cmd.name)
+  },
+  {
+    id: 'dd-disk',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: dd to disk',
+    test: cmd => cmd.name === 'dd' && cmd.args.some(arg => /^of=\/dev\/sd/.test(arg))
+  },
+  {
+    id: 'chmod-777-root',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: chmod 777 on root',
+    test: cmd => {
+      if (cmd.name !== 'chmod') return false;
+      const { flags, operands } = splitArgs(cmd.args);
+      const recursive = flags.has('R') || flags.has('recursive');
+      return recursive && operands[0] === '777' && operands.slice(1).some(isRootPath);
+    }
+  },
+  ...FILESYSTEM_RULES,
+  // Ahead of curl-pipe-shell so an enforced allowlist is not shadowed by its warning
+  ...NETWORK_RULES,
+  {
+    id: 'curl-pipe-shell',
+    action: 'warn',
+    severity: 'high',
+    message: 'WARNING: Piping curl to shell is dangerous',
+    test: (cmd, pipeline) => ['curl', 'wget'].includes(cmd.name) &&
+      pipeline.some(other => other.position > cmd.position && SHELLS.has(other.name))
+  },
+  {
+    // Matched against the whole command line with quoted strings blanked out
+    id: 'fork-bomb',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Fork bomb',
+    raw: /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/
+  },
+  ...GIT_RULES,
+  ...SECRET_RULES,
+];
+
+// Built-in blocks only the user policy may override
+const CRITICAL_RULE_IDS = new Set(DEFAULT_RULES
+  .filter(rule => rule.action === 'block' && rule.severity === 'critical')
+  .map(rule => rule.id));
+
+/**
+ * Built-in long-running rule for one detection kind (see long-running.js)
+ */
+function longRunningRule(id, kind) {
+  return {
+    id,
+    test: (cmd, pipeline, context) => {
+      context.longRunning = context.longRunning || new Map();
+      if (!context.longRunning.has(cmd)) {
+        context.longRunning.set(cmd, detectLongRunning(cmd, context));
+      }
+      const detection = context.longRunning.get(cmd);
+      return detection && detection.kind === kind
+        ? { detail: detection.detail, suggestion: detection.suggestion }
+        : false;
+    }
+  };
+}
+
+// Commands that never exit on their own
+const DEFAULT_LONG_RUNNING = [
+  longRunningRule('dev-server', 'server'),
+  longRunningRule('watch-mode', 'watch'),
+  longRunningRule('follow-output', 'follow'),
+  {
+    // Matched against the whole command line with quoted strings blanked out
+    id: 'infinite-loop',
+    message: 'WARNING: Infinite loop never exits. Consider using run_in_background or tmux.',
+    raw: /\b(while\s+(true|:|\[\s*1\s*\])|until\s+false)\s*;?\s*do\b(?![\s\S]*&\s*$)/
+  },
+];
+
+/**
+ * Read one policy file. Returns null when it does not exist.
+ */
+function readPolicyFile(filePath, errors) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      errors.push(`${filePath}: policy must be a JSON object`);
+      return null;
+    }
+    return policy;
+  } catch (e) {
+    errors.push(`${filePath}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Compile a regex field, recording an error when it is invalid
+ */
+function compilePattern(value, label, errors) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a regex string`);
+    return null;
+  }
+  try {
+    return new RegExp(value);
+  } catch (e) {
+    errors.push(`${label}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate and normalize one policy entry. Returns null if it is unusable.
+ * `known` is true when the entry overrides an existing rule, which makes the
+ * matcher fields optional.
+ */
+function normalizeEntry(entry, where, known, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${where}: entry must be an object`);
+    return null;
+  }
+  const label = `${where} (${entry.id || 'no id'})`;
+  const before = errors.length;
+
+  if (typeof entry.id !== 'string' || entry.id.length === 0) {
+    errors.push(`${label}: "id" is required`);
+  }
+  for (const key of Object.keys(entry)) {
+    if (!RULE_KEYS.includes(key)) errors.push(`${label}: unknown field "${key}"`);
+  }
+  if (entry.action !== undefined && !ACTIONS.includes(entry.action)) {
+    errors.push(`${label}: "action" must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (entry.severity !== undefined && !SEVERITIES.includes(entry.severity)) {
+    errors.push(`${label}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (entry.message !== undefined && typeof entry.message !== 'string') {
+    errors.push(`${label}: "message" must be a string`);
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    errors.push(`${label}: "enabled" must be true or false`);
+  }
+
+  const commands = entry.command === undefined ? undefined : [].concat(entry.command);
+  if (commands && !commands.every(c => typeof c === 'string')) {
+    errors.push(`${label}: "command" must be a string or array of strings`);
+  }
+  const paths = entry.paths;
+  if (paths !== undefined && (!Array.isArray(paths) || !paths.every(p => typeof p === 'string'))) {
+    errors.push(`${label}: "paths" must be an array of glob strings`);
+  }
+
+  const args = compilePattern(entry.args, `${label}: "args"`, errors);
+  const pattern = compilePattern(entry.pattern, `${label}: "pattern"`, errors);
+
+  const hasMatcher = commands !== undefined || args !== undefined || pattern !== undefined;
+  if (!known && !hasMatcher && entry.enabled !== false) {
+    errors.push(`${label}: needs at least one of "command", "args" or "pattern"`);
+  }
+
+  if (errors.length > before) return null;
+
+  const rule = { id: entry.id };
+  if (entry.action !== undefined) rule.action = entry.action;
+  if (entry.severity !== undefined) rule.severity = entry.severity;
+  if (entry.message !== undefined) rule.message = entry.message;
+  if (entry.enabled !== undefined) rule.enabled = entry.enabled;
+  if (paths !== undefined) rule.paths = paths;
+  if (hasMatcher) {
+    rule.matcher = { commands, args, pattern };
+  }
+  return rule;
+}
+
+/**
+ * Layer policy entries over a rule list. Overrides keep the id but move to
+ * the overriding layer; new rules go in front of everything before them.
+ * Entries for `locked` ids are refused, and those rules stay in front.
+ */
+function applyLayer(rules, entries, source, where, defaults, errors, locked = new Set()) {
+  if (entries === undefined) return rules;
+  if (!Array.isArray(entries)) {
+    errors.push(`${where}: must be an array`);
+    return rules;
+  }
+
+  const layer = [];
+  let remaining = rules;
+
+  entries.forEach((entry, index) => {
+    if (locked.has(entry?.id)) {
+      errors.push(`${where}[${index}] (${entry.id}): ignored, a ${source} policy cannot override ` +
+        `the critical built-in rule "${entry.id}" (only the user policy can)`);
+      return;
+    }
+    const existing = remaining.find(rule => rule.id === entry?.id) ||
+      layer.find(rule => rule.id === entry?.id);
+    const rule = normalizeEntry(entry, `${where}[${index}]`, Boolean(existing), errors);
+    if (!rule) return;
+
+    remaining = remaining.filter(r => r.id !== rule.id);
+    const base = existing ? { ...existing } : { ...defaults };
+    // A new matcher replaces the built-in test
+    if (rule.matcher) {
+      delete base.test;
+      delete base.raw;
+    }
+    const merged = { ...base, ...rule, source };
+    // Changing the action without a severity picks the action's default
+    if (!merged.severity || (rule.action && !rule.severity)) {
+      merged.severity = DEFAULT_SEVERITY[merged.action];
+    }
+
+    const replaced = layer.findIndex(r => r.id === rule.id);
+    if (replaced >= 0) layer.splice(replaced, 1);
+    if (merged.enabled !== false) layer.push(merged);
+  });
+
+  const guarded = remaining.filter(rule => locked.has(rule.id) && rule.action === 'block');
+  return [...guarded, ...layer, ...remaining.filter(rule => !guarded.includes(rule))];
+}
+
+/**
+ * Validate the "git" section of a policy file
+ */
+function readGitSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const branches = section.protectedBranches;
+  if (branches !== undefined && (!Array.isArray(branches) || !branches.every(b => typeof b === 'string'))) {
+    errors.push(`${where}: "protectedBranches" must be an array of branch names or globs`);
+    return null;
+  }
+  return section;
+}
+
+/**
+ * Validate the "network" section of a policy file
+ */
+function readNetworkSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const before = errors.length;
+  if (section.mode !== undefined && !NETWORK_MODES.includes(section.mode)) {
+    errors.push(`${where}: "mode" must be one of ${NETWORK_MODES.join(', ')}`);
+  }
+  const hosts = section.allowedHosts;
+  if (hosts !== undefined && (!Array.isArray(hosts) || !hosts.every(h => typeof h === 'string'))) {
+    errors.push(`${where}: "allowedHosts" must be an array of host names or *.domain patterns`);
+  }
+  return errors.length > before ? null : section;
+}
+
+/**
+ * Validate the "filesystem" section of a policy file
+ */
+function readFilesystemSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const before = errors.length;
+  for (const key of ['protectedPaths', 'allowedPaths']) {
+    const value = section[key];
+    if (value !== undefined && (!Array.isArray(value) || !value.every(p => typeof p === 'string'))) {
+      errors.push(`${where}: "${key}" must be an array of paths or globs`);
+    }
+  }
+  const threshold = section.globWarnThreshold;
+  if (threshold !== undefined && !(Number.isInteger(threshold) && threshold > 0)) {
+    errors.push(`${where}: "globWarnThreshold" must be a positive integer`);
+  }
+  return errors.length > before ? null : section;
+}
+
+/**
+ * Load the merged policy for a session cwd
+ */
+function loadBashPolicy(cwd) {
+  const errors = [];
+  const projectRoot = findProjectRoot(cwd);
+
+  let rules = DEFAULT_RULES.map(rule => ({ ...rule, source: 'builtin' }));
+  let longRunning = DEFAULT_LONG_RUNNING.map(rule => ({
+    action: 'warn',
+    severity: 'low',
+    message: LONG_RUNNING_MESSAGE,
+    ...rule,
+    source: 'builtin'
+  }));
+  const git = { protectedBranches: DEFAULT_PROTECTED_BRANCHES };
+  const network = { mode: 'off', allowedHosts: [] };
+  const filesystem = {
+    protectedPaths: DEFAULT_PROTECTED_PATHS,
+    allowedPaths: [],
+    globWarnThreshold: DEFAULT_GLOB_WARN_THRESHOLD
+  };
+  const files = [];
+
+  const layers = [
+    { source: 'user', file: path.join(getLearningDir(), USER_POLICY) },
+    { source: 'project', file: path.join(projectRoot, PROJECT_POLICY) },
+  ];
+
+  for (const { source, file } of layers) {
+    const policy = readPolicyFile(file, errors);
+    if (!policy) continue;
+    files.push(file);
+    rules = applyLayer(rules, policy.rules, source, `${file}: rules`,
+      { action: 'block' }, errors, source === 'project' ? CRITICAL_RULE_IDS : undefined);
+    longRunning = applyLayer(longRunning, policy.longRunning, source, `${file}: longRunning`,
+      { action: 'warn', severity: 'low', message: LONG_RUNNING_MESSAGE }, errors);
+
+    const gitSection = readGitSection(policy.git, `${file}: git`, errors);
+    if (gitSection && gitSection.protectedBranches) {
+      git.protectedBranches = gitSection.protectedBranches;
+    }
+
+    const networkSection = readNetworkSection(policy.network, `${file}: network`, errors);
+    if (networkSection) {
+      if (networkSection.mode) network.mode = networkSection.mode;
+      if (networkSection.allowedHosts) network.allowedHosts = networkSection.allowedHosts;
+    }
+
+    // Protected paths accumulate across layers; a layer can add but not remove them
+    const filesystemSection = readFilesystemSection(policy.filesystem, `${file}: filesystem`, errors);
+    if (filesystemSection) {
+      if (filesystemSection.protectedPaths) {
+        filesystem.protectedPaths = [...filesystem.protectedPaths, ...filesystemSection.protectedPaths];
+      }
+      if (filesystemSection.allowedPaths) filesystem.allowedPaths = filesystemSection.allowedPaths;
+      if (filesystemSection.globWarnThreshold) filesystem.globWarnThreshold = filesystemSection.globWarnThreshold;
+    }
+  }
+
+  // network.mode picks the action of the egress rule unless a rules entry overrides it
+  if (network.mode !== 'off') {
+    rules = rules.map(rule => rule.id === 'network-egress' && rule.source === 'builtin'
+      ? { ...rule, action: network.mode }
+      : rule);
+  }
+
+  return { rules, longRunning, git, network, filesystem, projectRoot, files, errors };
+}
+
+/**
+ * True when a rule applies to a sub-command run from `cwd`
+ */
+function ruleMatches(rule, cmd, pipeline, context) {
+  if (rule.paths) {
+    const relative = path.relative(context.projectRoot, path.resolve(context.cwd));
+    if (relative.startsWith('..') || !rule.paths.some(glob => matchesGlob(relative, glob))) {
+      return false;
+    }
+  }
+
+  if (rule.test) return rule.test(cmd, pipeline, context);
+  if (!rule.matcher) return false;
+
+  const { commands, args, pattern } = rule.matcher;
+  if (commands && !commands.includes(cmd.name)) return false;
+  if (args && !args.test(cmd.args.join(' '))) return false;
+  if (pattern && !pattern.test(cmd.text)) return false;
+  return true;
+}
+
+/**
+ * Find the first rule (in priority order) that matches a sub-command.
+ * A test may return a string (kept as the match `detail`) or an object with
+ * `detail` and `suggestion`.
+ */
+function findMatchingRule(rules, cmd, pipeline, context) {
+  for (const rule of rules) {
+    if (rule.raw) continue;
+    const match = ruleMatches(rule, cmd, pipeline, context);
+    if (!match) continue;
+    if (typeof match === 'string') return { ...rule, detail: match };
+    if (typeof match === 'object') return { ...rule, detail: match.detail, suggestion: match.suggestion };
+    return rule;
+  }
+  return null;
+}
+
+/**
+ * Find the first raw rule whose pattern matches the masked command line
+ */
+function findRawRule(rules, maskedCommand) {
+  return rules.find(rule => rule.raw && rule.raw.test(maskedCommand)) || null;
+}
+
+module.exports = {
+  loadBashPolicy,
+  findMatchingRule,
+  findRawRule,
+  ruleMatches,
+  normalizeEntry,
+  readPolicyFile,
+  DEFAULT_RULES,
+  DEFAULT_LONG_RUNNING,
+  CRITICAL_RULE_IDS,
+  PROJECT_POLICY,
+  USER_POLICY,
+};
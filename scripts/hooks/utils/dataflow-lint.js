@@ -0,0 +1,234 @@
+/**
+ * DataFlow Model Lint for validate-workflow
+ *
+ * Checks the @db.model classes of a parsed module and the DataFlow nodes it
+ * adds for the gotchas documented in the 02-dataflow skill:
+ * - primary keys not named `id`
+ * - created_at / updated_at set manually (DataFlow manages both)
+ * - field types DataFlow cannot map to a column
+ * - generated node names with the operation first (`CreateUserNode`)
+ * - generated nodes for models neither defined in the file nor imported
+ */
+
+const { TOKEN, tokenText } = require('./python-parser');
+const { literal } = require('./workflow-analysis');
+const { suggestNodeType } = require('./node-catalogue');
+
+// The 11 nodes generated per model, longest first so BulkCreate wins over Create
+const OPERATIONS = ['BulkCreate', 'BulkUpdate', 'BulkDelete', 'BulkUpsert', 'Create', 'Read', 'Update', 'Delete', 'List', 'Upsert', 'Count'];
+
+const GENERATED_NODE = new RegExp(`^([A-Z]\\w*?)(${OPERATIONS.join('|')})Node$`);
+const OPERATION_FIRST = new RegExp(`^(${OPERATIONS.join('|')})([A-Z]\\w*)Node$`);
+
+// Nodes that write records, and config keys that only select or order them
+const WRITE_OPERATIONS = ['Create', 'Update', 'Upsert', 'BulkCreate', 'BulkUpdate', 'BulkUpsert'];
+const SELECTOR_KEYS = ['filter', 'where', 'conflict_on', 'order_by', 'sort'];
+
+const TIMESTAMP_FIELDS = ['created_at', 'updated_at'];
+
+// Column types from the dataflow-models type table; Optional/Union are unwrapped
+const SUPPORTED_TYPES = ['str', 'int', 'float', 'bool', 'datetime', 'date', 'Decimal', 'dict', 'Dict', 'list', 'List', 'UUID'];
+
+// Calls that create models from an existing database schema at runtime
+const SCHEMA_DISCOVERY = ['discover_schema', 'register_schema_as_models'];
+
+const RULES = {
+  'dataflow-primary-key': { severity: 'high', description: 'DataFlow primary keys must be named id' },
+  'dataflow-field-type': { severity: 'high', description: 'Model field type DataFlow cannot map to a column' },
+  'dataflow-node-name': { severity: 'high', description: 'Generated node name with the operation first' },
+  'dataflow-unknown-model': { severity: 'high', description: 'Generated node for a model not defined or imported' },
+  'dataflow-timestamp-field': { severity: 'medium', description: 'created_at/updated_at set manually' },
+};
+
+/**
+ * True when a decorator statement is `@<instance>.model` (with or without arguments)
+ */
+function isModelDecorator(tokens, decorator) {
+  const text = tokenText(tokens, decorator.start + 1, decorator.end).replace(/\(.*$/s, '');
+  return /^\w+(\.\w+)*\.model$/.test(text.replace(/\s+/g, ''));
+}
+
+/**
+ * Fields declared directly in a class body: [{ name, annotation, value, line, col }]
+ */
+function modelFields(module, scope) {
+  const { tokens } = module;
+  const fields = [];
+  for (const statement of scope.body) {
+    if (statement.scopes[statement.scopes.length - 1] !== scope || statement.level !== scope.level + 1) continue;
+    const first = tokens[statement.start];
+    if (first.type !== TOKEN.NAME || tokens[statement.start + 1]?.value !== ':' || first.value.startsWith('__')) continue;
+
+    const assignment = module.assignments.find(a => a.statement === statement);
+    fields.push({
+      name: first.value,
+      annotation: assignment ? assignment.annotation : tokenText(tokens, statement.start + 2, statement.end),
+      value: assignment ? assignment.value : null,
+      line: statement.line,
+      col: statement.col
+    });
+  }
+  return fields;
+}
+
+/**
+ * @db.model classes of a module: [{ name, fields, line, col }]
+ */
+function findModels(module) {
+  return module.statements
+    .filter(s => s.scope && s.scope.kind === 'class' && s.scope.decorators.some(d => isModelDecorator(module.tokens, d)))
+    .map(s => ({ name: s.scope.name, fields: modelFields(module, s.scope), line: s.line, col: s.col }));
+}
+
+/**
+ * Type names of an annotation that DataFlow does not support, or [] when all are.
+ * `Optional[X]`, `X | None` and `Union[X, None]` check X; `List[X]` checks X too.
+ */
+function unsupportedTypes(annotation) {
+  const text = annotation.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const alternatives = text.split('|').map(part => part.trim()).filter(part => part !== 'None');
+  if (alternatives.length > 1) return alternatives.flatMap(unsupportedTypes);
+
+  const [, head, inner] = alternatives[0].match(/^([\w.]+)\s*(?:\[(.*)\])?$/s) || [];
+  if (!head) return [alternatives[0]];
+  const base = head.split('.').pop();
+  if (base === 'Optional' || base === 'Union') {
+    return (inner || '').split(',').map(part => part.trim()).filter(part => part && part !== 'None').flatMap(unsupportedTypes);
+  }
+  if (!SUPPORTED_TYPES.includes(base)) return [head];
+  if ((base === 'List' || base === 'list') && inner) return unsupportedTypes(inner);
+  return [];
+}
+
+/**
+ * True when a field is declared with primary_key=True
+ */
+function isPrimaryKey(field) {
+  return Boolean(field.value && field.value.type === 'call' && field.value.args.some(arg =>
+    arg.keyword === 'primary_key' && arg.value.type === 'constant' && arg.value.value === true));
+}
+
+/**
+ * Keys of created_at/updated_at entries in a node config, skipping filters.
+ * Descends into nested dicts and lists (fields, create/update, bulk records).
+ */
+function timestampKeys(expression) {
+  if (!expression) return [];
+  if (expression.type === 'list' || expression.type === 'tuple') return expression.items.flatMap(timestampKeys);
+  if (expression.type !== 'dict') return [];
+  return expression.entries.flatMap(({ key, value }) => {
+    const name = literal(key);
+    if (SELECTOR_KEYS.includes(name)) return [];
+    return [...(TIMESTAMP_FIELDS.includes(name) ? [{ name, position: key }] : []), ...timestampKeys(value)];
+  });
+}
+
+/**
+ * Lint DataFlow models and generated node usage. Returns [{ rule, position, message, fix }].
+ */
+function lintDataFlow(module, workflows, catalogue) {
+  const models = findModels(module);
+  const usesDataFlow = module.imports.some(entry => entry.module.split('.')[0] === 'dataflow');
+  if (models.length === 0 && !usesDataFlow) return [];
+
+  const findings = [];
+  const supported = SUPPORTED_TYPES.join(', ');
+
+  for (const model of models) {
+    // DataFlow adds `id` when it is missing, so `user_id` on User is meant as the key
+    const hasId = model.fields.some(field => field.name === 'id');
+    const ownKey = `${model.name.replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase()}_id`;
+    for (const field of model.fields) {
+      const customKey = field.name !== 'id' && (isPrimaryKey(field) || (!hasId && field.name === ownKey));
+      if (customKey) {
+        findings.push({
+          rule: 'dataflow-primary-key',
+          position: field,
+          fix: 'id: str',
+          message: `Model "${model.name}" uses "${field.name}" as its primary key. DataFlow requires the primary key to be named "id".`
+        });
+      }
+      if (field.annotation) {
+        for (const type of unsupportedTypes(field.annotation)) {
+          findings.push({
+            rule: 'dataflow-field-type',
+            position: field,
+            message: `Model "${model.name}" field "${field.name}" has unsupported type "${type}". Supported: ${supported}.`
+          });
+        }
+      }
+    }
+  }
+
+  // Models may live in another module: anything imported by name could be one
+  const modelNames = new Set(models.map(model => model.name));
+  const known = new Set(modelNames);
+  module.imports.forEach(entry => known.add(entry.alias || entry.name || entry.module));
+  const local = new Set(module.statements.filter(s => s.scope && s.scope.kind === 'class').map(s => s.scope.name));
+  const catalogued = name => Boolean(catalogue && catalogue.nodes[name]);
+  const checkModels = !module.imports.some(entry => entry.name === '*') &&
+    !module.calls.some(call => SCHEMA_DISCOVERY.includes(call.method));
+
+  for (const node of workflows.nodes) {
+    if (!node.type || local.has(node.type) || catalogued(node.type)) continue;
+
+    const reversed = node.type.match(OPERATION_FIRST);
+    if (reversed && !GENERATED_NODE.test(node.type)) {
+      findings.push({
+        rule: 'dataflow-node-name',
+        position: node.call,
+        fix: `${reversed[2]}${reversed[1]}Node`,
+        message: `Node type "${node.type}" puts the operation first. DataFlow generates "${reversed[2]}${reversed[1]}Node".`
+      });
+      continue;
+    }
+
+    const match = node.type.match(GENERATED_NODE);
+    if (!match) continue;
+    const [, model, operation] = match;
+
+    if (checkModels && !known.has(model)) {
+      const suggestion = suggestNodeType(model, Object.fromEntries([...modelNames].map(name => [name, true])));
+      findings.push({
+        rule: 'dataflow-unknown-model',
+        position: node.call,
+        fix: suggestion ? `${suggestion}${operation}Node` : null,
+        message: `Node type "${node.type}" refers to model "${model}", which is not defined in this file or imported.` +
+          (suggestion ? ` Did you mean "${suggestion}${operation}Node"?` : '')
+      });
+    }
+
+    if (WRITE_OPERATIONS.includes(operation)) {
+      for (const { name, position } of timestampKeys(node.config)) {
+        findings.push({
+          rule: 'dataflow-timestamp-field',
+          position,
+          message: `Node "${node.id || node.type}" sets "${name}" manually. DataFlow manages created_at and updated_at.`
+        });
+      }
+    }
+  }
+
+  // data["updated_at"] = ... before passing data to a node
+  for (const assignment of module.assignments) {
+    for (const target of assignment.targets) {
+      const [, name] = target.match(/\[\s*['"](created_at|updated_at)['"]\s*\]$/) || [];
+      if (name) {
+        findings.push({
+          rule: 'dataflow-timestamp-field',
+          position: assignment,
+          message: `"${name}" is set manually. DataFlow manages created_at and updated_at; remove the assignment.`
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  lintDataFlow,
+  findModels,
+  unsupportedTypes,
+  RULES,
+};
@@ -0,0 +1,180 @@
+/**
+ * Unified Diff
+ *
+ * Line-based diff (Myers' O(ND) algorithm) rendered in the unified format
+ * of `diff -u`, for hooks that rewrite files and report what changed.
+ */
+
+// Marks a final line without a newline, which never equals a line with one
+const NO_NEWLINE = '\0';
+
+// Largest changed region (old + new lines) diffed line by line; a larger one is reported whole
+const MAX_RANGE_DIFF_LINES = 2000;
+
+/**
+ * Split text into lines; a last line without a newline ends in NO_NEWLINE
+ */
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_NEWLINE;
+  return lines;
+}
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace back from (n, m) to recover the edit script
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = previous[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      script.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d === 0) break;
+    if (x === prevX) script.push({ type: '+', line: b[--y] });
+    else script.push({ type: '-', line: a[--x] });
+  }
+  return script.reverse();
+}
+
+/**
+ * Unified diff of two texts, or '' when they are equal
+ */
+function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+  const script = diffLines(splitLines(before), splitLines(after));
+
+  // Attach old/new line numbers (0-based) to every entry
+  let oldLine = 0;
+  let newLine = 0;
+  const entries = script.map(entry => {
+    const numbered = { ...entry, oldLine, newLine };
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+    return numbered;
+  });
+
+  // Group changes that are within 2 * context lines of each other
+  const hunks = [];
+  entries.forEach((entry, i) => {
+    if (entry.type === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= 2 * context) last.end = i;
+    else hunks.push({ start: i, end: i });
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(entries.length - 1, hunk.end + context);
+    const slice = entries.slice(from, to + 1);
+    const oldCount = slice.filter(e => e.type !== '+').length;
+    const newCount = slice.filter(e => e.type !== '-').length;
+    const oldStart = oldCount > 0 ? slice.find(e => e.type !== '+').oldLine + 1 : entries[from].oldLine;
+    const newStart = newCount > 0 ? slice.find(e => e.type !== '-').newLine + 1 : entries[from].newLine;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const entry of slice) {
+      if (entry.line.endsWith(NO_NEWLINE)) {
+        output.push(`${entry.type}${entry.line.slice(0, -1)}`, '\\ No newline at end of file');
+      } else {
+        output.push(`${entry.type}${entry.line}`);
+      }
+    }
+  }
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Changed regions of two texts without context lines, as unified diff hunk
+ * headers: [{ oldStart, oldLines, newStart, newLines }]. Lines are 1-based and
+ * a start with a count of 0 is the line before the change.
+ */
+function changedRanges(before, after) {
+  if (before === after) return [];
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Formatters usually leave most of a file alone: only diff what lies between the common ends
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+
+  const script = oldMiddle.length + newMiddle.length > MAX_RANGE_DIFF_LINES
+    ? [...oldMiddle.map(line => ({ type: '-', line })), ...newMiddle.map(line => ({ type: '+', line }))]
+    : diffLines(oldMiddle, newMiddle);
+
+  const ranges = [];
+  let oldLine = prefix;
+  let newLine = prefix;
+  let current = null;
+  for (const entry of script) {
+    if (entry.type === ' ') {
+      current = null;
+      oldLine++;
+      newLine++;
+      continue;
+    }
+    if (!current) {
+      current = { oldStart: oldLine, oldLines: 0, newStart: newLine, newLines: 0 };
+      ranges.push(current);
+    }
+    if (entry.type === '-') {
+      current.oldLines++;
+      oldLine++;
+    } else {
+      current.newLines++;
+      newLine++;
+    }
+  }
+  for (const range of ranges) {
+    if (range.oldLines > 0) range.oldStart++;
+    if (range.newLines > 0) range.newStart++;
+  }
+  return ranges;
+}
+
+module.exports = {
+  unifiedDiff,
+  changedRanges,
+  diffLines,
+};
@@ -0,0 +1,149 @@
+/**
+ * Edited Range for auto-format
+ *
+ * Finds the parts of a file an Edit (or MultiEdit) tool call just wrote, so
+ * range-only formatting leaves the rest of a never-formatted legacy file
+ * alone. A Write rewrote the whole file and has no range.
+ *
+ * When the tool response carries the file as it was before the edit, the
+ * edits are replayed on it, which pins down exactly which occurrence each one
+ * replaced. Without it, a replacement text must occur once in the file to be
+ * located, except with replace_all, where every occurrence counts as edited.
+ */
+
+// More separate ranges than this are not formatted one by one
+const MAX_EDITED_RANGES = 10;
+
+/**
+ * Edits of an Edit ({ old_string, new_string }) or MultiEdit ({ edits: [...] }) call
+ */
+function editsOf(toolInput) {
+  const edits = Array.isArray(toolInput.edits) ? toolInput.edits : [toolInput];
+  return edits.filter(edit => edit && typeof edit.old_string === 'string' && typeof edit.new_string === 'string');
+}
+
+/**
+ * The file before the edit, when the tool response includes it
+ */
+function originalContent(toolResponse) {
+  if (!toolResponse || typeof toolResponse !== 'object') return null;
+  const original = toolResponse.originalFile ?? toolResponse.originalFileContents;
+  return typeof original === 'string' ? original : null;
+}
+
+/**
+ * Where offset `position` of a text ends up after `replacements`
+ * ([index, oldLength, newLength], in order). An offset inside a replaced
+ * part moves to the start (`side` 'start') or end of its new text.
+ */
+function mapOffset(position, replacements, side) {
+  let shift = 0;
+  for (const [index, oldLength, newLength] of replacements) {
+    if (position <= index) break;
+    if (position < index + oldLength) return index + shift + (side === 'start' ? 0 : newLength);
+    shift += newLength - oldLength;
+  }
+  return position + shift;
+}
+
+/**
+ * Replay the edits on the original content, tracking the written spans as
+ * [start, end) offsets. Returns the spans, or null when the replay does not
+ * reproduce `content` (the file changed some other way too).
+ */
+function replayEdits(edits, original, content) {
+  let text = original;
+  let spans = [];
+
+  for (const { old_string: oldString, new_string: newString, replace_all: replaceAll } of edits) {
+    if (oldString === '') return null;
+    const replacements = [];
+    for (let index = text.indexOf(oldString); index !== -1;
+      index = replaceAll ? text.indexOf(oldString, index + oldString.length) : -1) {
+      replacements.push([index, oldString.length, newString.length]);
+    }
+    if (replacements.length === 0) return null;
+
+    // Spans of earlier edits move with the text; one an edit overlaps grows to cover it
+    spans = spans.map(([start, end]) => [mapOffset(start, replacements, 'start'), mapOffset(end, replacements, 'end')]);
+    let result = '';
+    let last = 0;
+    for (const [index] of replacements) {
+      const start = result.length + index - last;
+      result += text.slice(last, index) + newString;
+      if (newString !== '') spans.push([start, start + newString.length]);
+      last = index + oldString.length;
+    }
+    text = result + text.slice(last);
+  }
+
+  return text === content ? spans.filter(([start, end]) => end > start) : null;
+}
+
+/**
+ * Locate the edits in `content` alone: [start, end) spans, or null when a
+ * replacement text does not occur exactly once (every occurrence with replace_all)
+ */
+function locateEdits(edits, content) {
+  const spans = [];
+  for (const { new_string: newString, replace_all: replaceAll } of edits) {
+    if (newString === '') continue;
+    const found = [];
+    for (let index = content.indexOf(newString); index !== -1; index = content.indexOf(newString, index + newString.length)) {
+      found.push([index, index + newString.length]);
+    }
+    if (found.length === 0) return { missing: true };
+    if (found.length > 1 && !replaceAll) return null;
+    spans.push(...found);
+  }
+  return spans;
+}
+
+/**
+ * Sort spans and merge the ones that share a line, as line ranges
+ */
+function toRanges(spans, content) {
+  const lineAt = offset => content.slice(0, offset).split('\n').length;
+  const ranges = [];
+  for (const [start, end] of [...spans].sort((a, b) => a[0] - b[0])) {
+    const range = { startLine: lineAt(start), endLine: lineAt(Math.max(start, end - 1)), startOffset: start, endOffset: end };
+    const previous = ranges[ranges.length - 1];
+    if (previous && range.startLine <= previous.endLine) {
+      previous.endLine = Math.max(previous.endLine, range.endLine);
+      previous.endOffset = Math.max(previous.endOffset, range.endOffset);
+    } else {
+      ranges.push(range);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Ranges of `content` written by the tool call:
+ *   { ranges: [{ startLine, endLine, startOffset, endOffset }, ...] } - in file
+ *     order; 1-based lines, inclusive; offsets into the string, end exclusive
+ *   { empty: true }      - the edits only deleted text
+ *   { missing: true }    - an edited text is no longer in the file
+ *   { ambiguous: true }  - which occurrence was edited cannot be told
+ *   { tooMany: true }    - more than MAX_EDITED_RANGES separate ranges
+ *   null                 - not an edit: the whole file was written
+ */
+function editedRanges(toolInput, content, toolResponse = null) {
+  const edits = editsOf(toolInput || {});
+  if (edits.length === 0) return null;
+
+  const original = originalContent(toolResponse);
+  let spans = original !== null ? replayEdits(edits, original, content) : null;
+  if (spans === null) spans = locateEdits(edits, content);
+  if (spans === null) return { ambiguous: true };
+  if (spans.missing) return spans;
+  if (spans.length === 0) return { empty: true };
+
+  const ranges = toRanges(spans, content);
+  return ranges.length > MAX_EDITED_RANGES ? { tooMany: true } : { ranges };
+}
+
+module.exports = {
+  editedRanges,
+  MAX_EDITED_RANGES,
+};
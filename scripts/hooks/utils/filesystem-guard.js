@@ -0,0 +1,338 @@
+/**
+ * Destructive Filesystem Guard for validate-bash-command
+ *
+ * Resolves the targets of rm, rmdir, unlink, shred, mv, chmod, chown,
+ * truncate and find -delete against the session cwd (following any earlier
+ * `cd` on the same command line) and:
+ * - blocks targets outside the project tree (temp directories excepted)
+ * - blocks targets on, or containing, protected paths and the home directory
+ * - warns when a glob target expands to a large number of files
+ *
+ * Configured by the "filesystem" section of the bash policy:
+ *   {
+ *     "filesystem": {
+ *       "protectedPaths": ["data/fixtures"],     // added to the defaults below
+ *       "allowedPaths": ["~/.cache/kailash"],    // outside the project, still allowed
+ *       "globWarnThreshold": 100
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { splitArgs } = require('./shell-parser');
+const { globToRegExp, matchesGlob } = require('./project');
+const { isEnvFile } = require('./secret-scanner');
+
+// Relative to the project root; .git directories and .env files are protected at any depth
+const DEFAULT_PROTECTED_PATHS = ['.git', '.env', '.agent/skills', '.gemini/knowledge', 'sdk-users'];
+
+const DEFAULT_GLOB_WARN_THRESHOLD = 100;
+
+// Directory entries a glob expansion may visit before giving up (hook time budget)
+const MAX_GLOB_VISITS = 20000;
+
+const TEMP_DIRS = [os.tmpdir(), '/tmp', '/var/tmp'];
+
+const GLOB_CHARS = /[*?[]/;
+
+// find tests that restrict which files -delete removes
+const FIND_TESTS = /^-(i?name|i?path|i?wholename|i?regex|type|newer\w*|[acm]time|[acm]min|size|empty|user|group|perm|links)$/;
+
+/**
+ * Values of `--name=value` options
+ */
+function longOptionValues(args, names) {
+  return args
+    .filter(arg => names.some(name => arg.startsWith(`${name}=`)))
+    .map(arg => arg.slice(arg.indexOf('=') + 1));
+}
+
+/**
+ * Operands after the leading mode/owner operand of chmod and chown.
+ * `chmod -x file` is a mode, not an option.
+ */
+function operandsAfterSpec(args, isMode) {
+  const operands = [];
+  let spec = args.some(arg => arg.startsWith('--reference='));
+  let endOfOptions = false;
+  for (const arg of args) {
+    if (!endOfOptions && arg === '--') {
+      endOfOptions = true;
+    } else if (!endOfOptions && arg.startsWith('-') && !(isMode && !spec && /^-[rwxXst]+$/.test(arg))) {
+      continue;
+    } else if (!spec) {
+      spec = true;
+    } else {
+      operands.push(arg);
+    }
+  }
+  return operands;
+}
+
+/**
+ * The paths a destructive sub-command operates on, or null for other commands.
+ * `recursive` is true when whole directory trees are affected.
+ */
+function destructiveTargets(cmd) {
+  const { name, args } = cmd;
+  const { flags, operands } = splitArgs(args);
+
+  switch (name) {
+    case 'rm':
+      return { targets: operands, recursive: flags.has('r') || flags.has('R') || flags.has('recursive') };
+    case 'rmdir':
+    case 'unlink':
+    case 'shred':
+      return { targets: operands, recursive: false };
+    case 'mv':
+      return { targets: [...operands, ...longOptionValues(args, ['--target-directory'])], recursive: true };
+    case 'chmod':
+    case 'chown':
+    case 'chgrp':
+      return {
+        targets: operandsAfterSpec(args, name === 'chmod'),
+        recursive: flags.has('R') || flags.has('recursive')
+      };
+    case 'truncate': {
+      const targets = [];
+      for (let i = 0; i < args.length; i++) {
+        if (['-s', '--size', '-r', '--reference'].includes(args[i])) i++;
+        else if (!args[i].startsWith('-')) targets.push(args[i]);
+      }
+      return { targets, recursive: false };
+    }
+    case 'find': {
+      const deletes = args.includes('-delete') || args.some((arg, i) =>
+        ['-exec', '-execdir', '-ok'].includes(arg) && ['rm', 'shred', 'unlink'].includes(path.basename(args[i + 1] || '')));
+      if (!deletes) return null;
+      const start = args.findIndex(arg => /^[-(!]/.test(arg));
+      const roots = (start === -1 ? args : args.slice(0, start));
+      // With a test such as -name only the matching files go, not whole trees
+      const filtered = args.some(arg => FIND_TESTS.test(arg));
+      return { targets: roots.length > 0 ? roots : ['.'], recursive: !filtered };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Expand ~, $HOME and $PWD. Returns null for other variables, which cannot be resolved.
+ */
+function expandTarget(target, cwd) {
+  const expanded = target
+    .replace(/^~(?=\/|$)/, os.homedir())
+    .replace(/^\$\{?HOME\}?(?=\/|$)/, os.homedir())
+    .replace(/^\$\{?PWD\}?(?=\/|$)/, cwd);
+  return /[$`]/.test(expanded) ? null : expanded;
+}
+
+/**
+ * True when `child` is `parent` or lies inside it
+ */
+function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Working directory of a sub-command after the `cd`s before it on the same
+ * command line. A cd inside a subshell only applies within subshells.
+ * Returns null when a cd target cannot be resolved (cd -, cd $DIR).
+ */
+function effectiveCwd(cmd, context) {
+  const commands = context.commands || [];
+  let cwd = context.cwd;
+  for (const other of commands.slice(0, commands.indexOf(cmd))) {
+    if (other.name !== 'cd' || (other.nesting !== 'top' && other.nesting !== cmd.nesting)) continue;
+    const { operands } = splitArgs(other.args);
+    const target = operands.length === 0 ? os.homedir() : expandTarget(operands[0], cwd);
+    if (!target || target === '-' || cwd === null) return null;
+    cwd = path.resolve(cwd, target);
+  }
+  return cwd;
+}
+
+/**
+ * Resolve the targets of a destructive sub-command, cached per command.
+ * Targets that depend on an unknown variable or directory are skipped.
+ */
+function resolvedTargets(cmd, context) {
+  context.fsTargets = context.fsTargets || new Map();
+  if (!context.fsTargets.has(cmd)) {
+    const found = destructiveTargets(cmd);
+    const cwd = found && effectiveCwd(cmd, context);
+    const resolved = found
+      ? found.targets.map(target => {
+        const expanded = expandTarget(target, cwd || context.cwd);
+        if (!expanded || (cwd === null && !path.isAbsolute(expanded))) return null;
+        return { target, resolved: path.resolve(cwd || context.cwd, expanded), recursive: found.recursive };
+      }).filter(Boolean)
+      : [];
+    context.fsTargets.set(cmd, resolved);
+  }
+  return context.fsTargets.get(cmd);
+}
+
+/**
+ * True when the glob `pattern` expands to `target` or, for recursive
+ * operations, to one of its parent directories. `*` skips dotfiles.
+ */
+function globCovers(pattern, target, recursive) {
+  const globSegments = pattern.split(path.sep);
+  const targetSegments = target.split(path.sep);
+  if (globSegments.includes('**') || targetSegments.length < globSegments.length) return false;
+  if (!recursive && targetSegments.length !== globSegments.length) return false;
+  return globSegments.every((segment, i) => {
+    const name = targetSegments[i];
+    if (!GLOB_CHARS.test(segment)) return segment === name;
+    return globToRegExp(segment).test(name) && (segment.startsWith('.') || !name.startsWith('.'));
+  });
+}
+
+/**
+ * Protected path a resolved target touches, or null.
+ * Recursive operations on a directory that contains a protected path count too.
+ */
+function protectedPathFor({ resolved, recursive }, context) {
+  const root = context.projectRoot;
+  const relative = path.relative(root, resolved).split(path.sep).join('/');
+  const protectedPaths = context.filesystem?.protectedPaths || DEFAULT_PROTECTED_PATHS;
+
+  if (relative.split('/').includes('.git')) return '.git';
+  if (isEnvFile(path.basename(resolved))) return path.basename(resolved);
+
+  for (const glob of protectedPaths) {
+    if (isInside(resolved, root) && matchesGlob(relative, glob)) return glob;
+    if (GLOB_CHARS.test(glob)) continue;
+    const absolute = path.join(root, glob);
+    // rm -rf .agent removes .agent/skills; rm -rf * removes sdk-users
+    const covered = GLOB_CHARS.test(resolved)
+      ? globCovers(resolved, absolute, recursive)
+      : recursive && isInside(absolute, resolved);
+    if (covered && absolute !== resolved && fs.existsSync(absolute)) return glob;
+  }
+  return null;
+}
+
+/**
+ * Why a resolved target is protected, or null. The home directory, and any
+ * directory containing it, is protected wherever the project lives.
+ */
+function protectionFor(target, context) {
+  const home = os.homedir();
+  if (target.resolved === home || (target.recursive && isInside(home, target.resolved))) {
+    const where = isInside(target.resolved, context.projectRoot) ? '' : ', a protected path outside the project';
+    return target.resolved === home
+      ? `is the home directory${where}`
+      : `resolves to ${target.resolved}, which contains the home directory${where}`;
+  }
+  const protectedPath = protectedPathFor(target, context);
+  return protectedPath ? `touches ${protectedPath}` : null;
+}
+
+/**
+ * True when a resolved path outside the project is still allowed
+ */
+function isAllowedOutside(resolved, context) {
+  const allowed = (context.filesystem?.allowedPaths || [])
+    .map(entry => path.resolve(context.cwd, expandTarget(entry, context.cwd) || entry));
+  return [...TEMP_DIRS, ...allowed].some(dir => isInside(resolved, dir) && resolved !== dir);
+}
+
+/**
+ * Count the files an absolute glob expands to, stopping once `limit` is exceeded.
+ * Follows shell rules: `*` does not match a leading dot unless the pattern does.
+ */
+function countGlobMatches(pattern, limit) {
+  const segments = pattern.split(path.sep);
+  let count = 0;
+  let visits = 0;
+
+  const visit = (dir, index) => {
+    if (count > limit || visits > MAX_GLOB_VISITS) return;
+    if (index === segments.length) {
+      if (fs.existsSync(dir)) count++;
+      return;
+    }
+    const segment = segments[index];
+    if (!GLOB_CHARS.test(segment)) {
+      visit(path.join(dir, segment), index + 1);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    visits += entries.length;
+
+    if (segment === '**') {
+      visit(dir, index + 1);
+      entries.filter(e => e.isDirectory() && !e.name.startsWith('.'))
+        .forEach(e => visit(path.join(dir, e.name), index));
+      return;
+    }
+    const regex = globToRegExp(segment);
+    entries
+      .filter(e => regex.test(e.name) && (segment.startsWith('.') || !e.name.startsWith('.')))
+      .forEach(e => visit(path.join(dir, e.name), index + 1));
+  };
+
+  visit(path.sep, 1);
+  return count;
+}
+
+const FILESYSTEM_RULES = [
+  {
+    id: 'fs-protected-path',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Destructive command on a protected path',
+    test: (cmd, pipeline, context) => {
+      for (const target of resolvedTargets(cmd, context)) {
+        const protection = protectionFor(target, context);
+        if (protection) return `${cmd.name} ${target.target} ${protection}`;
+      }
+      return false;
+    }
+  },
+  {
+    id: 'fs-outside-project',
+    action: 'block',
+    severity: 'high',
+    message: 'Blocked: Destructive command on a path outside the project',
+    test: (cmd, pipeline, context) => {
+      const outside = resolvedTargets(cmd, context).find(({ resolved }) =>
+        !isInside(resolved, context.projectRoot) && !isAllowedOutside(resolved, context));
+      return outside ? `${cmd.name} ${outside.target} resolves to ${outside.resolved}` : false;
+    }
+  },
+  {
+    id: 'fs-large-glob',
+    action: 'warn',
+    severity: 'medium',
+    message: 'WARNING: Glob expands to a large number of files. List the matches first.',
+    test: (cmd, pipeline, context) => {
+      const threshold = context.filesystem?.globWarnThreshold || DEFAULT_GLOB_WARN_THRESHOLD;
+      for (const { target, resolved } of resolvedTargets(cmd, context)) {
+        if (!GLOB_CHARS.test(target)) continue;
+        const count = countGlobMatches(resolved, threshold);
+        if (count > threshold) return `${cmd.name} ${target} matches more than ${threshold} files`;
+      }
+      return false;
+    }
+  },
+];
+
+module.exports = {
+  FILESYSTEM_RULES,
+  DEFAULT_PROTECTED_PATHS,
+  DEFAULT_GLOB_WARN_THRESHOLD,
+  destructiveTargets,
+  countGlobMatches,
+};
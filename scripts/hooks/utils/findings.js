@@ -0,0 +1,96 @@
+/**
+ * Shared Findings Format for the validator hooks
+ *
+ * A finding is one rule violation:
+ *   { rule, severity, file, line, col, message, fix }
+ * - rule: stable rule id (`missing-build`, `rm-root`, ...)
+ * - severity: critical | high | medium | low | info (as in the bash policy)
+ * - file/line/col: location, 1-based; null when there is none (bash commands)
+ * - fix: suggested replacement or action, or null
+ *
+ * Hooks keep their human-readable `validation` text and add the findings
+ * next to it; toSarif() turns findings into a SARIF 2.1.0 log for CI and IDEs.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Build a finding. `position` is anything with line/col (token, call, statement).
+ */
+function createFinding({ rule, severity, file = null, position = null, message, fix = null }) {
+  return {
+    rule,
+    severity: SEVERITIES.includes(severity) ? severity : 'medium',
+    file,
+    line: position ? position.line : null,
+    col: position ? position.col : null,
+    message,
+    fix
+  };
+}
+
+/**
+ * The human-readable form used in hookSpecificOutput.validation. `displayFile`
+ * names the file for findings outside the one being validated.
+ */
+function formatFinding(finding, displayFile = null) {
+  const position = finding.line ? `Line ${finding.line}, col ${finding.col}` : '';
+  const location = [displayFile, position].filter(Boolean).join(', ');
+  return `WARNING: ${location ? `${location}: ` : ''}${finding.message}`;
+}
+
+/**
+ * Convert findings to a SARIF 2.1.0 log. `rules` maps rule ids to
+ * { severity, description }; file paths are made relative to `root`.
+ */
+function toSarif(findings, { name, version, informationUri, rules = {}, root }) {
+  const ids = [...new Set([...Object.keys(rules), ...findings.map(f => f.rule)])];
+  const sarifRules = ids.map(id => ({
+    id,
+    shortDescription: { text: rules[id]?.description || id },
+    defaultConfiguration: { level: SARIF_LEVELS[rules[id]?.severity] || 'warning' },
+    properties: { severity: rules[id]?.severity || 'medium' }
+  }));
+
+  const results = findings.map(finding => {
+    const result = {
+      ruleId: finding.rule,
+      ruleIndex: ids.indexOf(finding.rule),
+      level: SARIF_LEVELS[finding.severity] || 'warning',
+      message: { text: finding.fix ? `${finding.message} Suggested fix: ${finding.fix}` : finding.message },
+      properties: { severity: finding.severity }
+    };
+    if (finding.fix) result.properties.fix = finding.fix;
+    if (finding.file) {
+      const relative = path.relative(root, finding.file).split(path.sep).join('/');
+      const physicalLocation = { artifactLocation: { uri: relative, uriBaseId: 'SRCROOT' } };
+      if (finding.line) physicalLocation.region = { startLine: finding.line, startColumn: finding.col || 1 };
+      result.locations = [{ physicalLocation }];
+    }
+    return result;
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name, version, informationUri, rules: sarifRules } },
+      originalUriBaseIds: { SRCROOT: { uri: pathToFileURL(root + path.sep).href } },
+      results
+    }]
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  createFinding,
+  formatFinding,
+  toSarif,
+};
@@ -0,0 +1,115 @@
+/**
+ * Formatter Adapters for auto-format
+ *
+ * Languages beyond Python and JS/TS, one adapter per formatter. An adapter
+ * applies only when the project declares the tool: with its config, or by
+ * installing it in the project (node_modules/.bin or .venv/bin from the
+ * file's directory up). A tool found only on PATH is used when the project
+ * has its config, never on its own:
+ *
+ *   dart format   .dart          pubspec.yaml (Dart / Flutter package), required
+ *   sqlfluff      .sql           .sqlfluff or [tool.sqlfluff], required (it needs a dialect)
+ *   pg_format     .sql           .pg_format, or a local install; when sqlfluff does not apply
+ *   taplo         .toml          taplo.toml / .taplo.toml, or a local install
+ *   shfmt         .sh .bash      an .editorconfig section for shell files, or a local install
+ *
+ * Adding a formatter means adding an entry to ADAPTERS:
+ *   {
+ *     name, extensions,
+ *     executable: 'tool',                  // looked up as described above
+ *     detect(context) -> config | null,    // the project's config for the tool, null without one
+ *     requiresConfig: true,                // optional: a local install alone does not apply it
+ *     args: ['format']                     // before the file path; or config => [...]
+ *   }
+ * `context` (utils/formatters.js) is { filePath, root, dirs, findConfig(names, accept?),
+ * readToml(content), declaresTable(toml, table) }; findConfig returns the nearest
+ * matching file as a project-relative path, optionally accepted by its content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// An .editorconfig section such as [*.sh] or [*.{sh,bash}]
+const SHELL_SECTION = /^\s*\[[^\]\n]*\b(?:sh|bash)\b[^\]\n]*\]/m;
+
+const ADAPTERS = [
+  {
+    name: 'dart',
+    extensions: ['.dart'],
+    executable: 'dart',
+    detect: context => context.findConfig(['pubspec.yaml']),
+    requiresConfig: true,
+    args: ['format']
+  },
+  {
+    name: 'sqlfluff',
+    extensions: ['.sql'],
+    executable: 'sqlfluff',
+    detect: context => context.findConfig(['.sqlfluff']) ||
+      context.findConfig(['pyproject.toml'], content => context.declaresTable(context.readToml(content), 'tool.sqlfluff')),
+    requiresConfig: true,
+    args: ['format']
+  },
+  {
+    name: 'pg_format',
+    extensions: ['.sql'],
+    executable: 'pg_format',
+    detect: context => context.findConfig(['.pg_format']),
+    // pg_format only reads ~/.pg_format by itself
+    args: config => config ? ['--config', config, '--inplace'] : ['--inplace']
+  },
+  {
+    name: 'taplo',
+    extensions: ['.toml'],
+    executable: 'taplo',
+    detect: context => context.findConfig(['taplo.toml', '.taplo.toml']),
+    args: ['format']
+  },
+  {
+    name: 'shfmt',
+    extensions: ['.sh', '.bash'],
+    executable: 'shfmt',
+    detect: context => context.findConfig(['.editorconfig'], content => SHELL_SECTION.test(content)),
+    args: ['-w']
+  },
+];
+
+/**
+ * True when `file` is an executable regular file
+ */
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Absolute path of an executable installed in the project: project-local bin
+ * directories from the file's directory up, then PATH only with `searchPath`
+ * (the project has the tool's config). Null when missing.
+ */
+function findExecutable(name, dirs, searchPath = false) {
+  const local = dirs.flatMap(dir => [path.join(dir, 'node_modules', '.bin'), path.join(dir, '.venv', 'bin')]);
+  const global = searchPath ? (process.env.PATH || '').split(path.delimiter).filter(Boolean) : [];
+  for (const dir of [...local, ...global]) {
+    const candidate = path.join(dir, name);
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Adapters registered for an extension, in order of preference
+ */
+function adaptersFor(ext) {
+  return ADAPTERS.filter(adapter => adapter.extensions.includes(ext));
+}
+
+module.exports = {
+  ADAPTERS,
+  adaptersFor,
+  findExecutable,
+};
@@ -0,0 +1,274 @@
+/**
+ * Formatter Daemon for auto-format
+ *
+ * `npx prettier --write` pays Node start-up plus loading prettier on every
+ * Edit/Write, which can take seconds. When prettier is installed in the
+ * project, the hook instead asks a background process that loaded it once:
+ *
+ *   hook --(Unix socket, one JSON line each way)--> daemon --> prettier.format()
+ *
+ * - One daemon per prettier installation, socket and pid file in the OS temp dir
+ * - Spawned on first use (that call still formats through exec)
+ * - Exits after `idleMinutes` without a finished request, when one request
+ *   runs longer than MAX_REQUEST_MS, or when prettier is upgraded
+ * - Any daemon failure falls back to the exec path; a daemon that does not
+ *   answer in time is killed and replaced
+ *
+ * Ruff and black are not routed here: ruff is a native binary and starts fast.
+ *
+ * Protocol:
+ *   request:  { "file": "/abs/path.ts", "ignorePath": "/abs/.prettierignore",
+ *               "rangeStart": 120, "rangeEnd": 480 }    // range optional, as --range-start/--range-end
+ *   response: { "ok": true, "ignored": false } | { "ok": false, "error": "..." }
+ *             ({ "restarting": true } when prettier was upgraded: exec this time)
+ *
+ * formatWithDaemon() resolves to the response plus `prettier`, the entry point
+ * that formatted the file, or null when the caller should exec prettier.
+ *
+ * Run directly as: node format-daemon.js --serve <socket> <prettier entry> <idle ms>
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+// A request still running after this long has wedged the daemon: it exits
+const MAX_REQUEST_MS = 10000;
+
+/**
+ * Entry point of the prettier installed for `dir`, or null
+ */
+function resolvePrettier(dir) {
+  try {
+    return require.resolve('prettier', { paths: [dir] });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Socket path of the daemon serving one prettier installation
+ */
+function socketPath(prettierEntry) {
+  const uid = typeof process.getuid === 'function' ? process.getuid() : 'user';
+  const id = crypto.createHash('sha256').update(prettierEntry).digest('hex').slice(0, 12);
+  return path.join(os.tmpdir(), `kailash-format-${uid}-${id}.sock`);
+}
+
+/**
+ * Pid file written by the daemon serving `socket`
+ */
+function pidPath(socket) {
+  return `${socket}.pid`;
+}
+
+/**
+ * Send one request. Resolves to the response, { unavailable: code } when
+ * no daemon is listening, or { timedOut: true } when it does not answer.
+ */
+function request(socket, message, timeoutMs) {
+  return new Promise(resolve => {
+    let connected = false;
+    let buffer = '';
+    const client = net.createConnection(socket);
+    const finish = result => {
+      clearTimeout(timer);
+      client.destroy();
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({ ok: false, timedOut: true, error: `no answer within ${timeoutMs}ms` }), timeoutMs);
+
+    client.setEncoding('utf8');
+    client.on('connect', () => {
+      connected = true;
+      client.write(JSON.stringify(message) + '\n');
+    });
+    client.on('data', chunk => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      try {
+        finish(JSON.parse(buffer.slice(0, newline)));
+      } catch (error) {
+        finish({ ok: false, error: `bad daemon response: ${error.message}` });
+      }
+    });
+    client.on('error', error => finish(connected ? { ok: false, error: error.message } : { unavailable: error.code }));
+    client.on('close', () => finish(connected ? { ok: false, error: 'daemon closed the connection' } : { unavailable: 'ECLOSED' }));
+  });
+}
+
+/**
+ * Start a detached daemon for `prettierEntry`; it outlives the hook
+ */
+function spawnDaemon(socket, prettierEntry, idleMs) {
+  try {
+    const child = spawn(process.execPath, [__filename, '--serve', socket, prettierEntry, String(idleMs)], {
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.unref();
+  } catch {}
+}
+
+/**
+ * Kill the daemon serving `socket` and remove its socket and pid files, so the
+ * next request starts a fresh one. The pid is only trusted when /proc (where
+ * available) confirms it is this daemon.
+ */
+function stopDaemon(socket) {
+  try {
+    const pid = Number(fs.readFileSync(pidPath(socket), 'utf8'));
+    let ours = Number.isInteger(pid) && pid > 0;
+    try {
+      ours = ours && fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').includes(socket);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || fs.existsSync('/proc/self')) ours = false;
+    }
+    if (ours) process.kill(pid, 'SIGKILL');
+  } catch {}
+  for (const file of [socket, pidPath(socket)]) {
+    try { fs.unlinkSync(file); } catch {}
+  }
+}
+
+/**
+ * Format `filePath` (or just `range` of it, see utils/edit-range.js) through the
+ * daemon for the prettier installed in `dir` (the package directory, which
+ * also holds .prettierignore).
+ * Returns the daemon's response, or null when the caller should exec prettier
+ * itself (not installed locally, daemon not running yet, unsupported platform).
+ * A response with ok: false is a daemon failure: exec prettier as well.
+ */
+async function formatWithDaemon(filePath, dir, { idleMinutes, timeoutMs, range = null }) {
+  if (process.platform === 'win32') return null;
+  const prettierEntry = resolvePrettier(dir);
+  if (!prettierEntry) return null;
+
+  const socket = socketPath(prettierEntry);
+  const message = { file: path.resolve(filePath), ignorePath: path.join(dir, '.prettierignore') };
+  if (range) Object.assign(message, { rangeStart: range.startOffset, rangeEnd: range.endOffset });
+  const response = await request(socket, message, timeoutMs);
+  if (response.restarting) return null;
+  if (response.timedOut) {
+    stopDaemon(socket);
+    spawnDaemon(socket, prettierEntry, Math.round(idleMinutes * 60 * 1000));
+  }
+  if (!response.unavailable) return { ...response, prettier: prettierEntry };
+
+  // A socket file nobody listens on is left over from a killed daemon
+  if (response.unavailable === 'ECONNREFUSED') {
+    try { fs.unlinkSync(socket); } catch {}
+  }
+  spawnDaemon(socket, prettierEntry, Math.round(idleMinutes * 60 * 1000));
+  return null;
+}
+
+/**
+ * Daemon side: load prettier once and format files on request until idle
+ */
+function serve(socket, prettierEntry, idleMs) {
+  const prettier = require(prettierEntry);
+  const loadedMtime = fs.statSync(prettierEntry).mtimeMs;
+  let idleTimer = null;
+  let server = null;
+
+  const shutdown = () => {
+    if (server) server.close();
+    for (const file of [socket, pidPath(socket)]) {
+      try { fs.unlinkSync(file); } catch {}
+    }
+    process.exit(0);
+  };
+  const resetIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(shutdown, idleMs);
+  };
+
+  async function formatFile({ file, ignorePath, rangeStart, rangeEnd }) {
+    // Config files may have changed since the last request
+    prettier.clearConfigCache();
+    const info = await prettier.getFileInfo(file, { ignorePath });
+    if (info.ignored) return { ok: true, ignored: true };
+    if (!info.inferredParser) return { ok: false, error: `No parser could be inferred for ${file}` };
+
+    const options = (await prettier.resolveConfig(file, { editorconfig: true })) || {};
+    const source = fs.readFileSync(file, 'utf8');
+    const range = rangeStart !== undefined ? { rangeStart, rangeEnd } : {};
+    const output = await prettier.format(source, { ...options, ...range, filepath: file });
+    if (output !== source) fs.writeFileSync(file, output);
+    return { ok: true, ignored: false };
+  }
+
+  async function handle(connection, line) {
+    // Idle time only counts between finished requests; a request that never
+    // finishes stops the daemon instead of keeping it alive
+    clearTimeout(idleTimer);
+    const watchdog = setTimeout(shutdown, MAX_REQUEST_MS);
+    let response;
+    let upgraded = false;
+    try {
+      upgraded = fs.statSync(prettierEntry).mtimeMs !== loadedMtime;
+    } catch {
+      upgraded = true;
+    }
+    if (upgraded) {
+      response = { ok: false, restarting: true, error: 'prettier changed since the daemon started' };
+    } else {
+      try {
+        response = await formatFile(JSON.parse(line));
+      } catch (error) {
+        response = { ok: false, error: String(error.message || error).split('\n')[0] };
+      }
+    }
+    clearTimeout(watchdog);
+    resetIdle();
+    connection.end(JSON.stringify(response) + '\n', () => {
+      if (upgraded) shutdown();
+    });
+  }
+
+  server = net.createServer(connection => {
+    let buffer = '';
+    let handled = false;
+    connection.setEncoding('utf8');
+    connection.on('data', chunk => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1 || handled) return;
+      handled = true;
+      handle(connection, buffer.slice(0, newline));
+    });
+    connection.on('error', () => {});
+  });
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  // Another daemon won the race to listen: leave it be
+  server.on('error', () => process.exit(0));
+  server.listen(socket, () => {
+    try { fs.chmodSync(socket, 0o600); } catch {}
+    try { fs.writeFileSync(pidPath(socket), String(process.pid), { mode: 0o600 }); } catch {}
+    resetIdle();
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args[0] === '--serve' && args.length === 4) {
+    serve(args[1], args[2], Number(args[3]));
+  } else {
+    console.error('Usage: node format-daemon.js --serve <socket> <prettier entry> <idle ms>');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  formatWithDaemon,
+  socketPath,
+  stopDaemon,
+};
@@ -0,0 +1,121 @@
+/**
+ * Auto-Format Policy for auto-format
+ *
+ * Layered like the bash policy (utils/bash-policy.js):
+ *   1. built-in defaults (lint pass off, formatter daemon on)
+ *   2. user policy:    <learning dir>/policies/format.json
+ *   3. project policy: <project root>/.agent/policies/format.json
+ *
+ * Later layers win, field by field.
+ *
+ * Policy file format:
+ *   {
+ *     "scope": "edit",       // "file" (default) or "edit": only the lines an Edit touched
+ *     "lint": {
+ *       "enabled": true,     // run ruff check --fix / isort / eslint --fix after formatting
+ *       "budgetMs": 2000     // give up on the linter after this long
+ *     },
+ *     "daemon": {
+ *       "enabled": true,     // keep prettier loaded in a background process (utils/format-daemon.js)
+ *       "idleMinutes": 15    // stop it after this long without a request
+ *     }
+ *   }
+ */
+
+const path = require('path');
+const { getLearningDir, findProjectRoot } = require('./project');
+const { readPolicyFile } = require('./bash-policy');
+
+const PROJECT_POLICY = path.join('.agent', 'policies', 'format.json');
+const USER_POLICY = path.join('policies', 'format.json');
+
+const DEFAULT_LINT_BUDGET_MS = 2000;
+const DEFAULT_DAEMON_IDLE_MINUTES = 15;
+
+const SCOPES = ['file', 'edit'];
+
+/**
+ * Validate the "lint" section of a policy file
+ */
+function readLintSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const before = errors.length;
+  if (section.enabled !== undefined && typeof section.enabled !== 'boolean') {
+    errors.push(`${where}: "enabled" must be true or false`);
+  }
+  if (section.budgetMs !== undefined && !(Number.isInteger(section.budgetMs) && section.budgetMs > 0)) {
+    errors.push(`${where}: "budgetMs" must be a positive integer`);
+  }
+  return errors.length === before ? section : null;
+}
+
+/**
+ * Validate the "daemon" section of a policy file
+ */
+function readDaemonSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const before = errors.length;
+  if (section.enabled !== undefined && typeof section.enabled !== 'boolean') {
+    errors.push(`${where}: "enabled" must be true or false`);
+  }
+  if (section.idleMinutes !== undefined && !(typeof section.idleMinutes === 'number' && section.idleMinutes > 0)) {
+    errors.push(`${where}: "idleMinutes" must be a positive number`);
+  }
+  return errors.length === before ? section : null;
+}
+
+/**
+ * Load the effective auto-format policy for a file in `cwd`
+ */
+function loadFormatPolicy(cwd) {
+  const errors = [];
+  const projectRoot = findProjectRoot(cwd);
+  const lint = { enabled: false, budgetMs: DEFAULT_LINT_BUDGET_MS };
+  const daemon = { enabled: true, idleMinutes: DEFAULT_DAEMON_IDLE_MINUTES };
+  let scope = 'file';
+  const files = [];
+
+  const layers = [
+    path.join(getLearningDir(), USER_POLICY),
+    path.join(projectRoot, PROJECT_POLICY),
+  ];
+
+  for (const file of layers) {
+    const policy = readPolicyFile(file, errors);
+    if (!policy) continue;
+    files.push(file);
+
+    if (policy.scope !== undefined) {
+      if (SCOPES.includes(policy.scope)) scope = policy.scope;
+      else errors.push(`${file}: "scope" must be one of ${SCOPES.join(', ')}`);
+    }
+
+    const section = readLintSection(policy.lint, `${file}: lint`, errors);
+    if (section) {
+      if (section.enabled !== undefined) lint.enabled = section.enabled;
+      if (section.budgetMs !== undefined) lint.budgetMs = section.budgetMs;
+    }
+
+    const daemonSection = readDaemonSection(policy.daemon, `${file}: daemon`, errors);
+    if (daemonSection) {
+      if (daemonSection.enabled !== undefined) daemon.enabled = daemonSection.enabled;
+      if (daemonSection.idleMinutes !== undefined) daemon.idleMinutes = daemonSection.idleMinutes;
+    }
+  }
+
+  return { scope, lint, daemon, projectRoot, files, errors };
+}
+
+module.exports = {
+  loadFormatPolicy,
+  PROJECT_POLICY,
+  USER_POLICY,
+};
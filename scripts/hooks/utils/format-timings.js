@@ -0,0 +1,72 @@
+/**
+ * Formatter Timings for auto-format
+ *
+ * Running statistics per formatter and linter, kept across sessions so a
+ * slow one shows up in the hook output instead of silently eating the
+ * hook's time budget. Formatting and linting are kept apart, as one tool
+ * (ruff) may do both.
+ *
+ * Stored in <learning dir>/format-timings.json:
+ *   {
+ *     "version": 2,
+ *     "format": {
+ *       "prettier": { "runs": 14, "totalMs": 29400, "maxMs": 4100, "lastMs": 1900 }
+ *     },
+ *     "lint": { "ruff": { ... } }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLearningDir } = require('./project');
+
+const TIMINGS_VERSION = 2;
+
+const OPERATIONS = ['format', 'lint'];
+
+// Average above which a tool is reported as slow
+const SLOW_AVERAGE_MS = 1500;
+
+function timingsFile() {
+  return path.join(getLearningDir(), 'format-timings.json');
+}
+
+/**
+ * Add one run per { operation: { tool: ms } } entry and return the tools
+ * that are slow on average, as messages
+ */
+function recordTimings(durations) {
+  let timings = { version: TIMINGS_VERSION, format: {}, lint: {} };
+  try {
+    const stored = JSON.parse(fs.readFileSync(timingsFile(), 'utf8'));
+    if (stored && stored.version === TIMINGS_VERSION && OPERATIONS.every(op => stored[op])) timings = stored;
+  } catch {}
+
+  const slow = [];
+  for (const operation of OPERATIONS) {
+    for (const [tool, ms] of Object.entries(durations[operation] || {})) {
+      const entry = timings[operation][tool] || { runs: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+      entry.runs++;
+      entry.totalMs += ms;
+      entry.maxMs = Math.max(entry.maxMs, ms);
+      entry.lastMs = ms;
+      timings[operation][tool] = entry;
+
+      const average = Math.round(entry.totalMs / entry.runs);
+      if (average > SLOW_AVERAGE_MS) {
+        slow.push(`${tool} (${operation}) averages ${average}ms over ${entry.runs} run(s) (max ${entry.maxMs}ms)`);
+      }
+    }
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(timingsFile()), { recursive: true });
+    fs.writeFileSync(timingsFile(), JSON.stringify(timings));
+  } catch {}
+  return slow;
+}
+
+module.exports = {
+  recordTimings,
+  SLOW_AVERAGE_MS,
+};
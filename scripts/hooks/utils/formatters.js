@@ -0,0 +1,449 @@
+/**
+ * Formatter Discovery for auto-format
+ *
+ * Picks the formatter a project declares for a file, and the runner it is
+ * installed through, instead of guessing:
+ * - Python: [tool.black] or [tool.ruff] in pyproject.toml, or ruff.toml / .ruff.toml;
+ *   run with uv run / poetry run / pdm run / pipenv run when the lock file is present
+ * - JS/TS/JSON/CSS: biome.json(c) with its formatter enabled
+ * - JS/TS/JSON/YAML/Markdown/CSS: .prettierrc*, prettier.config.* or "prettier" in package.json;
+ *   biome and prettier run through the package manager's exec (npx, pnpm exec, bunx, yarn dlx)
+ * - .editorconfig: max_line_length is passed to black/ruff when their own config
+ *   sets no line length (prettier and biome read .editorconfig themselves)
+ * - Dart, SQL, TOML and shell: the adapters in utils/format-adapters.js
+ *
+ * Linters for the optional lint-and-fix pass are found the same way:
+ * ruff check --fix ([tool.ruff], ruff.toml) or isort ([tool.isort], .isort.cfg)
+ * for Python, eslint --fix (eslint.config.*, .eslintrc*, "eslintConfig") for JS/TS.
+ *
+ * Config is searched from the file's directory up to the project root, so each
+ * package of a monorepo can declare its own. Files whose project declares no
+ * formatter are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findProjectRoot, globToRegExp } = require('./project');
+const { PYTHON_RUNNERS } = require('./long-running');
+const { createFinding } = require('./findings');
+const { adaptersFor, findExecutable } = require('./format-adapters');
+const { detectPackageManager, getExecCommand } = require('../detect-package-manager');
+
+const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+const BIOME_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json', '.jsonc', '.css'];
+const PRETTIER_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.json', '.css',
+  '.scss', '.yaml', '.yml', '.md'];
+
+const RUFF_CONFIGS = ['ruff.toml', '.ruff.toml'];
+const BIOME_CONFIGS = ['biome.json', 'biome.jsonc'];
+const PRETTIER_CONFIGS = ['.prettierrc', '.prettierrc.json', '.prettierrc.json5', '.prettierrc.yaml',
+  '.prettierrc.yml', '.prettierrc.toml', '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs',
+  '.prettierrc.ts', '.prettierrc.cts', '.prettierrc.mts', 'prettier.config.js', 'prettier.config.cjs',
+  'prettier.config.mjs', 'prettier.config.ts', 'prettier.config.cts', 'prettier.config.mts'];
+
+const ESLINT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const ESLINT_CONFIGS = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts',
+  'eslint.config.mts', 'eslint.config.cts', '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json',
+  '.eslintrc.yaml', '.eslintrc.yml'];
+const ISORT_CONFIGS = ['.isort.cfg'];
+
+/**
+ * Directories from the file's own up to the project root, innermost first
+ */
+function directoriesUp(filePath, root) {
+  const dirs = [];
+  let dir = path.dirname(path.resolve(filePath));
+  while (true) {
+    dirs.push(dir);
+    if (dir === root || path.dirname(dir) === dir || !dir.startsWith(root + path.sep)) return dirs;
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Read a file as UTF-8, or null when it cannot be read
+ */
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flatten a TOML document into { tables: Set, keys: Map<'table.key', raw value> }.
+ * Only what discovery needs: table headers, dotted keys and single-line values.
+ */
+function readToml(content) {
+  const tables = new Set();
+  const keys = new Map();
+  let table = '';
+  for (const line of content.split(/\r?\n/)) {
+    const header = line.match(/^\s*\[\[?\s*([^\]]+?)\s*\]\]?\s*(?:#.*)?$/);
+    if (header) {
+      table = header[1].replace(/["'\s]/g, '');
+      tables.add(table);
+      continue;
+    }
+    const entry = line.match(/^\s*([\w.-]+|"[^"]*")\s*=\s*(.*?)\s*$/);
+    if (!entry) continue;
+    const key = entry[1].replace(/"/g, '');
+    const value = /^["']/.test(entry[2]) ? entry[2] : entry[2].replace(/\s*#.*$/, '');
+    keys.set(table ? `${table}.${key}` : key, value);
+  }
+  return { tables, keys };
+}
+
+/**
+ * True when `table` (or a sub-table, or a dotted key inside it) is declared
+ */
+function declaresTable(toml, table) {
+  const prefix = `${table}.`;
+  for (const name of toml.tables) {
+    if (name === table || name.startsWith(prefix)) return true;
+  }
+  for (const key of toml.keys.keys()) {
+    if (key.startsWith(prefix)) return true;
+  }
+  return false;
+}
+
+/**
+ * Expand `{a,b}` alternatives of an editorconfig section into plain globs
+ */
+function expandBraces(glob) {
+  const match = glob.match(/\{([^{}]*)\}/);
+  if (!match || !match[1].includes(',')) return [glob];
+  return match[1].split(',').flatMap(option =>
+    expandBraces(glob.slice(0, match.index) + option + glob.slice(match.index + match[0].length)));
+}
+
+/**
+ * Properties .editorconfig files assign to a file; nearer files override outer ones
+ */
+function readEditorconfig(filePath, root) {
+  const chain = [];
+  for (const dir of directoriesUp(filePath, root)) {
+    const content = readFile(path.join(dir, '.editorconfig'));
+    if (content === null) continue;
+    chain.unshift({ dir, content });
+    if (/^\s*root\s*=\s*true\s*$/im.test(content.split(/^\s*\[/m)[0])) break;
+  }
+
+  const properties = {};
+  for (const { dir, content } of chain) {
+    const relative = path.relative(dir, path.resolve(filePath)).split(path.sep).join('/');
+    let matches = false;
+    for (const line of content.split(/\r?\n/)) {
+      const section = line.match(/^\s*\[(.+)\]\s*$/);
+      if (section) {
+        const glob = section[1].includes('/') ? section[1].replace(/^\//, '') : `**/${section[1]}`;
+        matches = expandBraces(glob).some(pattern => globToRegExp(pattern).test(relative));
+        continue;
+      }
+      const entry = matches && line.match(/^\s*([\w-]+)\s*[=:]\s*(.*?)\s*$/);
+      if (entry) properties[entry[1].toLowerCase()] = entry[2].toLowerCase();
+    }
+  }
+  return properties;
+}
+
+/**
+ * Quote a path for the shell
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * `tool args 'file'` behind the Python runner of the nearest lock file (uv run, poetry run, ...)
+ */
+function pythonCommand(args, filePath, dirs, fallbackDir) {
+  for (const dir of dirs) {
+    const match = PYTHON_RUNNERS.find(({ lockFile }) => fs.existsSync(path.join(dir, lockFile)));
+    if (match) return { command: `${match.runner} ${args} ${shellQuote(path.resolve(filePath))}`, cwd: dir };
+  }
+  return { command: `${args} ${shellQuote(path.resolve(filePath))}`, cwd: fallbackDir };
+}
+
+/**
+ * `tool args 'file'` through the package manager's exec (npx, pnpm exec, bunx, yarn dlx).
+ * The nearest package with a lock file (or package.json) decides which.
+ */
+function jsCommand(args, filePath, dirs, fallbackDir) {
+  const packageDir = dirs.find(dir => detectPackageManager(dir).detected) ||
+    dirs.find(dir => fs.existsSync(path.join(dir, 'package.json'))) || fallbackDir;
+  const packageManager = detectPackageManager(packageDir).packageManager || 'npm';
+  return { command: getExecCommand(packageManager, `${args} ${shellQuote(path.resolve(filePath))}`), cwd: packageDir };
+}
+
+/**
+ * The Python formatter declared nearest to the file
+ */
+function pythonFormatter(filePath, root, range) {
+  const dirs = directoriesUp(filePath, root);
+  let found = null;
+
+  for (const dir of dirs) {
+    const pyproject = readFile(path.join(dir, 'pyproject.toml'));
+    const toml = pyproject !== null ? readToml(pyproject) : null;
+    if (toml && declaresTable(toml, 'tool.black') && !declaresTable(toml, 'tool.ruff.format')) {
+      found = { name: 'black', dir, config: 'pyproject.toml [tool.black]', lineLength: toml.keys.get('tool.black.line-length') };
+    } else if (toml && declaresTable(toml, 'tool.ruff')) {
+      found = { name: 'ruff', dir, config: 'pyproject.toml [tool.ruff]', lineLength: toml.keys.get('tool.ruff.line-length') };
+    } else {
+      const ruffConfig = RUFF_CONFIGS.find(name => fs.existsSync(path.join(dir, name)));
+      if (ruffConfig) {
+        const ruffToml = readToml(readFile(path.join(dir, ruffConfig)) || '');
+        found = { name: 'ruff', dir, config: ruffConfig, lineLength: ruffToml.keys.get('line-length') };
+      }
+    }
+    if (found) break;
+  }
+  if (!found) return null;
+
+  const args = found.name === 'ruff' ? ['ruff', 'format'] : ['black'];
+  const maxLineLength = readEditorconfig(filePath, root).max_line_length;
+  if (!found.lineLength && /^\d+$/.test(maxLineLength || '')) {
+    args.push('--line-length', maxLineLength);
+  }
+  // ruff's range end is exclusive, black's --line-ranges inclusive
+  if (range && found.name === 'ruff') args.push(`--range=${range.startLine}-${range.endLine + 1}`);
+  if (range && found.name === 'black') args.push(`--line-ranges=${range.startLine}-${range.endLine}`);
+
+  return {
+    name: found.name,
+    ...pythonCommand(args.join(' '), filePath, dirs, found.dir),
+    config: path.join(path.relative(root, found.dir), found.config),
+    supportsRange: true
+  };
+}
+
+/**
+ * True when biome.json(c) does not switch its formatter off
+ */
+function biomeFormatterEnabled(file) {
+  const content = readFile(file) || '';
+  try {
+    const config = JSON.parse(content.replace(/^\s*\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, ''));
+    return !(config.formatter && config.formatter.enabled === false);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * True when package.json in `dir` carries `key` ("prettier", "eslintConfig")
+ */
+function packageDeclares(dir, key) {
+  try {
+    return key in JSON.parse(readFile(path.join(dir, 'package.json')) || '{}');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The JS formatter (biome or prettier) declared nearest to the file
+ */
+function jsFormatter(filePath, root, ext, range) {
+  const dirs = directoriesUp(filePath, root);
+  let found = null;
+
+  for (const dir of dirs) {
+    const biome = BIOME_EXTENSIONS.includes(ext) && BIOME_CONFIGS.find(name => fs.existsSync(path.join(dir, name)));
+    if (biome && biomeFormatterEnabled(path.join(dir, biome))) {
+      found = { name: 'biome', dir, config: biome, args: 'biome format --write' };
+      break;
+    }
+    if (!PRETTIER_EXTENSIONS.includes(ext)) continue;
+    const prettier = PRETTIER_CONFIGS.find(name => fs.existsSync(path.join(dir, name))) ||
+      (packageDeclares(dir, 'prettier') && 'package.json "prettier"');
+    if (prettier) {
+      found = { name: 'prettier', dir, config: prettier, args: 'prettier --write' };
+      break;
+    }
+  }
+  if (!found) return null;
+
+  // biome's CLI cannot format part of a file
+  const supportsRange = found.name === 'prettier';
+  const args = range && supportsRange
+    ? `${found.args} --range-start=${range.startOffset} --range-end=${range.endOffset}`
+    : found.args;
+
+  return {
+    name: found.name,
+    ...jsCommand(args, filePath, dirs, found.dir),
+    config: path.join(path.relative(root, found.dir), found.config),
+    supportsRange
+  };
+}
+
+/**
+ * The Python linter (ruff or isort) declared nearest to the file
+ */
+function pythonLinter(filePath, root) {
+  const dirs = directoriesUp(filePath, root);
+  for (const dir of dirs) {
+    const pyproject = readFile(path.join(dir, 'pyproject.toml'));
+    const toml = pyproject !== null ? readToml(pyproject) : null;
+    const ruffConfig = toml && declaresTable(toml, 'tool.ruff') ? 'pyproject.toml [tool.ruff]'
+      : RUFF_CONFIGS.find(name => fs.existsSync(path.join(dir, name)));
+    if (ruffConfig) {
+      return {
+        name: 'ruff',
+        ...pythonCommand('ruff check --fix --output-format json', filePath, dirs, dir),
+        config: path.join(path.relative(root, dir), ruffConfig)
+      };
+    }
+    const isortConfig = toml && declaresTable(toml, 'tool.isort') ? 'pyproject.toml [tool.isort]'
+      : ISORT_CONFIGS.find(name => fs.existsSync(path.join(dir, name)));
+    if (isortConfig) {
+      return {
+        name: 'isort',
+        ...pythonCommand('isort --quiet', filePath, dirs, dir),
+        config: path.join(path.relative(root, dir), isortConfig)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * The eslint config nearest to a JS/TS file
+ */
+function jsLinter(filePath, root) {
+  const dirs = directoriesUp(filePath, root);
+  for (const dir of dirs) {
+    const config = ESLINT_CONFIGS.find(name => fs.existsSync(path.join(dir, name))) ||
+      (packageDeclares(dir, 'eslintConfig') && 'package.json "eslintConfig"');
+    if (config) {
+      return {
+        name: 'eslint',
+        ...jsCommand('eslint --fix --format json', filePath, dirs, dir),
+        config: path.join(path.relative(root, dir), config)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the linter a file's project declares:
+ * { name, command, cwd, config } or null when none is configured
+ */
+function resolveLinter(filePath) {
+  const root = findProjectRoot(path.dirname(path.resolve(filePath)));
+  const ext = path.extname(filePath).toLowerCase();
+  if (PYTHON_EXTENSIONS.includes(ext)) return pythonLinter(filePath, root);
+  if (ESLINT_EXTENSIONS.includes(ext)) return jsLinter(filePath, root);
+  return null;
+}
+
+/**
+ * Turn a linter's JSON report into findings (utils/findings.js) for what it could not fix
+ */
+function parseLintReport(linter, stdout, filePath) {
+  if (linter === 'ruff') {
+    return JSON.parse(stdout || '[]').map(diagnostic => createFinding({
+      rule: diagnostic.code || 'syntax-error',
+      severity: diagnostic.code ? 'medium' : 'high',
+      file: filePath,
+      position: { line: diagnostic.location.row, col: diagnostic.location.column },
+      message: diagnostic.message,
+      fix: diagnostic.fix ? diagnostic.fix.message : null
+    }));
+  }
+  if (linter === 'eslint') {
+    return JSON.parse(stdout || '[]').flatMap(result => result.messages).map(message => createFinding({
+      rule: message.ruleId || 'parse-error',
+      severity: message.fatal || message.severity === 2 ? 'high' : 'low',
+      file: filePath,
+      position: message.line ? { line: message.line, col: message.column } : null,
+      message: message.message
+    }));
+  }
+  // isort reports nothing it could not fix
+  return [];
+}
+
+/**
+ * The first adapter (utils/format-adapters.js) for the extension that the
+ * project declares and has installed. When one is declared through a project
+ * config but is not installed, returns { name, missing: true }.
+ */
+function adapterFormatter(filePath, root, ext) {
+  const dirs = directoriesUp(filePath, root);
+  const context = {
+    filePath,
+    root,
+    dirs,
+    readToml,
+    declaresTable,
+    findConfig(names, accept = null) {
+      for (const dir of dirs) {
+        for (const name of names) {
+          const file = path.join(dir, name);
+          if (!fs.existsSync(file) || (accept && !accept(readFile(file) || ''))) continue;
+          return path.join(path.relative(root, dir), name);
+        }
+      }
+      return null;
+    }
+  };
+
+  let missing = null;
+  for (const adapter of adaptersFor(ext)) {
+    const config = adapter.detect(context);
+    if (!config && adapter.requiresConfig) continue;
+    // Without a config, only an install in the project declares the tool
+    const executable = findExecutable(adapter.executable, dirs, Boolean(config));
+    if (!executable) {
+      if (!missing && config) missing = { name: adapter.name, missing: true };
+      continue;
+    }
+    const args = typeof adapter.args === 'function' ? adapter.args(config) : adapter.args;
+    return {
+      name: adapter.name,
+      command: [shellQuote(executable), ...args.map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : shellQuote(arg)), shellQuote(path.resolve(filePath))].join(' '),
+      cwd: root,
+      config: config || path.relative(root, executable),
+      supportsRange: false
+    };
+  }
+  return missing;
+}
+
+/**
+ * True when some formatter could handle files with this extension
+ */
+function isFormattable(ext) {
+  return PYTHON_EXTENSIONS.includes(ext) || BIOME_EXTENSIONS.includes(ext) || PRETTIER_EXTENSIONS.includes(ext) ||
+    adaptersFor(ext).length > 0;
+}
+
+/**
+ * Resolve the formatter a file's project declares:
+ * { name, command, cwd, config, supportsRange } or null when none is configured
+ * ({ name, missing: true } when an adapter's tool is configured but not installed).
+ * With a `range` ({ startLine, endLine, startOffset, endOffset }, see
+ * utils/edit-range.js) the command formats only that part of the file.
+ */
+function resolveFormatter(filePath, range = null) {
+  const root = findProjectRoot(path.dirname(path.resolve(filePath)));
+  const ext = path.extname(filePath).toLowerCase();
+  if (PYTHON_EXTENSIONS.includes(ext)) return pythonFormatter(filePath, root, range);
+  if (adaptersFor(ext).length > 0) return adapterFormatter(filePath, root, ext);
+  return jsFormatter(filePath, root, ext, range);
+}
+
+module.exports = {
+  resolveFormatter,
+  resolveLinter,
+  parseLintReport,
+  isFormattable,
+  readEditorconfig,
+  readToml,
+};
@@ -0,0 +1,209 @@
+/**
+ * Framework Rule Packs for validate-workflow
+ *
+ * Checks for the application frameworks built on the Core SDK. A pack only
+ * runs when the file imports its framework:
+ * - nexus: app.start() inside request handlers, workflows registered
+ *   without .build()
+ * - kaizen: signatures without input or output fields, BaseAgent subclasses
+ *   that skip super().__init__(config=...), hardcoded model names
+ */
+
+const { tokenText } = require('./python-parser');
+const { importedNames, resolveCallee, argument, literal } = require('./workflow-analysis');
+
+// Decorators that turn a function into a request handler
+const HANDLER_DECORATORS = /^(get|post|put|patch|delete|head|options|route|api_route|websocket|endpoint|handler|on_event|middleware)$/;
+
+// Keyword arguments, attributes and config keys that select an LLM
+const MODEL_KEYS = ['model', 'llm_model', 'model_name', 'embedding_model'];
+
+// Literal model ids; these belong in .env (OPENAI_PROD_MODEL, ...)
+const MODEL_NAME = /^(gpt-|chatgpt-|o[134](-|$)|claude-|gemini-|llama|mistral|mixtral|qwen|deepseek|command-|text-embedding-)/i;
+
+const RULES = {
+  'nexus-start-in-handler': { severity: 'high', description: 'Blocking Nexus start() inside a request handler' },
+  'nexus-register-without-build': { severity: 'high', description: 'Workflow registered with Nexus without .build()' },
+  'kaizen-signature-fields': { severity: 'medium', description: 'Signature without an InputField or OutputField' },
+  'kaizen-super-init': { severity: 'high', description: 'BaseAgent subclass not calling super().__init__(config=...)' },
+  'kaizen-hardcoded-model': { severity: 'medium', description: 'Model name hardcoded instead of read from .env' },
+};
+
+/**
+ * True when a file imports the given top-level package
+ */
+function importsFramework(module, framework) {
+  return module.imports.some(entry => entry.module.split('.')[0] === framework);
+}
+
+/**
+ * Class statements whose bases resolve to one of `bases`
+ */
+function subclassesOf(module, bases) {
+  const names = importedNames(module);
+  return module.statements.filter(s => s.scope && s.scope.kind === 'class' &&
+    s.scope.bases.some(base => base.value.type === 'name' && bases.includes(resolveCallee(base.value.name, names))));
+}
+
+/**
+ * Statements directly inside a scope (not in nested functions or classes)
+ */
+function directBody(scope) {
+  return scope.body.filter(s => s.scopes[s.scopes.length - 1] === scope);
+}
+
+/**
+ * Innermost function a statement belongs to, or null at module level
+ */
+function enclosingFunction(statement) {
+  return [...statement.scopes].reverse().find(scope => scope.kind === 'function') || null;
+}
+
+/**
+ * True when a function is a request handler: decorated with a route or an async def
+ */
+function isRequestHandler(module, scope) {
+  if (scope.async) return true;
+  return scope.decorators.some(decorator => {
+    const text = tokenText(module.tokens, decorator.start + 1, decorator.end).replace(/\(.*$/s, '').replace(/\s+/g, '');
+    return HANDLER_DECORATORS.test(text.split('.').pop());
+  });
+}
+
+/**
+ * Nexus: blocking app.start() in handlers, register() with an unbuilt WorkflowBuilder
+ */
+function checkNexus(module, workflows) {
+  const findings = [];
+  const names = importedNames(module);
+  const apps = new Set(module.assignments
+    .filter(a => a.value.type === 'call' && resolveCallee(a.value.callee, names) === 'Nexus')
+    .flatMap(a => a.targets));
+
+  for (const call of module.calls) {
+    if (!apps.has(call.object)) continue;
+
+    if (call.method === 'start') {
+      const handler = enclosingFunction(call.statement);
+      if (handler && isRequestHandler(module, handler)) {
+        findings.push({
+          rule: 'nexus-start-in-handler',
+          position: call,
+          message: `${call.object}.start() inside ${handler.name}() blocks the request. Start Nexus once at module level (if __name__ == "__main__").`
+        });
+      }
+    } else if (call.method === 'register') {
+      const workflow = argument(call, 1, 'workflow');
+      if (workflow && workflow.type === 'name' && workflows.definitionAt(workflow.name, call.statement)?.kind === 'builder') {
+        findings.push({
+          rule: 'nexus-register-without-build',
+          position: call,
+          fix: `${workflow.name}.build()`,
+          message: `Workflow registered without .build(). Use ${call.object}.register(..., ${workflow.name}.build())`
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Literal model names in a dict/list expression: [{ value, position }]
+ */
+function modelLiterals(expression) {
+  if (!expression) return [];
+  if (expression.type === 'list' || expression.type === 'tuple') return expression.items.flatMap(modelLiterals);
+  if (expression.type !== 'dict') return [];
+  return expression.entries.flatMap(({ key, value }) => {
+    const model = MODEL_KEYS.includes(literal(key)) && literal(value);
+    return model && MODEL_NAME.test(model) ? [{ value: model, position: value }] : modelLiterals(value);
+  });
+}
+
+/**
+ * Kaizen: signature fields, BaseAgent initialisation and hardcoded model names
+ */
+function checkKaizen(module) {
+  const findings = [];
+  const names = importedNames(module);
+
+  for (const statement of subclassesOf(module, ['Signature'])) {
+    const fields = directBody(statement.scope)
+      .map(s => module.assignments.find(a => a.statement === s))
+      .filter(a => a && a.value.type === 'call')
+      .map(a => resolveCallee(a.value.callee, names));
+    for (const kind of ['InputField', 'OutputField'].filter(kind => !fields.includes(kind))) {
+      findings.push({
+        rule: 'kaizen-signature-fields',
+        position: statement,
+        message: `Signature ${statement.scope.name} has no ${kind}. Signatures need at least one InputField and one OutputField.`
+      });
+    }
+  }
+
+  for (const statement of subclassesOf(module, ['BaseAgent'])) {
+    const init = directBody(statement.scope).find(s => s.scope && s.scope.kind === 'function' && s.scope.name === '__init__');
+    if (!init) continue;
+    const superInit = module.calls.find(call => call.callee === 'super().__init__' && init.scope.body.includes(call.statement));
+    if (!superInit) {
+      findings.push({
+        rule: 'kaizen-super-init',
+        position: init,
+        fix: 'super().__init__(config=config, signature=...)',
+        message: `${statement.scope.name}.__init__ does not call super().__init__(config=config, signature=...). BaseAgent is left uninitialised.`
+      });
+    } else if (!argument(superInit, 0, 'config')) {
+      findings.push({
+        rule: 'kaizen-super-init',
+        position: superInit,
+        fix: 'config=config',
+        message: `${statement.scope.name} calls super().__init__() without config. Pass config=config so BaseAgent picks up the domain config.`
+      });
+    }
+  }
+
+  const hardcoded = [];
+  for (const call of module.calls) {
+    for (const arg of call.args) {
+      const model = MODEL_KEYS.includes(arg.keyword) && literal(arg.value);
+      if (model && MODEL_NAME.test(model)) hardcoded.push({ value: model, position: arg.value });
+      else hardcoded.push(...modelLiterals(arg.value));
+    }
+  }
+  for (const assignment of module.assignments) {
+    const model = assignment.targets.some(target => MODEL_KEYS.includes(target.split('.').pop())) && literal(assignment.value);
+    if (model && MODEL_NAME.test(model)) hardcoded.push({ value: model, position: assignment.value });
+    else hardcoded.push(...modelLiterals(assignment.value));
+  }
+  hardcoded.sort((a, b) => a.position.line - b.position.line || a.position.col - b.position.col);
+  for (const { value, position } of hardcoded) {
+    findings.push({
+      rule: 'kaizen-hardcoded-model',
+      position,
+      fix: 'os.getenv("OPENAI_PROD_MODEL")',
+      message: `Hardcoded model name "${value}". Read it from .env instead (e.g. os.getenv("OPENAI_PROD_MODEL")).`
+    });
+  }
+
+  return findings;
+}
+
+const FRAMEWORK_PACKS = [
+  { framework: 'nexus', check: checkNexus },
+  { framework: 'kaizen', check: checkKaizen },
+];
+
+/**
+ * Run the rule pack of every framework the module imports. Returns [{ rule, position, message, fix }].
+ */
+function lintFrameworks(module, workflows) {
+  return FRAMEWORK_PACKS
+    .filter(pack => importsFramework(module, pack.framework))
+    .flatMap(pack => pack.check(module, workflows));
+}
+
+module.exports = {
+  lintFrameworks,
+  FRAMEWORK_PACKS,
+  RULES,
+};
@@ -0,0 +1,215 @@
+/**
+ * Git Safety Rules for validate-bash-command
+ *
+ * Built-in rules for history rewrites and data loss:
+ * - force pushes (--force, --force-with-lease, +refspec) to protected branches
+ * - git reset --hard with uncommitted changes
+ * - git clean -x (removes ignored files such as .env)
+ * - deleting protected branches locally or on a remote
+ * - --no-verify skipping hooks (warning)
+ *
+ * Protected branches come from the "git" section of the bash policy:
+ *   { "git": { "protectedBranches": ["main", "master", "release/*"] } }
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { splitArgs } = require('./shell-parser');
+const { globToRegExp } = require('./project');
+
+const DEFAULT_PROTECTED_BRANCHES = ['main', 'master', 'release/*', 'release-*'];
+
+// Global git options that take a separate value
+const GLOBAL_VALUE_OPTIONS = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--exec-path'];
+
+// Budget for each local git call, well inside the 5s hook limit
+const GIT_TIMEOUT_MS = 1500;
+
+/**
+ * Split a git invocation into its global options, subcommand and arguments
+ */
+function parseGit(cmd) {
+  if (cmd.name !== 'git') return null;
+  const globals = {};
+  for (let i = 0; i < cmd.args.length; i++) {
+    const arg = cmd.args[i];
+    if (GLOBAL_VALUE_OPTIONS.includes(arg)) {
+      globals[arg] = cmd.args[i + 1];
+      i++;
+    } else if (!arg.startsWith('-')) {
+      return { subcommand: arg, args: cmd.args.slice(i + 1), globals };
+    }
+  }
+  return { subcommand: null, args: [], globals };
+}
+
+/**
+ * Return the git subcommand (push, commit, ...) skipping global options
+ */
+function gitSubcommand(cmd) {
+  const git = parseGit(cmd);
+  return git ? git.subcommand : null;
+}
+
+/**
+ * Read branch and dirty state of the repository at `dir`.
+ * Fields are null when git is unavailable or `dir` is not a repository.
+ */
+function readGitState(dir) {
+  const run = args => execFileSync('git', args, {
+    cwd: dir,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    timeout: GIT_TIMEOUT_MS
+  }).trim();
+
+  let branch = null;
+  let dirty = null;
+  try {
+    branch = run(['rev-parse', '--abbrev-ref', 'HEAD']);
+  } catch {}
+  try {
+    // Untracked files survive reset --hard, so only tracked changes count
+    dirty = run(['status', '--porcelain', '--untracked-files=no']).length > 0;
+  } catch {}
+
+  return { branch, dirty };
+}
+
+/**
+ * Git state for a command, honouring `git -C <dir>`. Cached per directory.
+ */
+function gitStateFor(git, context) {
+  const dir = path.resolve(context.cwd, git.globals['-C'] || '.');
+  context.gitStates = context.gitStates || {};
+  if (!context.gitStates[dir]) {
+    context.gitStates[dir] = (context.readGitState || readGitState)(dir);
+  }
+  return context.gitStates[dir];
+}
+
+/**
+ * True when `branch` matches one of the protected branch globs
+ */
+function isProtectedBranch(branch, context) {
+  if (!branch) return false;
+  const name = branch.replace(/^refs\/heads\//, '');
+  const globs = context.protectedBranches || DEFAULT_PROTECTED_BRANCHES;
+  return globs.some(glob => globToRegExp(glob).test(name));
+}
+
+/**
+ * Destination branches of a push, resolving to the current branch when no
+ * refspec is given. Returns ['*'] for --all/--mirror.
+ */
+function pushTargets(git, context) {
+  const { flags, operands } = splitArgs(git.args.filter(arg => !/^--(repo|receive-pack|exec|push-option|signed)=?/.test(arg)));
+  if (flags.has('all') || flags.has('mirror') || flags.has('branches')) return ['*'];
+
+  const refspecs = operands.slice(1);
+  if (refspecs.length === 0) {
+    const { branch } = gitStateFor(git, context);
+    return branch && branch !== 'HEAD' ? [branch] : [];
+  }
+  return refspecs.map(spec => {
+    const ref = spec.replace(/^\+/, '');
+    const dest = ref.includes(':') ? ref.split(':')[1] : ref;
+    if (dest === 'HEAD') return gitStateFor(git, context).branch;
+    return dest;
+  }).filter(Boolean);
+}
+
+/**
+ * True when a push rewrites remote history
+ */
+function isForcePush(git) {
+  const { flags, operands } = splitArgs(git.args);
+  return flags.has('f') || flags.has('force') || flags.has('force-with-lease') ||
+    flags.has('force-if-includes') || flags.has('mirror') ||
+    operands.slice(1).some(spec => spec.startsWith('+'));
+}
+
+const GIT_RULES = [
+  {
+    id: 'git-force-push-protected',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Force push to a protected branch rewrites shared history',
+    test: (cmd, pipeline, context) => {
+      const git = parseGit(cmd);
+      if (!git || git.subcommand !== 'push' || !isForcePush(git)) return false;
+      return pushTargets(git, context).some(target => target === '*' || isProtectedBranch(target, context));
+    }
+  },
+  {
+    id: 'git-delete-protected-branch',
+    action: 'block',
+    severity: 'critical',
+    message: 'Blocked: Deleting a protected branch',
+    test: (cmd, pipeline, context) => {
+      const git = parseGit(cmd);
+      if (!git) return false;
+      const { flags, operands } = splitArgs(git.args);
+      if (git.subcommand === 'branch' && (flags.has('d') || flags.has('D') || flags.has('delete'))) {
+        return operands.some(branch => isProtectedBranch(branch, context));
+      }
+      if (git.subcommand === 'push') {
+        const deleting = flags.has('d') || flags.has('delete');
+        const refs = operands.slice(1);
+        return refs.some(ref => (deleting && isProtectedBranch(ref, context)) ||
+          (ref.startsWith(':') && isProtectedBranch(ref.slice(1), context)));
+      }
+      return false;
+    }
+  },
+  {
+    id: 'git-reset-hard-dirty',
+    action: 'block',
+    severity: 'high',
+    message: 'Blocked: git reset --hard would discard uncommitted changes. Commit or stash them first.',
+    test: (cmd, pipeline, context) => {
+      const git = parseGit(cmd);
+      if (!git || git.subcommand !== 'reset' || !git.args.includes('--hard')) return false;
+      return gitStateFor(git, context).dirty === true;
+    }
+  },
+  {
+    id: 'git-clean-ignored',
+    action: 'block',
+    severity: 'high',
+    message: 'Blocked: git clean -x deletes ignored files (.env, local config). Use git clean -n to preview.',
+    test: cmd => {
+      const git = parseGit(cmd);
+      if (!git || git.subcommand !== 'clean') return false;
+      const { flags } = splitArgs(git.args);
+      const force = flags.has('f') || flags.has('force');
+      return force && (flags.has('x') || flags.has('X'));
+    }
+  },
+  {
+    id: 'git-no-verify',
+    action: 'warn',
+    severity: 'medium',
+    message: 'WARNING: --no-verify skips pre-commit/pre-push hooks. Fix the hook failure instead.',
+    test: cmd => {
+      const git = parseGit(cmd);
+      if (!git || !['commit', 'push', 'merge', 'rebase', 'am', 'cherry-pick'].includes(git.subcommand)) {
+        return false;
+      }
+      if (git.args.includes('--no-verify')) return true;
+      // `git commit -n` is the short form of --no-verify; the values of
+      // -m/-F/-C/-c are not flags even when they start with a dash
+      return git.subcommand === 'commit' &&
+        splitArgs(git.args.filter((arg, i) => !/^-[mFCc]$/.test(arg) && !/^-[mFCc]$/.test(git.args[i - 1]))).flags.has('n');
+    }
+  },
+];
+
+module.exports = {
+  GIT_RULES,
+  DEFAULT_PROTECTED_BRANCHES,
+  parseGit,
+  gitSubcommand,
+  readGitState,
+  isProtectedBranch,
+};
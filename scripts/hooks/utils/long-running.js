@@ -0,0 +1,483 @@
+/**
+ * Long-Running Command Detection for validate-bash-command
+ *
+ * Recognises commands that will not exit on their own:
+ * - dev servers (vite, next dev, uvicorn, flask run, manage.py runserver, ...)
+ * - Python entry points that start a server (Nexus().start(), uvicorn.run(), ...)
+ * - Node scripts that start a server (node server.js, .listen(), createServer())
+ * - package scripts, resolved through package.json (npm/pnpm/yarn/bun run X)
+ *   and pyproject.toml ([project.scripts], [tool.poetry.scripts], [tool.pdm.scripts])
+ * - watch modes (pytest -f, ptw, jest --watch, vitest, tsc -w, --watch/--reload)
+ * - followed output (tail -f, docker compose logs -f, kubectl logs -f)
+ *
+ * Each detection carries a suggestion for running it in the background with
+ * the project's package manager or Python runner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCommand, splitArgs } = require('./shell-parser');
+const { detectPackageManager, getRunCommand } = require('../detect-package-manager');
+
+// Resolution depth for scripts that call other scripts
+const MAX_SCRIPT_DEPTH = 3;
+
+// Largest Python file inspected for server start-up code
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+// Executables that serve until stopped; value is a predicate on args
+const SERVER_COMMANDS = {
+  uvicorn: () => true,
+  gunicorn: () => true,
+  hypercorn: () => true,
+  daphne: () => true,
+  nodemon: () => true,
+  'ts-node-dev': () => true,
+  'webpack-dev-server': () => true,
+  'http-server': () => true,
+  'live-server': () => true,
+  serve: () => true,
+  ngrok: () => true,
+  vite: args => !['build', 'optimize'].includes(args[0]),
+  next: args => ['dev', 'start'].includes(args[0]),
+  nuxt: args => ['dev', 'preview', 'start'].includes(args[0]),
+  nuxi: args => ['dev', 'preview'].includes(args[0]),
+  astro: args => ['dev', 'preview'].includes(args[0]),
+  remix: args => args[0] === 'dev',
+  'react-scripts': args => args[0] === 'start',
+  ng: args => args[0] === 'serve',
+  expo: args => args[0] === 'start',
+  storybook: args => args[0] === 'dev',
+  'start-storybook': () => true,
+  webpack: args => args[0] === 'serve',
+  flask: args => args[0] === 'run',
+  streamlit: args => args[0] === 'run',
+  jupyter: args => ['lab', 'notebook', 'server'].includes(args[0]),
+  mkdocs: args => args[0] === 'serve',
+  celery: args => args.includes('worker') || args.includes('beat'),
+  fastapi: args => ['dev', 'run'].includes(args[0]),
+  kubectl: args => args[0] === 'port-forward',
+  minikube: args => args[0] === 'tunnel',
+  tsx: args => args[0] === 'watch',
+};
+
+// Source patterns in a Python entry point that start a blocking server
+const PYTHON_SERVER_CODE = [
+  { pattern: /\bNexus\s*\([\s\S]*?\.start\s*\(/, label: 'Nexus server' },
+  { pattern: /\buvicorn\.run\s*\(/, label: 'uvicorn server' },
+  { pattern: /\b(app|application|server)\.run\s*\(/, label: 'app server' },
+  { pattern: /\.serve_forever\s*\(/, label: 'socket server' },
+  { pattern: /\bweb\.run_app\s*\(/, label: 'aiohttp server' },
+  { pattern: /\bmcp\.run\s*\(/, label: 'MCP server' },
+];
+
+// Source patterns in a Node entry point that start a blocking server
+const NODE_SERVER_CODE = [
+  { pattern: /\b(?:http2?|https|net)\.createServer\s*\(|\bcreateServer\s*\(/, label: 'HTTP server' },
+  { pattern: /\b(app|server|fastify|httpServer)\.listen\s*\(/, label: 'app server' },
+  { pattern: /\b(?:Bun|Deno)\.serve\s*\(/, label: 'HTTP server' },
+];
+
+// Node-style runtimes whose first operand is the entry script
+const NODE_RUNTIMES = new Set(['node', 'nodejs', 'ts-node', 'tsx']);
+
+// Node options that take a separate value
+const NODE_VALUE_OPTIONS = ['-r', '--require', '--import', '--loader', '--experimental-loader', '-C', '--conditions',
+  '--env-file', '--inspect-port', '--title', '--input-type'];
+
+// Node options whose value is code to run instead of a script
+const NODE_EVAL_OPTIONS = ['-e', '--eval', '-p', '--print'];
+
+// Python interpreter options that take a separate value
+const PYTHON_VALUE_OPTIONS = ['-W', '-X', '--check-hash-based-pycs'];
+
+// Python runners by lock file, used for suggestions
+const PYTHON_RUNNERS = [
+  { lockFile: 'uv.lock', runner: 'uv run' },
+  { lockFile: 'poetry.lock', runner: 'poetry run' },
+  { lockFile: 'pdm.lock', runner: 'pdm run' },
+  { lockFile: 'Pipfile.lock', runner: 'pipenv run' },
+];
+
+// Script names that start a server when package.json cannot be read
+const CONVENTIONAL_SERVER_SCRIPTS = ['dev', 'start', 'serve'];
+
+// Package manager subcommands that are not script names
+const PM_BUILTINS = new Set(['install', 'i', 'add', 'remove', 'rm', 'uninstall', 'update', 'up', 'upgrade',
+  'exec', 'dlx', 'x', 'create', 'init', 'publish', 'pack', 'link', 'unlink', 'list', 'ls', 'outdated',
+  'audit', 'why', 'info', 'view', 'config', 'cache', 'ci', 'prune', 'dedupe', 'import', 'store']);
+
+/**
+ * Read a file if it exists and is small enough, caching per context
+ */
+function readCached(filePath, context) {
+  context.fileCache = context.fileCache || {};
+  if (!(filePath in context.fileCache)) {
+    let content = null;
+    try {
+      if (fs.statSync(filePath).size <= MAX_SOURCE_BYTES) {
+        content = fs.readFileSync(filePath, 'utf8');
+      }
+    } catch {}
+    context.fileCache[filePath] = content;
+  }
+  return context.fileCache[filePath];
+}
+
+/**
+ * Find the nearest file named `name` from cwd up to the project root
+ */
+function findUp(name, context) {
+  const root = path.resolve(context.projectRoot || context.cwd);
+  let dir = path.resolve(context.cwd);
+  while (true) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+    if (dir === root || path.dirname(dir) === dir) return null;
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Read the [section] key = value pairs of a pyproject.toml (scripts only)
+ */
+function readTomlTable(content, section) {
+  const table = {};
+  const lines = content.split('\n');
+  let inSection = false;
+
+  for (const line of lines) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      inSection = header[1].trim() === section;
+      continue;
+    }
+    if (!inSection) continue;
+    const entry = line.match(/^\s*["']?([\w.-]+)["']?\s*=\s*(.+?)\s*$/);
+    if (!entry) continue;
+    const value = entry[2];
+    // Plain string, or an inline table such as { cmd = "..." } / { shell = "..." }
+    const string = value.match(/^["'](.*)["']$/) || value.match(/(?:cmd|shell|call)\s*=\s*["']([^"']+)["']/);
+    if (string) table[entry[1]] = string[1];
+  }
+
+  return table;
+}
+
+/**
+ * Resolve `pkg.module` to a file under the project root
+ */
+function resolvePythonModule(moduleName, baseDir) {
+  const relative = moduleName.split('.').join(path.sep);
+  const candidates = [
+    `${relative}.py`,
+    path.join(relative, '__main__.py'),
+    path.join('src', `${relative}.py`),
+    path.join('src', relative, '__main__.py'),
+  ];
+  for (const candidate of candidates) {
+    const full = path.join(baseDir, candidate);
+    if (fs.existsSync(full)) return full;
+  }
+  return null;
+}
+
+/**
+ * Label the server a Python file starts, or null
+ */
+function detectPythonServer(filePath, context) {
+  const content = readCached(filePath, context);
+  if (!content) return null;
+  const code = content.replace(/^\s*#.*$/gm, '');
+  const match = PYTHON_SERVER_CODE.find(({ pattern }) => pattern.test(code));
+  return match ? match.label : null;
+}
+
+/**
+ * Resolve a Node entry script the way `node <script>` does (extension, index.js)
+ */
+function resolveNodeScript(script, cwd) {
+  const base = path.resolve(cwd, script);
+  const candidates = [base, ...['.js', '.mjs', '.cjs', '.ts'].map(ext => base + ext), path.join(base, 'index.js')];
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Label the server Node source starts, or null
+ */
+function detectNodeServerCode(code) {
+  const source = code.replace(/^\s*\/\/.*$/gm, '');
+  const match = NODE_SERVER_CODE.find(({ pattern }) => pattern.test(source));
+  return match ? match.label : null;
+}
+
+/**
+ * Analyse `node ...` invocations: a script named like a server, or one whose
+ * source starts one
+ */
+function detectNode(cmd, context) {
+  const args = cmd.args;
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-')) {
+    if (NODE_EVAL_OPTIONS.includes(args[i])) {
+      const server = detectNodeServerCode(args[i + 1] || '');
+      return server ? { kind: 'server', detail: `${cmd.name} ${args[i]} starts a ${server}` } : null;
+    }
+    if (NODE_VALUE_OPTIONS.includes(args[i])) i++;
+    i++;
+  }
+
+  const script = args[i];
+  if (!script) return null;
+  if (/server/i.test(path.basename(script))) {
+    return { kind: 'server', detail: `${cmd.name} ${script}` };
+  }
+  const file = resolveNodeScript(script, context.cwd);
+  const content = file && readCached(file, context);
+  const server = content && detectNodeServerCode(content);
+  return server ? { kind: 'server', detail: `${script} starts a ${server}` } : null;
+}
+
+/**
+ * Suggest a Python runner prefix for the project (uv run, poetry run, ...)
+ */
+function pythonRunner(context) {
+  const match = PYTHON_RUNNERS.find(({ lockFile }) => findUp(lockFile, context));
+  return match ? match.runner : null;
+}
+
+/**
+ * Analyse `python ...` invocations
+ */
+function detectPython(cmd, context, depth) {
+  const args = cmd.args;
+  let i = 0;
+  while (i < args.length && args[i].startsWith('-') && args[i] !== '-m') {
+    if (args[i] === '-c') return null;
+    if (PYTHON_VALUE_OPTIONS.includes(args[i])) i++;
+    i++;
+  }
+
+  if (args[i] === '-m') {
+    const moduleName = args[i + 1];
+    if (!moduleName) return null;
+    if (moduleName === 'http.server') return { kind: 'server', detail: 'python -m http.server' };
+    // python -m uvicorn / pytest / flask ... behaves like the executable
+    const inner = detectCommand({ ...cmd, name: moduleName, args: args.slice(i + 2) }, context, depth);
+    if (inner) return inner;
+    const file = resolvePythonModule(moduleName, path.resolve(context.cwd));
+    const server = file && detectPythonServer(file, context);
+    return server ? { kind: 'server', detail: `python -m ${moduleName} starts a ${server}` } : null;
+  }
+
+  const script = args[i];
+  if (!script || !script.endsWith('.py')) return null;
+  if (path.basename(script) === 'manage.py' && args[i + 1] === 'runserver') {
+    return { kind: 'server', detail: 'manage.py runserver' };
+  }
+  const server = detectPythonServer(path.resolve(context.cwd, script), context);
+  return server ? { kind: 'server', detail: `${script} starts a ${server}` } : null;
+}
+
+/**
+ * Resolve a package.json script invoked through npm/pnpm/yarn/bun
+ */
+function resolvePackageScript(cmd, context) {
+  const [first, second] = cmd.args;
+  let script = null;
+
+  if (first === 'run' || first === 'run-script') {
+    script = second;
+  } else if (cmd.name === 'npm') {
+    if (['start', 'stop', 'restart', 'test', 't'].includes(first)) script = first === 't' ? 'test' : first;
+  } else if (first && !first.startsWith('-') && !PM_BUILTINS.has(first)) {
+    script = first;
+  }
+  if (!script) return null;
+
+  const packageJsonPath = findUp('package.json', context);
+  const pkg = packageJsonPath && readCached(packageJsonPath, context);
+  if (!pkg) return null;
+
+  let scripts;
+  try {
+    scripts = JSON.parse(pkg).scripts || {};
+  } catch {
+    return null;
+  }
+  const body = scripts[script] || (script === 'start' ? 'node server.js' : null);
+  if (!body) return null;
+
+  const { packageManager } = detectPackageManager(path.dirname(packageJsonPath));
+  return {
+    script,
+    body,
+    dir: path.dirname(packageJsonPath),
+    invocation: getRunCommand(packageManager || cmd.name, script)
+  };
+}
+
+/**
+ * Resolve a pyproject.toml script (uv run X, poetry run X, pdm run X)
+ */
+function resolvePyprojectScript(cmd, context) {
+  const pyprojectPath = findUp('pyproject.toml', context);
+  const content = pyprojectPath && readCached(pyprojectPath, context);
+  if (!content) return null;
+
+  const entryPoints = {
+    ...readTomlTable(content, 'project.scripts'),
+    ...readTomlTable(content, 'tool.poetry.scripts'),
+  };
+  const pdmScripts = readTomlTable(content, 'tool.pdm.scripts');
+  const baseDir = path.dirname(pyprojectPath);
+
+  if (entryPoints[cmd.name]) {
+    const moduleName = entryPoints[cmd.name].split(':')[0];
+    return { script: cmd.name, module: moduleName, file: resolvePythonModule(moduleName, baseDir) };
+  }
+  if (pdmScripts[cmd.name]) {
+    return { script: cmd.name, body: pdmScripts[cmd.name] };
+  }
+  return null;
+}
+
+/**
+ * Run detection over every command in a script body
+ */
+function detectScriptBody(body, context, depth) {
+  for (const inner of parseCommand(body).commands) {
+    if (inner.background) continue;
+    const found = detectCommand(inner, context, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Detect a long-running command. Returns { kind, detail, invocation? } or null.
+ * kind is one of: server, watch, follow
+ */
+function detectCommand(cmd, context, depth = 0) {
+  if (depth > MAX_SCRIPT_DEPTH) return null;
+  const { name, args } = cmd;
+  const { flags } = splitArgs(args);
+
+  if (SERVER_COMMANDS[name] && SERVER_COMMANDS[name](args)) {
+    return { kind: 'server', detail: [name, args[0]].filter(Boolean).join(' ') };
+  }
+
+  if (/^python[\d.]*$/.test(name)) {
+    return detectPython(cmd, context, depth);
+  }
+
+  if (NODE_RUNTIMES.has(name) && !flags.has('watch')) {
+    return detectNode(cmd, context);
+  }
+
+  // Docker: foreground `compose up` and followed logs. -d only detaches here.
+  if (name === 'docker' || name === 'docker-compose') {
+    const sub = name === 'docker-compose' ? args : args.slice(args[0] === 'compose' ? 1 : 0);
+    const subFlags = splitArgs(sub.slice(1)).flags;
+    if (sub[0] === 'up' && !subFlags.has('d') && !subFlags.has('detach')) {
+      return { kind: 'server', detail: `${name === 'docker' ? 'docker compose' : name} up`, detached: `${cmd.argv.join(' ')} -d` };
+    }
+    if (sub[0] === 'logs' && (subFlags.has('f') || subFlags.has('follow'))) {
+      return { kind: 'follow', detail: `${args[0] === 'compose' ? 'docker compose' : name} logs -f` };
+    }
+    return null;
+  }
+
+  if ((name === 'tail' && (flags.has('f') || flags.has('F') || flags.has('follow'))) ||
+      (name === 'journalctl' && (flags.has('f') || flags.has('follow'))) ||
+      (name === 'kubectl' && args[0] === 'logs' && (flags.has('f') || flags.has('follow')))) {
+    return { kind: 'follow', detail: `${name} -f` };
+  }
+
+  if (name === 'sleep' && args[0] === 'infinity') {
+    return { kind: 'follow', detail: 'sleep infinity' };
+  }
+
+  // Watch modes
+  if (name === 'ptw' || name === 'pytest-watch' || name === 'watch' || name === 'watchexec') {
+    return { kind: 'watch', detail: name };
+  }
+  if (name === 'pytest' && (flags.has('f') || flags.has('looponfail'))) {
+    return { kind: 'watch', detail: 'pytest -f (looponfail)' };
+  }
+  if (name === 'vitest' && !['run', 'bench', 'list'].includes(args[0]) && !flags.has('run')) {
+    return { kind: 'watch', detail: 'vitest (watch mode by default)' };
+  }
+  if (flags.has('watch') || flags.has('watchAll') || (name === 'tsc' && flags.has('w')) || flags.has('reload')) {
+    return { kind: 'watch', detail: `${name} --watch` };
+  }
+
+  // npm/pnpm/yarn/bun run X
+  if (['npm', 'pnpm', 'yarn', 'bun'].includes(name)) {
+    const resolved = resolvePackageScript(cmd, context);
+    if (!resolved) {
+      // No package.json to read - fall back to the conventional script names
+      const script = ['run', 'run-script'].includes(args[0]) ? args[1] : args[0];
+      return CONVENTIONAL_SERVER_SCRIPTS.includes(script) ? { kind: 'server', detail: `${name} ${args.join(' ')}` } : null;
+    }
+    const found = detectScriptBody(resolved.body, { ...context, cwd: resolved.dir }, depth);
+    return found ? { ...found, detail: `${resolved.invocation} → ${found.detail}`, invocation: resolved.invocation } : null;
+  }
+
+  // uv run X / poetry run X / pdm run X where X is a pyproject script
+  if (cmd.wrappers && cmd.wrappers.some(w => / run$/.test(w))) {
+    const resolved = resolvePyprojectScript(cmd, context);
+    if (resolved && resolved.body) {
+      const found = detectScriptBody(resolved.body, context, depth);
+      return found ? { ...found, detail: `${resolved.script} → ${found.detail}` } : null;
+    }
+    const server = resolved && resolved.file && detectPythonServer(resolved.file, context);
+    if (server) return { kind: 'server', detail: `${resolved.script} (${resolved.module}) starts a ${server}` };
+  }
+
+  return null;
+}
+
+/**
+ * Suggest how to run a detected command without blocking the session
+ */
+function suggestBackground(cmd, detection, context) {
+  if (detection.detached) {
+    return detection.detached;
+  }
+  if (detection.kind === 'follow') {
+    return 'Drop -f/--follow and read a bounded tail instead (e.g. --tail 100 / -n 100)';
+  }
+
+  let invocation = detection.invocation || cmd.invocation;
+  if (!detection.invocation && /^python[\d.]*$/.test(cmd.name) && !cmd.wrappers.some(w => / run$/.test(w))) {
+    const runner = pythonRunner(context);
+    if (runner) invocation = `${runner} ${cmd.text}`;
+  }
+  const session = (detection.invocation ? detection.invocation.split(' ').pop() : cmd.name)
+    .replace(/[^\w-]/g, '-');
+  return `run_in_background, or: tmux new-session -d -s ${session} '${invocation.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Detect a long-running sub-command and attach a background suggestion
+ */
+function detectLongRunning(cmd, context) {
+  const detection = detectCommand(cmd, context);
+  if (!detection) return null;
+  return { ...detection, suggestion: suggestBackground(cmd, detection, context) };
+}
+
+module.exports = {
+  detectLongRunning,
+  resolvePackageScript,
+  resolvePyprojectScript,
+  readTomlTable,
+  PYTHON_RUNNERS,
+};
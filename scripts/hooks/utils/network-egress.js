@@ -0,0 +1,238 @@
+/**
+ * Network Egress Policy for validate-bash-command
+ *
+ * Extracts the remote hosts an agent-run command would contact and checks
+ * them against the allowlist in the "network" section of the bash policy:
+ *
+ *   {
+ *     "network": {
+ *       "mode": "block",                        // off (default) | warn | block
+ *       "allowedHosts": ["pypi.org", "files.pythonhosted.org", "*.corp.example.com"]
+ *     }
+ *   }
+ *
+ * Covered: curl/wget/httpie URLs, pip/uv/poetry/npm/pnpm/yarn/bun custom
+ * indexes and URL installs (also run as `python -m pip`), git clone/fetch/pull/push/remote add of explicit
+ * URLs, nc/ncat/telnet/socat, ssh, scp, sftp and rsync. Loopback is always
+ * allowed. Commands without an explicit host (pip install requests) are not
+ * checked.
+ */
+
+const { splitArgs } = require('./shell-parser');
+const { parseGit } = require('./git-safety');
+
+const MODES = ['off', 'warn', 'block'];
+
+const LOOPBACK = new Set(['localhost', '127.0.0.1', '::1', '0.0.0.0']);
+
+// curl/wget options that take a separate value (not a URL)
+const HTTP_VALUE_OPTIONS = new Set(['-H', '--header', '-d', '--data', '--data-raw', '--data-binary',
+  '--data-urlencode', '-o', '--output', '-X', '--request', '-u', '--user', '-A', '--user-agent',
+  '-e', '--referer', '-F', '--form', '-T', '--upload-file', '-b', '--cookie', '-c', '--cookie-jar',
+  '-K', '--config', '-m', '--max-time', '-w', '--write-out', '-r', '--range', '-E', '--cert',
+  '--key', '--cacert', '--connect-timeout', '--retry', '-O', '--output-document', '-P',
+  '--directory-prefix', '-U', '-t', '--tries', '--timeout']);
+
+// Proxy options, whose value is itself a host
+const PROXY_OPTIONS = new Set(['-x', '--proxy', '--preproxy']);
+
+// Package manager options whose value is an index, registry or link URL
+const INDEX_OPTIONS = new Set(['-i', '--index-url', '--extra-index-url', '--index', '--default-index',
+  '-f', '--find-links', '--trusted-host', '--registry', '--source']);
+
+// ssh options that take a separate value
+const SSH_VALUE_OPTIONS = new Set(['-b', '-c', '-D', '-E', '-e', '-F', '-I', '-i', '-J', '-L', '-l',
+  '-m', '-O', '-o', '-p', '-P', '-Q', '-R', '-S', '-W', '-w']);
+
+// nc/ncat/netcat options that take a separate value
+const NC_VALUE_OPTIONS = new Set(['-p', '-s', '-w', '-i', '-e', '-c', '-x', '-X', '-q', '-O', '-I', '-T', '-V']);
+
+const PACKAGE_TOOLS = new Set(['pip', 'pip3', 'uv', 'poetry', 'pipx', 'npm', 'pnpm', 'yarn', 'bun', 'pdm']);
+
+// python, python3, python3.12, py
+const PYTHON = /^(python(\d+(\.\d+)*)?|py)$/;
+
+/**
+ * The package tool a command runs and its arguments, unwrapping
+ * `python -m pip ...` and the like; null for other commands
+ */
+function packageTool(cmd) {
+  if (PACKAGE_TOOLS.has(cmd.name)) return { name: cmd.name, args: cmd.args };
+  if (!PYTHON.test(cmd.name)) return null;
+
+  for (let i = 0; i < cmd.args.length && cmd.args[i].startsWith('-'); i++) {
+    const arg = cmd.args[i];
+    const module = arg === '-m' ? cmd.args[i + 1] : arg.startsWith('-m') ? arg.slice(2) : null;
+    if (module !== null) {
+      return PACKAGE_TOOLS.has(module) ? { name: module, args: cmd.args.slice(arg === '-m' ? i + 2 : i + 1) } : null;
+    }
+    // -c and -W/-X take the rest or a value; nothing after them is a module
+    if (arg === '-c') return null;
+    if (['-W', '-X'].includes(arg)) i++;
+  }
+  return null;
+}
+
+/**
+ * Extract the host from a URL, scp-style target (user@host:path) or
+ * host[:port]. Bare single-label names are only accepted when `bare` is set,
+ * for commands whose operand is always a host (ssh, nc).
+ */
+function hostOf(target, bare = false) {
+  if (!target) return null;
+  const value = target.replace(/^git\+/, '');
+
+  const url = value.match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]*@)?(\[[^\]]+\]|[^/:?#]+)/i);
+  if (url) return url[1].replace(/^\[|\]$/g, '').toLowerCase();
+
+  const host = value.replace(/^[^@/\s]+@/, '').split(/[/:]/)[0];
+  if (!/^[A-Za-z0-9.-]+$/.test(host)) return null;
+  return bare || host.includes('.') || value.includes('@') ? host.toLowerCase() : null;
+}
+
+/**
+ * True for arguments that look like an http(s)/ftp URL or a host/path
+ */
+function looksLikeUrl(arg) {
+  return /^(https?|ftp|ftps|wss?):\/\//i.test(arg) || /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+(:\d+)?(\/|$)/.test(arg);
+}
+
+/**
+ * Operands of a command, skipping the values of the given options
+ */
+function operandsSkipping(args, valueOptions) {
+  const operands = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith('-')) {
+      if (valueOptions.has(arg)) i++;
+      continue;
+    }
+    operands.push(arg);
+  }
+  return operands;
+}
+
+/**
+ * Values of options in `names`, in both `--opt value` and `--opt=value` form
+ */
+function optionValues(args, names) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (names.has(arg) && args[i + 1]) values.push(args[i + 1]);
+    const eq = arg.indexOf('=');
+    if (arg.startsWith('--') && eq > 0 && names.has(arg.slice(0, eq))) values.push(arg.slice(eq + 1));
+  });
+  return values;
+}
+
+/**
+ * List the remote hosts a sub-command contacts: [{ host, via }]
+ */
+function extractHosts(cmd) {
+  const { name, args } = cmd;
+  const targets = [];
+  const add = (target, via, bare) => {
+    const host = hostOf(target, bare);
+    if (host && !targets.some(t => t.host === host)) targets.push({ host, via });
+  };
+
+  if (['curl', 'wget', 'http', 'https', 'xh'].includes(name)) {
+    operandsSkipping(args, new Set([...HTTP_VALUE_OPTIONS, ...PROXY_OPTIONS])).filter(looksLikeUrl).forEach(url => add(url, name));
+    optionValues(args, new Set(['--url'])).forEach(url => add(url, name));
+    optionValues(args, PROXY_OPTIONS).forEach(proxy => add(proxy, `${name} proxy`));
+  }
+
+  const tool = packageTool(cmd);
+  if (tool) {
+    optionValues(tool.args, INDEX_OPTIONS).forEach(index => add(index, `${tool.name} index`));
+    const sub = tool.args[0] === 'pip' ? tool.args[1] : tool.args[0];
+    if (['install', 'add', 'i'].includes(sub)) {
+      tool.args.filter(arg => /^(git\+)?(https?|ssh|git):\/\//.test(arg) || /^git@/.test(arg) || /@\s*(https?|git\+)/.test(arg))
+        .forEach(arg => add(arg.replace(/^[^@]*@\s*(?=(https?|git\+))/, ''), `${tool.name} ${sub}`));
+    }
+  }
+
+  if (name === 'git') {
+    const git = parseGit(cmd);
+    const sub = git && git.subcommand;
+    if (['clone', 'fetch', 'pull', 'push', 'ls-remote', 'remote', 'submodule', 'archive'].includes(sub)) {
+      const operands = operandsSkipping(git.args, new Set(['-b', '--branch', '-o', '--origin', '--depth',
+        '--reference', '-c', '--config', '--remote', '--exec', '-u', '--upload-pack', '-j', '--jobs']));
+      operands
+        .filter(arg => /^[a-z][a-z0-9+.-]*:\/\//i.test(arg) || /^[^@/\s]+@[^:/\s]+:/.test(arg))
+        .forEach(arg => add(arg, `git ${sub}`));
+    }
+  }
+
+  if (['nc', 'ncat', 'netcat', 'telnet'].includes(name)) {
+    const [host] = operandsSkipping(args, NC_VALUE_OPTIONS);
+    const { flags } = splitArgs(args);
+    // nc -l listens locally
+    if (host && !flags.has('l')) add(host, name, true);
+  }
+
+  if (name === 'socat') {
+    args.forEach(arg => {
+      const match = arg.match(/^(?:TCP[46]?|UDP[46]?|OPENSSL|SSL)(?:-CONNECT)?:([^:,]+):/i);
+      if (match) add(match[1], name, true);
+    });
+  }
+
+  if (name === 'ssh') {
+    const [target] = operandsSkipping(args, SSH_VALUE_OPTIONS);
+    if (target) add(target, name, true);
+    optionValues(args, new Set(['-J'])).forEach(jump => add(jump, 'ssh jump host', true));
+  }
+
+  if (['scp', 'sftp', 'rsync'].includes(name)) {
+    operandsSkipping(args, SSH_VALUE_OPTIONS)
+      .filter(arg => /^[a-z]+:\/\//.test(arg) || /^(?:[^@/\s]+@)?[^:/\s]+:/.test(arg) || name === 'sftp')
+      .forEach(arg => add(arg, name, true));
+  }
+
+  return targets;
+}
+
+/**
+ * True when `host` is loopback or matches an allowlist entry.
+ * Entries are exact hosts, `*.example.com` (subdomains) or `.example.com` (domain and subdomains).
+ */
+function isHostAllowed(host, allowedHosts) {
+  if (LOOPBACK.has(host)) return true;
+  return allowedHosts.some(entry => {
+    const pattern = entry.toLowerCase();
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+    if (pattern.startsWith('.')) return host === pattern.slice(1) || host.endsWith(pattern);
+    return host === pattern;
+  });
+}
+
+const NETWORK_RULES = [
+  {
+    // Action follows network.mode; the rule is inert while mode is "off"
+    id: 'network-egress',
+    action: 'block',
+    severity: 'high',
+    message: 'Blocked: Outbound connection to a host outside the network allowlist',
+    test: (cmd, pipeline, context) => {
+      const network = context.network;
+      if (!network || network.mode === 'off') return false;
+      const rejected = extractHosts(cmd).filter(({ host }) => !isHostAllowed(host, network.allowedHosts));
+      return rejected.length > 0
+        ? `rejected host ${rejected.map(({ host, via }) => `${host} via ${via}`).join(', ')}`
+        : false;
+    }
+  },
+];
+
+module.exports = {
+  NETWORK_RULES,
+  MODES,
+  extractHosts,
+  isHostAllowed,
+};
@@ -0,0 +1,260 @@
+/**
+ * Node Catalogue for validate-workflow
+ *
+ * Builds a catalogue of Kailash node types from the 08-nodes-reference skill:
+ * - node names: every `...Node` the reference mentions, plus names imported
+ *   from kailash.nodes.* in its code blocks
+ * - documented parameters: config keys of each documented add_node() call
+ *
+ * The reference examples do not say which parameters a node requires, so those
+ * come from REQUIRED_PARAMETERS below, reviewed against the SDK's node classes.
+ *
+ * The catalogue is cached in <learning dir>/cache/node-catalogue.json and
+ * rebuilt when a reference file changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getLearningDir } = require('./project');
+const { parsePython } = require('./python-parser');
+const { analyzeWorkflows, argument, literal } = require('./workflow-analysis');
+
+const REFERENCE_DIRS = [
+  path.join('.agent', 'skills', '08-nodes-reference'),
+  path.join('.claude', 'skills', '08-nodes-reference'),
+];
+
+// The reference shipped alongside these hooks, for projects without their own copy
+const BUNDLED_REFERENCE = path.join(__dirname, '..', '..', '..', '.agent', 'skills', '08-nodes-reference');
+
+const CACHE_VERSION = 2;
+
+// Parameters a node cannot run without, unless a connection or the runtime
+// parameters supply them. Keep to nodes whose requirement is certain: a wrong
+// entry reports valid workflows. Each node and parameter must appear in the
+// reference (checked by __tests__/node-catalogue.test.js).
+const REQUIRED_PARAMETERS = {
+  PythonCodeNode: ['code'],
+  CSVReaderNode: ['file_path'],
+  CSVWriterNode: ['file_path'],
+  JSONReaderNode: ['file_path'],
+  JSONWriterNode: ['file_path'],
+  TextReaderNode: ['file_path'],
+  DocumentProcessorNode: ['file_path'],
+  DirectoryReaderNode: ['directory_path'],
+  HTTPRequestNode: ['url'],
+  AsyncHTTPRequestNode: ['url'],
+  SQLDatabaseNode: ['connection_string'],
+};
+
+const RULES = {
+  'unknown-node-type': { severity: 'high', description: 'Node type not in the 08-nodes-reference catalogue' },
+  'missing-required-parameter': { severity: 'high', description: 'Required node parameter not supplied' },
+};
+
+const NODE_NAME = /\b[A-Z][A-Za-z0-9]*Node\b/g;
+
+/**
+ * Path of the node catalogue cache
+ */
+function cacheFile() {
+  return path.join(getLearningDir(), 'cache', 'node-catalogue.json');
+}
+
+/**
+ * Reference directory for a project, falling back to the bundled one
+ */
+function findReferenceDir(projectRoot) {
+  const candidates = REFERENCE_DIRS.map(dir => path.join(projectRoot, dir)).concat(BUNDLED_REFERENCE);
+  return candidates.find(dir => fs.existsSync(dir)) || null;
+}
+
+/**
+ * Markdown files of a reference directory with a fingerprint of their mtimes and sizes
+ */
+function referenceFiles(dir) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort().map(f => path.join(dir, f));
+  const fingerprint = files.map(file => {
+    const stat = fs.statSync(file);
+    return `${path.basename(file)}:${stat.mtimeMs}:${stat.size}`;
+  }).join('|');
+  return { files, fingerprint };
+}
+
+/**
+ * Build the catalogue from the reference markdown files
+ */
+function buildCatalogue(files) {
+  const nodes = {};
+  const entry = name => {
+    nodes[name] = nodes[name] || { params: [], files: [] };
+    return nodes[name];
+  };
+  const addUnique = (list, value) => {
+    if (!list.includes(value)) list.push(value);
+  };
+
+  for (const file of files) {
+    const markdown = fs.readFileSync(file, 'utf8');
+    const source = path.basename(file);
+    (markdown.match(NODE_NAME) || []).forEach(name => addUnique(entry(name).files, source));
+
+    for (const [, code] of markdown.matchAll(/```python\n([\s\S]*?)```/g)) {
+      const module = parsePython(code);
+      module.imports
+        .filter(imported => imported.module.startsWith('kailash.nodes') && imported.name && imported.name !== '*')
+        .forEach(imported => addUnique(entry(imported.name).files, source));
+
+      for (const node of analyzeWorkflows(module).nodes) {
+        if (!node.type || !nodes[node.type] || !node.config || node.config.type !== 'dict') continue;
+        for (const { key } of node.config.entries) {
+          const name = literal(key);
+          if (!name) continue;
+          addUnique(nodes[node.type].params, name);
+        }
+      }
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Load the node catalogue for a project, from cache when the reference is unchanged.
+ * Returns { dir, nodes } or null when no reference is available.
+ */
+function loadNodeCatalogue(projectRoot) {
+  const dir = findReferenceDir(projectRoot);
+  if (!dir) return null;
+
+  const { files, fingerprint } = referenceFiles(dir);
+  let cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(cacheFile(), 'utf8'));
+  } catch {}
+
+  const cached = cache.version === CACHE_VERSION && cache.entries && cache.entries[dir];
+  if (cached && cached.fingerprint === fingerprint) {
+    return { dir, nodes: cached.nodes };
+  }
+
+  const nodes = buildCatalogue(files);
+  try {
+    const entries = cache.version === CACHE_VERSION && cache.entries ? cache.entries : {};
+    entries[dir] = { fingerprint, nodes };
+    fs.mkdirSync(path.dirname(cacheFile()), { recursive: true });
+    fs.writeFileSync(cacheFile(), JSON.stringify({ version: CACHE_VERSION, entries }));
+  } catch {}
+  return { dir, nodes };
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions, transpositions)
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Closest catalogue name to `name`, or null when nothing is close
+ */
+function suggestNodeType(name, nodes) {
+  const limit = Math.max(2, Math.floor(name.length / 4));
+  let best = null;
+  for (const candidate of Object.keys(nodes)) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance <= limit && (!best || distance < best.distance)) best = { candidate, distance };
+  }
+  return best ? best.candidate : null;
+}
+
+/**
+ * Keys of a dict literal, or null when it is not one (or spreads another dict)
+ */
+function dictKeys(expression) {
+  if (!expression || expression.type !== 'dict' || expression.entries.some(e => !e.key)) return null;
+  return expression.entries.map(e => literal(e.key)).filter(Boolean);
+}
+
+/**
+ * Check add_node calls against the catalogue: unknown node types and missing
+ * required parameters. Returns [{ rule, position, message, fix }].
+ */
+function checkNodeTypes(workflows, module, catalogue) {
+  const findings = [];
+  const { nodes } = catalogue;
+
+  // Custom nodes defined or imported by the file, and DataFlow-generated nodes
+  const local = new Set(module.statements.filter(s => s.scope && s.scope.kind === 'class').map(s => s.scope.name));
+  module.imports.forEach(entry => local.add(entry.alias || entry.name || entry.module));
+  const dataflow = module.imports.some(entry => entry.module.split('.')[0] === 'dataflow');
+
+  // Parameters supplied at execution time, per node id; null when not a literal
+  let runtimeParams = new Map();
+  for (const { call } of workflows.executions) {
+    const parameters = argument(call, 1, 'parameters');
+    if (!parameters) continue;
+    if (parameters.type !== 'dict' || parameters.entries.some(e => !e.key)) {
+      runtimeParams = null;
+      break;
+    }
+    parameters.entries.forEach(({ key, value }) => {
+      const id = literal(key);
+      if (id) runtimeParams.set(id, [...(runtimeParams.get(id) || []), ...(dictKeys(value) || [])]);
+    });
+  }
+
+  for (const node of workflows.nodes) {
+    if (!node.type || local.has(node.type)) continue;
+    const known = nodes[node.type];
+
+    if (!known) {
+      // Generated node names are checked by dataflow-lint.js
+      if (dataflow && /^(Create|Read|Update|Delete|List|Upsert|Count|Bulk)|(Create|Read|Update|Delete|List|Upsert|Count)Node$/.test(node.type)) continue;
+      const suggestion = suggestNodeType(node.type, nodes);
+      findings.push({
+        rule: 'unknown-node-type',
+        position: node.call,
+        fix: suggestion,
+        message: suggestion
+          ? `Unknown node type "${node.type}". Did you mean "${suggestion}"?`
+          : `Unknown node type "${node.type}" (not in the 08-nodes-reference catalogue).`
+      });
+      continue;
+    }
+
+    const required = REQUIRED_PARAMETERS[node.type] || [];
+    const configKeys = node.config ? dictKeys(node.config) : [];
+    if (required.length === 0 || configKeys === null || runtimeParams === null) continue;
+    const connected = workflows.connections.filter(c => c.target === node.id).map(c => c.input);
+    const supplied = new Set([...configKeys, ...connected, ...(runtimeParams.get(node.id) || [])]);
+    for (const param of required.filter(p => !supplied.has(p))) {
+      findings.push({
+        rule: 'missing-required-parameter',
+        position: node.call,
+        message: `Node "${node.id || node.type}" (${node.type}) is missing required parameter "${param}".`
+      });
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  loadNodeCatalogue,
+  checkNodeTypes,
+  suggestNodeType,
+  buildCatalogue,
+  REQUIRED_PARAMETERS,
+  RULES,
+};
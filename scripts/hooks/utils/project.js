@@ -0,0 +1,85 @@
+/**
+ * Project and learning directory helpers shared by the Kailash hooks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Files or directories that mark the root of a project
+const ROOT_MARKERS = ['.git', '.agent', '.claude'];
+
+/**
+ * Learning directory - supports env var override for testing, like scripts/learning
+ */
+function getLearningDir() {
+  return process.env.KAILASH_LEARNING_DIR || path.join(os.homedir(), '.claude', 'kailash-learning');
+}
+
+/**
+ * Walk up from `cwd` to the nearest directory holding a root marker.
+ * Falls back to `cwd` itself when no marker is found.
+ */
+function findProjectRoot(cwd) {
+  const start = path.resolve(cwd || process.cwd());
+  let dir = start;
+
+  while (true) {
+    if (ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker)))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return start;
+    dir = parent;
+  }
+}
+
+/**
+ * Convert a glob (`**`, `*`, `?`) to an anchored RegExp over '/'-separated paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // '**/' matches zero or more directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * True when `relativePath` matches `glob`, or lies inside a directory it matches
+ */
+function matchesGlob(relativePath, glob) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const pattern = globToRegExp(glob.replace(/\/+$/, ''));
+  let candidate = normalized;
+
+  while (true) {
+    if (pattern.test(candidate)) return true;
+    const slash = candidate.lastIndexOf('/');
+    if (slash === -1) return false;
+    candidate = candidate.slice(0, slash);
+  }
+}
+
+module.exports = {
+  getLearningDir,
+  findProjectRoot,
+  globToRegExp,
+  matchesGlob,
+};
@@ -0,0 +1,607 @@
+/**
+ * Lightweight Python Parser for the Kailash hooks
+ *
+ * Tokenizes Python source (strings, f-strings, comments, continuation lines,
+ * bracketed multi-line expressions, INDENT/DEDENT) and extracts what the
+ * hooks need without a full grammar:
+ * - logical statements with their enclosing def/class scopes
+ * - imports, including relative imports and aliases
+ * - assignments (`name = <expr>`, `self.attr: T = <expr>`)
+ * - every call expression with its dotted callee and parsed arguments
+ *
+ * Lines and columns are 1-based. Code inside comments and strings never
+ * produces calls, names or imports.
+ */
+
+const TOKEN = {
+  NAME: 'name',
+  NUMBER: 'number',
+  STRING: 'string',
+  OP: 'op',
+  COMMENT: 'comment',
+  NEWLINE: 'newline',
+  INDENT: 'indent',
+  DEDENT: 'dedent',
+  END: 'end',
+};
+
+const OPERATORS = ['**=', '//=', '>>=', '<<=', '...', '->', ':=', '==', '!=', '<=', '>=', '**', '//',
+  '<<', '>>', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=',
+  '(', ')', '[', ']', '{', '}', ',', ':', '.', ';', '@', '=', '+', '-', '*', '/', '%', '&', '|', '^', '~', '<', '>'];
+
+const OPENING = { '(': ')', '[': ']', '{': '}' };
+
+const STRING_START = /([rRbBuUfF]{0,2})('''|"""|'|")/y;
+const NAME = /[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+const NUMBER = /(?:0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?[jJ]?)/y;
+
+const KEYWORDS = new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+  'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global',
+  'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try',
+  'while', 'with', 'yield']);
+
+/**
+ * Split Python source into tokens: { type, value, line, col, endLine, endCol }.
+ * Newlines inside brackets are dropped; blank and comment-only lines never
+ * produce NEWLINE/INDENT tokens.
+ */
+function tokenize(source) {
+  const tokens = [];
+  const indents = [0];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+  let depth = 0;
+  let atLineStart = true;
+  // True once the current logical line has a token other than a comment
+  let logical = false;
+
+  const push = (type, value, start, startLine, startCol) => {
+    tokens.push({ type, value, line: startLine, col: startCol, endLine: line, endCol: start + value.length - lineStart + 1 });
+    if (type !== TOKEN.COMMENT && type !== TOKEN.INDENT && type !== TOKEN.DEDENT) logical = true;
+  };
+
+  while (i < source.length) {
+    if (atLineStart && depth === 0) {
+      let width = 0;
+      let j = i;
+      while (source[j] === ' ' || source[j] === '\t') {
+        width = source[j] === '\t' ? (width + 8) & ~7 : width + 1;
+        j++;
+      }
+      i = j;
+      atLineStart = false;
+      // Blank and comment-only lines do not change indentation
+      if (source[i] === '\n' || source[i] === '\r' || source[i] === '#' || i >= source.length) continue;
+      if (width > indents[indents.length - 1]) {
+        indents.push(width);
+        push(TOKEN.INDENT, '', i, line, i - lineStart + 1);
+      }
+      while (width < indents[indents.length - 1]) {
+        indents.pop();
+        push(TOKEN.DEDENT, '', i, line, i - lineStart + 1);
+      }
+    }
+
+    const ch = source[i];
+    const col = i - lineStart + 1;
+
+    if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      if (depth === 0 && logical) {
+        push(TOKEN.NEWLINE, '\n', i, line, col);
+        logical = false;
+      }
+      i++;
+      line++;
+      lineStart = i;
+      atLineStart = true;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\f') {
+      i++;
+      continue;
+    }
+    if (ch === '\\' && (source[i + 1] === '\n' || source[i + 1] === '\r')) {
+      i += source[i + 1] === '\r' && source[i + 2] === '\n' ? 3 : 2;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === '#') {
+      const end = source.indexOf('\n', i);
+      const text = source.slice(i, end === -1 ? source.length : end).replace(/\r$/, '');
+      push(TOKEN.COMMENT, text, i, line, col);
+      i += text.length;
+      continue;
+    }
+
+    STRING_START.lastIndex = i;
+    const string = STRING_START.exec(source);
+    if (string) {
+      const [, prefix, quote] = string;
+      const startLine = line;
+      let j = i + string[0].length;
+      while (j < source.length) {
+        if (source[j] === '\\') {
+          if (source[j + 1] === '\n') {
+            line++;
+            lineStart = j + 2;
+          }
+          j += 2;
+          continue;
+        }
+        if (source.startsWith(quote, j)) {
+          j += quote.length;
+          break;
+        }
+        if (source[j] === '\n') {
+          // Unterminated single-quoted string ends at the line break
+          if (quote.length === 1) break;
+          line++;
+          lineStart = j + 1;
+        }
+        j++;
+      }
+      push(TOKEN.STRING, source.slice(i, j), i, startLine, col);
+      const token = tokens[tokens.length - 1];
+      token.prefix = prefix.toLowerCase();
+      token.endCol = j - lineStart + 1;
+      i = j;
+      continue;
+    }
+
+    NAME.lastIndex = i;
+    const name = NAME.exec(source);
+    if (name) {
+      push(TOKEN.NAME, name[0], i, line, col);
+      i += name[0].length;
+      continue;
+    }
+
+    NUMBER.lastIndex = i;
+    const number = /[\d.]/.test(ch) ? NUMBER.exec(source) : null;
+    if (number && number[0] !== '.' && number[0].length > 0) {
+      push(TOKEN.NUMBER, number[0], i, line, col);
+      i += number[0].length;
+      continue;
+    }
+
+    const op = OPERATORS.find(candidate => source.startsWith(candidate, i)) || ch;
+    if (OPENING[op]) depth++;
+    if (op === ')' || op === ']' || op === '}') depth = Math.max(0, depth - 1);
+    push(TOKEN.OP, op, i, line, col);
+    i += op.length;
+  }
+
+  if (logical) {
+    tokens.push({ type: TOKEN.NEWLINE, value: '', line, col: i - lineStart + 1, endLine: line, endCol: i - lineStart + 1 });
+  }
+  while (indents.length > 1) {
+    indents.pop();
+    tokens.push({ type: TOKEN.DEDENT, value: '', line, col: 1, endLine: line, endCol: 1 });
+  }
+  tokens.push({ type: TOKEN.END, value: '', line, col: 1, endLine: line, endCol: 1 });
+  return tokens;
+}
+
+/**
+ * Literal value of a string token (escapes other than quotes and backslashes are kept as-is)
+ */
+function stringValue(token) {
+  const body = token.value.slice(token.prefix.length);
+  const quote = body.startsWith('"""') || body.startsWith("'''") ? 3 : 1;
+  const inner = body.slice(quote, body.length - quote);
+  return token.prefix.includes('r') ? inner : inner.replace(/\\(["'\\])/g, '$1').replace(/\\n/g, '\n');
+}
+
+/**
+ * Index of the bracket closing the one at `open`, or the last index
+ */
+function matchingBracket(tokens, open, end = tokens.length) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN.OP) continue;
+    if (OPENING[token.value]) depth++;
+    else if (token.value === ')' || token.value === ']' || token.value === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return end - 1;
+}
+
+/**
+ * Split tokens[start, end) at top-level occurrences of `separator`
+ */
+function splitTopLevel(tokens, start, end, separator) {
+  const parts = [];
+  let depth = 0;
+  let from = start;
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN.OP) continue;
+    if (OPENING[token.value]) depth++;
+    else if (token.value === ')' || token.value === ']' || token.value === '}') depth--;
+    else if (depth === 0 && token.value === separator) {
+      parts.push([from, i]);
+      from = i + 1;
+    }
+  }
+  if (from < end) parts.push([from, end]);
+  return parts;
+}
+
+/**
+ * Source-like text of a token range
+ */
+function tokenText(tokens, start, end) {
+  let text = '';
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type === TOKEN.COMMENT || token.type === TOKEN.NEWLINE) continue;
+    const previous = tokens[i - 1];
+    const spaced = i > start && previous && (previous.endLine !== token.line || previous.endCol < token.col) &&
+      !['.', '(', '[', '{'].includes(previous.value) && !['.', ')', ']', '}', ',', '(', '['].includes(token.value);
+    text += (spaced ? ' ' : '') + token.value;
+  }
+  return text;
+}
+
+/**
+ * Dotted text of a primary expression with call arguments elided:
+ * `WorkflowBuilder(name="x").build` -> `WorkflowBuilder().build`
+ */
+function calleeText(tokens, start, end) {
+  let text = '';
+  for (let i = start; i < end; i++) {
+    if (tokens[i].value === '(') {
+      i = matchingBracket(tokens, i, end);
+      text += '()';
+    } else if (tokens[i].type !== TOKEN.COMMENT) {
+      text += tokens[i].value;
+    }
+  }
+  return text;
+}
+
+/**
+ * Parse tokens[start, end) as a Python expression. Literals, dotted names,
+ * calls and containers are understood; anything else is { type: 'expr', text }.
+ */
+function parseExpression(tokens, start, end) {
+  while (start < end && tokens[start].type === TOKEN.COMMENT) start++;
+  while (end > start && tokens[end - 1].type === TOKEN.COMMENT) end--;
+  const range = tokens.slice(start, end).filter(t => t.type !== TOKEN.COMMENT);
+  const base = { line: range[0]?.line, col: range[0]?.col, text: tokenText(tokens, start, end) };
+  if (range.length === 0) return { type: 'expr', ...base };
+  const first = range[0];
+
+  if (range.every(t => t.type === TOKEN.STRING)) {
+    return { type: 'string', value: range.map(stringValue).join(''), fstring: range.some(t => t.prefix.includes('f')), ...base };
+  }
+  if (range.length === 1 && first.type === TOKEN.NUMBER) {
+    return { type: 'number', value: Number(first.value.replace(/_/g, '')), ...base };
+  }
+  if (range.length === 2 && first.value === '-' && range[1].type === TOKEN.NUMBER) {
+    return { type: 'number', value: -Number(range[1].value.replace(/_/g, '')), ...base };
+  }
+  if (range.length === 1 && ['True', 'False', 'None'].includes(first.value)) {
+    return { type: 'constant', value: { True: true, False: false, None: null }[first.value], ...base };
+  }
+
+  // Containers: {...}, [...], (...)
+  if (first.type === TOKEN.OP && OPENING[first.value] && matchingBracket(tokens, start, end) === end - 1) {
+    const items = splitTopLevel(tokens, start + 1, end - 1, ',');
+    if (first.value === '{') {
+      const entries = items.map(([from, to]) => {
+        const [key, value] = splitTopLevel(tokens, from, to, ':');
+        return value
+          ? { key: parseExpression(tokens, key[0], key[1]), value: parseExpression(tokens, value[0], to) }
+          : { key: null, value: parseExpression(tokens, from, to) };
+      });
+      return { type: 'dict', entries, ...base };
+    }
+    const parsed = items.map(([from, to]) => parseExpression(tokens, from, to));
+    if (first.value === '(' && parsed.length === 1 && tokens[end - 2].value !== ',') return parsed[0];
+    return { type: first.value === '[' ? 'list' : 'tuple', items: parsed, ...base };
+  }
+
+  // Dotted names and calls on them: a.b.c, a.b(...), a(...).b
+  const chain = parsePrimary(tokens, start, end);
+  if (chain) return { ...chain, ...base };
+
+  return { type: 'expr', ...base };
+}
+
+/**
+ * Parse a name/attribute/call chain spanning exactly tokens[start, end)
+ */
+function parsePrimary(tokens, start, end) {
+  if (tokens[start].type !== TOKEN.NAME || KEYWORDS.has(tokens[start].value)) return null;
+  let plain = true;
+  for (let i = start + 1; i < end; i++) {
+    const token = tokens[i];
+    if (token.value === '.' && tokens[i + 1]?.type === TOKEN.NAME) {
+      i++;
+    } else if (token.value === '(' || token.value === '[') {
+      const close = matchingBracket(tokens, i, end);
+      if (token.value === '(' && close === end - 1) {
+        return { type: 'call', callee: calleeText(tokens, start, i), args: parseArguments(tokens, i, close) };
+      }
+      plain = false;
+      i = close;
+    } else {
+      return null;
+    }
+  }
+  return plain ? { type: 'name', name: calleeText(tokens, start, end) } : null;
+}
+
+/**
+ * Parse the arguments between the parentheses at `open` and `close`
+ */
+function parseArguments(tokens, open, close) {
+  return splitTopLevel(tokens, open + 1, close, ',').map(([from, to]) => {
+    while (from < to && tokens[from].type === TOKEN.COMMENT) from++;
+    const keyword = tokens[from]?.type === TOKEN.NAME && tokens[from + 1]?.value === '=' ? tokens[from].value : null;
+    const star = tokens[from]?.value === '*' || tokens[from]?.value === '**' ? tokens[from].value : null;
+    const valueStart = keyword ? from + 2 : star ? from + 1 : from;
+    return {
+      keyword,
+      star,
+      line: tokens[from]?.line,
+      col: tokens[from]?.col,
+      value: parseExpression(tokens, valueStart, to)
+    };
+  }).filter(arg => arg.line !== undefined);
+}
+
+/**
+ * Group tokens into logical statements with their enclosing scopes.
+ * `a = 1; b = 2` gives two statements. `scopes` lists the def/class blocks
+ * around a statement, innermost last.
+ */
+function parseStatements(tokens) {
+  const statements = [];
+  const scopes = [];
+  let level = 0;
+  let start = 0;
+  let decorators = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === TOKEN.INDENT) {
+      level++;
+      start = i + 1;
+    } else if (token.type === TOKEN.DEDENT) {
+      level--;
+      while (scopes.length > 0 && scopes[scopes.length - 1].level >= level) {
+        scopes.pop().endLine = token.line;
+      }
+      start = i + 1;
+    } else if (token.type === TOKEN.NEWLINE || token.type === TOKEN.END) {
+      for (let [from, to] of splitTopLevel(tokens, start, i, ';')) {
+        while (from < to && tokens[from].type === TOKEN.COMMENT) from++;
+        if (from >= to) continue;
+
+        const statement = { start: from, end: to, line: tokens[from].line, col: tokens[from].col, level, scopes: scopes.slice() };
+        statements.push(statement);
+        scopes.forEach(scope => scope.body.push(statement));
+
+        if (tokens[from].value === '@') {
+          decorators.push(statement);
+          continue;
+        }
+        const header = scopeHeader(tokens, from, to);
+        if (header) {
+          const scope = { ...header, level, line: tokens[from].line, decorators, body: [] };
+          statement.scope = scope;
+          // A one-line body (def f(): return x) does not open a block
+          let next = i + 1;
+          while (tokens[next]?.type === TOKEN.COMMENT) next++;
+          if (tokens[next]?.type === TOKEN.INDENT) scopes.push(scope);
+        }
+        decorators = [];
+      }
+      start = i + 1;
+    }
+  }
+  return statements;
+}
+
+/**
+ * def/class header of a statement, or null
+ */
+function scopeHeader(tokens, start, end) {
+  let i = start;
+  if (tokens[i].value === 'async') i++;
+  const keyword = tokens[i]?.value;
+  if ((keyword !== 'def' && keyword !== 'class') || tokens[i + 1]?.type !== TOKEN.NAME) return null;
+
+  const header = { kind: keyword === 'def' ? 'function' : 'class', name: tokens[i + 1].value, async: i > start, bases: [], params: [] };
+  const open = i + 2;
+  if (tokens[open]?.value === '(') {
+    const close = matchingBracket(tokens, open, end);
+    const args = parseArguments(tokens, open, close);
+    if (header.kind === 'class') header.bases = args;
+    else header.params = args.map(arg => arg.value.type === 'name' ? arg.value.name.split('.')[0] : (arg.keyword || arg.value.text.split(/[:=\s]/)[0]));
+  }
+  return header;
+}
+
+/**
+ * Extract imports from a statement: [{ module, name, alias, level, line, col }]
+ * `import a.b as c` gives { module: 'a.b', name: null, alias: 'c' }.
+ */
+function parseImport(tokens, statement) {
+  const { start, end } = statement;
+  const first = tokens[start];
+  const imports = [];
+
+  if (first.value === 'import') {
+    for (const [from, to] of splitTopLevel(tokens, start + 1, end, ',')) {
+      const text = tokenText(tokens, from, to);
+      const [, module, alias] = text.match(/^([\w.]+)(?:\s+as\s+(\w+))?$/) || [];
+      if (module) imports.push({ module, name: null, alias: alias || null, level: 0, line: first.line, col: first.col });
+    }
+  } else if (first.value === 'from') {
+    let importAt = start + 1;
+    while (importAt < end && tokens[importAt].value !== 'import') importAt++;
+    if (importAt === end) return imports;
+    const source = tokenText(tokens, start + 1, importAt).replace(/\s+/g, '');
+    const level = source.match(/^\.*/)[0].length;
+    const module = source.slice(level);
+    const namesStart = tokens[importAt + 1]?.value === '(' ? importAt + 2 : importAt + 1;
+    const namesEnd = tokens[importAt + 1]?.value === '(' ? matchingBracket(tokens, importAt + 1, end) : end;
+    for (const [from, to] of splitTopLevel(tokens, namesStart, namesEnd, ',')) {
+      const [, name, alias] = tokenText(tokens, from, to).match(/^([\w*]+)(?:\s+as\s+(\w+))?$/) || [];
+      if (name) imports.push({ module, name, alias: alias || null, level, line: first.line, col: first.col });
+    }
+  }
+  return imports;
+}
+
+/**
+ * Extract an assignment from a statement: { targets, annotation, value, line, col }
+ */
+function parseAssignment(tokens, statement) {
+  const { start, end } = statement;
+  let depth = 0;
+  const equals = [];
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN.OP) continue;
+    if (OPENING[token.value]) depth++;
+    else if ([')', ']', '}'].includes(token.value)) depth--;
+    else if (depth === 0 && token.value === '=') equals.push(i);
+  }
+  if (equals.length === 0 || KEYWORDS.has(tokens[start].value)) return null;
+
+  const last = equals[equals.length - 1];
+  const targets = [start, ...equals.slice(0, -1).map(i => i + 1)].map((from, index) => {
+    const to = index < equals.length - 1 ? equals[index] : last;
+    const colon = splitTopLevel(tokens, from, to, ':');
+    return tokenText(tokens, colon[0][0], colon[0][1]);
+  });
+  const annotation = splitTopLevel(tokens, start, equals[0], ':')[1];
+
+  return {
+    targets: targets.flatMap(target => target.split(/\s*,\s*/)).map(target => target.replace(/^\(|\)$/g, '')),
+    annotation: annotation ? tokenText(tokens, annotation[0], annotation[1]) : null,
+    value: parseExpression(tokens, last + 1, end),
+    line: tokens[start].line,
+    col: tokens[start].col
+  };
+}
+
+/**
+ * Find every call expression inside tokens[start, end), including nested ones.
+ * Returns [{ callee, object, method, args, line, col, endLine, endCol, open, close }]
+ * where `callee` is the dotted name (`workflow.add_node`, `WorkflowBuilder().build`).
+ */
+function findCalls(tokens, start, end) {
+  const calls = [];
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    if (token.type !== TOKEN.OP || token.value !== '(' || i === start) continue;
+    const before = tokens[i - 1];
+    if (before.type !== TOKEN.NAME && before.value !== ')' && before.value !== ']') continue;
+    if (before.type === TOKEN.NAME && KEYWORDS.has(before.value)) continue;
+    // def f(...) / class C(...) are not calls
+    if (['def', 'class'].includes(tokens[i - 2]?.value)) continue;
+
+    const calleeStart = primaryStart(tokens, i - 1, start);
+    const close = matchingBracket(tokens, i, end);
+    const callee = calleeText(tokens, calleeStart, i);
+    const dot = callee.lastIndexOf('.');
+    calls.push({
+      callee,
+      object: dot > 0 ? callee.slice(0, dot) : null,
+      method: dot > 0 ? callee.slice(dot + 1) : callee,
+      args: parseArguments(tokens, i, close),
+      line: tokens[calleeStart].line,
+      col: tokens[calleeStart].col,
+      endLine: tokens[close].endLine,
+      endCol: tokens[close].endCol,
+      open: i,
+      close,
+      awaited: tokens[calleeStart - 1]?.value === 'await'
+    });
+  }
+  return calls;
+}
+
+/**
+ * Walk back from `index` over a dotted/called primary expression (a.b(c).d)
+ */
+function primaryStart(tokens, index, limit) {
+  let i = index;
+  while (i > limit) {
+    const token = tokens[i];
+    if (token.value === ')' || token.value === ']') {
+      let depth = 0;
+      let j = i;
+      for (; j >= limit; j--) {
+        if (tokens[j].value === ')' || tokens[j].value === ']') depth++;
+        else if (tokens[j].value === '(' || tokens[j].value === '[') depth--;
+        if (depth === 0) break;
+      }
+      if (j <= limit) return Math.max(j, limit);
+      const previous = tokens[j - 1];
+      if (previous.type !== TOKEN.NAME && previous.value !== ')' && previous.value !== ']') return j;
+      i = j - 1;
+      continue;
+    }
+    if (token.type === TOKEN.NAME && tokens[i - 1]?.value === '.') {
+      i -= 2;
+      continue;
+    }
+    if (token.type === TOKEN.NAME) return i;
+    return i + 1;
+  }
+  return i;
+}
+
+/**
+ * Parse Python source into tokens, statements, imports, assignments and calls.
+ * Each import, assignment and call keeps a reference to its statement.
+ */
+function parsePython(source) {
+  const tokens = tokenize(source);
+  const statements = parseStatements(tokens);
+  const imports = [];
+  const assignments = [];
+  const calls = [];
+
+  for (const statement of statements) {
+    if (statement.scope) {
+      // Only decorators/arguments of a header can hold calls (defaults, bases)
+      calls.push(...findCalls(tokens, statement.start, statement.end).map(call => ({ ...call, statement })));
+      continue;
+    }
+    parseImport(tokens, statement).forEach(entry => imports.push({ ...entry, statement }));
+    const assignment = parseAssignment(tokens, statement);
+    if (assignment) assignments.push({ ...assignment, statement });
+    calls.push(...findCalls(tokens, statement.start, statement.end).map(call => ({ ...call, statement })));
+  }
+
+  return {
+    tokens,
+    statements,
+    imports,
+    assignments,
+    calls,
+    comments: tokens.filter(t => t.type === TOKEN.COMMENT)
+  };
+}
+
+module.exports = {
+  parsePython,
+  tokenize,
+  parseExpression,
+  splitTopLevel,
+  tokenText,
+  TOKEN,
+};
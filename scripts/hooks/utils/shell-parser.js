@@ -0,0 +1,798 @@
+/**
+ * Shell Command Parser for Kailash Hooks
+ *
+ * Splits a bash command line into the simple commands that would actually run,
+ * so validation rules can look at argv instead of raw text:
+ * - pipes, &&/||/; chains, newlines and background jobs
+ * - ( subshells ), { groups }, $(...) and `...` substitutions
+ * - single/double and $'...' quoting, backslash escapes, heredocs and comments
+ * - sudo/env/xargs/nohup/time/nice/timeout wrappers, `bash -c "..."` and
+ *   heredocs or here-strings fed to a shell (`bash <<EOF`)
+ * - package runners (uv run, poetry run, npx, pnpm exec, bunx, ...)
+ *
+ * This is not a full POSIX parser. Anything it cannot make sense of is kept as
+ * a plain word, so rules err on the side of seeing more rather than less.
+ */
+
+const path = require('path');
+
+// Longest operators first so '&&' wins over '&'
+const OPERATORS = ['&&', '||', '|&', ';;', '|', ';', '&', '(', ')'];
+
+// [fd]op - output, input, append, duplication and heredoc redirections
+const REDIRECT_PATTERN = /^(\d*)(&>>|&>|>>|>&|>\||<<<|<<-|<<|<&|<>|>|<)/;
+
+// Reserved words that can prefix a simple command
+const LEADING_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', '{']);
+
+// Reserved words that end a compound command and carry no command of their own
+const CLOSING_KEYWORDS = new Set(['fi', 'done', 'esac', '}']);
+
+// Compound headers whose words are not a command (for x in ...; case x in ...)
+const HEADER_KEYWORDS = new Set(['for', 'case', 'select', 'function']);
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Wrapper commands and the options that consume the following word
+const WRAPPERS = {
+  sudo: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-T', '-U'],
+  doas: ['-u', '-C'],
+  env: ['-u', '-C', '-S', '-P', '--unset', '--chdir', '--split-string'],
+  xargs: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--eof',
+    '--replace', '--max-lines', '--max-args', '--max-procs', '--max-chars'],
+  nohup: [],
+  exec: ['-a'],
+  command: [],
+  builtin: [],
+  time: ['-f', '-o', '--format', '--output'],
+  nice: ['-n', '--adjustment'],
+  ionice: ['-c', '-n', '-p', '--class', '--classdata'],
+  stdbuf: ['-i', '-o', '-e'],
+  timeout: ['-s', '-k', '--signal', '--kill-after'],
+};
+
+// Package runners that execute the command after them, with their value options
+const RUNNERS = {
+  'uv run': ['--with', '--with-requirements', '--env-file', '--python', '-p', '--project', '--directory',
+    '--package', '--extra', '--group', '--index', '--index-url', '--extra-index-url'],
+  'uvx': ['--with', '--from', '--python', '-p', '--index', '--index-url'],
+  'poetry run': [],
+  'pipenv run': [],
+  'pdm run': [],
+  'hatch run': [],
+  'rye run': [],
+  'npx': ['-p', '--package', '-c', '--call'],
+  'npm exec': ['-p', '--package', '-c', '--call'],
+  'pnpm exec': [],
+  'pnpm dlx': ['--package'],
+  'yarn dlx': ['-p', '--package'],
+  'bunx': ['-p', '--package'],
+};
+
+// Nesting limit for subshells, substitutions and `sh -c` strings
+const MAX_DEPTH = 8;
+
+// Escapes decoded inside $'...' (ANSI-C quoting)
+const ANSI_C_ESCAPES = {
+  a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v',
+  '\\': '\\', "'": "'", '"': '"', '?': '?',
+};
+
+/**
+ * Read a $'...' string starting at `i` (the '$'). Returns the decoded value,
+ * the index in `input` each of its characters came from and the index after
+ * the closing quote.
+ */
+function readAnsiCString(input, i) {
+  let value = '';
+  const sources = [];
+  let j = i + 2;
+  while (j < input.length && input[j] !== "'") {
+    const from = j;
+    const before = value.length;
+    if (input[j] !== '\\' || j + 1 >= input.length) {
+      value += input[j++];
+      sources.push(from);
+      continue;
+    }
+    const next = input[j + 1];
+    const rest = input.slice(j + 1);
+    let match;
+    if (ANSI_C_ESCAPES[next] !== undefined) {
+      value += ANSI_C_ESCAPES[next];
+      j += 2;
+    } else if ((match = rest.match(/^x([0-9a-fA-F]{1,2})/))) {
+      value += String.fromCharCode(parseInt(match[1], 16));
+      j += 1 + match[0].length;
+    } else if ((match = rest.match(/^u([0-9a-fA-F]{1,4})|^U([0-9a-fA-F]{1,8})/))) {
+      const code = parseInt(match[1] || match[2], 16);
+      value += code <= 0x10ffff ? String.fromCodePoint(code) : '';
+      j += 1 + match[0].length;
+    } else if ((match = rest.match(/^[0-7]{1,3}/))) {
+      value += String.fromCharCode(parseInt(match[0], 8) & 0xff);
+      j += 1 + match[0].length;
+    } else if (next === 'c' && j + 2 < input.length) {
+      value += String.fromCharCode(input.charCodeAt(j + 2) & 0x1f);
+      j += 3;
+    } else {
+      value += '\\' + next;
+      j += 2;
+    }
+    for (let k = before; k < value.length; k++) sources.push(from);
+  }
+  return { value, sources, next: j + 1 };
+}
+
+/**
+ * Find the index of the ')' closing a '$(' or '(' opened just before `start`
+ */
+function findClosingParen(input, start) {
+  let depth = 1;
+  for (let i = start; i < input.length; i++) {
+    const ch = input[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      i = end === -1 ? input.length : end;
+    } else if (ch === '"') {
+      i = findClosingQuote(input, i + 1);
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return input.length;
+}
+
+/**
+ * Find the index of the '"' closing a double-quoted string starting at `start`
+ */
+function findClosingQuote(input, start) {
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '\\') {
+      i++;
+    } else if (input[i] === '"') {
+      return i;
+    } else if (input[i] === '$' && input[i + 1] === '(') {
+      i = findClosingParen(input, i + 2);
+    }
+  }
+  return input.length;
+}
+
+/**
+ * Find the index of the backtick closing a `...` substitution starting at `start`
+ */
+function findClosingBacktick(input, start) {
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '\\') {
+      i++;
+    } else if (input[i] === '`') {
+      return i;
+    }
+  }
+  return input.length;
+}
+
+/**
+ * Read a $(...), $((...)), ${...} or `...` expansion starting at `i`.
+ * Returns the raw text, the index after it, and the inner command (starting
+ * at innerStart) if any.
+ */
+function readExpansion(input, i) {
+  if (input.startsWith('$((', i)) {
+    const end = findClosingParen(input, i + 2);
+    const close = input[end + 1] === ')' ? end + 1 : end;
+    return { raw: input.slice(i, close + 1), next: close + 1, inner: null };
+  }
+  if (input.startsWith('$(', i)) {
+    const end = findClosingParen(input, i + 2);
+    return { raw: input.slice(i, end + 1), next: end + 1, inner: input.slice(i + 2, end), innerStart: i + 2 };
+  }
+  if (input.startsWith('${', i)) {
+    const end = input.indexOf('}', i + 2);
+    const close = end === -1 ? input.length : end;
+    return { raw: input.slice(i, close + 1), next: close + 1, inner: null };
+  }
+  const end = findClosingBacktick(input, i + 1);
+  return { raw: input.slice(i, end + 1), next: end + 1, inner: input.slice(i + 1, end), innerStart: i + 1 };
+}
+
+/**
+ * Split a command line into word, operator and redirect tokens.
+ * Command substitutions are returned separately so they can be parsed as
+ * commands of their own.
+ *
+ * `positions` maps each index of `input` to its offset in the command line
+ * the hook received (null where it has none); without it `input` is that
+ * command line. Word tokens carry the position of every value character
+ * (`positions`) and the span of source text they were read from (start/end).
+ */
+function tokenize(input, positions = null) {
+  const tokens = [];
+  const substitutions = [];
+  const pendingHeredocs = [];
+  let word = null;
+  let i = 0;
+
+  const at = index => (positions ? positions[index] ?? null : index);
+  const span = (from, to) => Array.from({ length: to - from }, (_, k) => at(from + k));
+  const append = (w, text, sources) => {
+    w.value += text;
+    w.positions.push(...sources);
+  };
+  const startWord = () => {
+    if (!word) {
+      word = { type: 'word', value: '', quoted: false, expanded: false, positions: [], start: at(i), end: null };
+    }
+    return word;
+  };
+  const endWord = () => {
+    if (word) {
+      const last = at(Math.min(i, input.length) - 1);
+      word.end = word.start === null || last === null ? null : last + 1;
+      tokens.push(word);
+    }
+    word = null;
+  };
+  const substitution = (from, to) => substitutions.push({ source: input.slice(from, to), positions: span(from, to) });
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (ch === ' ' || ch === '\t') {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (ch === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      // Heredoc bodies are not commands here; they are kept on their redirect
+      // token so a shell reading them can be parsed (see buildCommand)
+      while (pendingHeredocs.length > 0 && i < input.length) {
+        const { token, delimiter, stripTabs } = pendingHeredocs[0];
+        const lineEnd = input.indexOf('\n', i);
+        const end = lineEnd === -1 ? input.length : lineEnd;
+        const lineStart = i;
+        const from = stripTabs ? i + input.slice(i, end).match(/^\t*/)[0].length : i;
+        const line = input.slice(from, end);
+        i = end + 1;
+        if (line === delimiter) {
+          pendingHeredocs.shift();
+        } else if (token.body === undefined) {
+          token.body = line;
+          token.bodyPositions = span(from, end);
+        } else {
+          token.body = `${token.body}\n${line}`;
+          token.bodyPositions.push(at(lineStart - 1), ...span(from, end));
+        }
+      }
+      continue;
+    }
+
+    if (ch === '#' && !word) {
+      const lineEnd = input.indexOf('\n', i);
+      i = lineEnd === -1 ? input.length : lineEnd;
+      continue;
+    }
+
+    if (ch === '\\') {
+      if (input[i + 1] === '\n') {
+        i += 2;
+        continue;
+      }
+      const w = startWord();
+      append(w, input[i + 1] || '', span(i + 1, Math.min(i + 2, input.length)));
+      w.quoted = true;
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const end = input.indexOf("'", i + 1);
+      const close = end === -1 ? input.length : end;
+      const w = startWord();
+      append(w, input.slice(i + 1, close), span(i + 1, close));
+      w.quoted = true;
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '$' && input[i + 1] === "'") {
+      const { value, sources, next } = readAnsiCString(input, i);
+      const w = startWord();
+      append(w, value, sources.map(at));
+      w.quoted = true;
+      i = next;
+      continue;
+    }
+
+    // $"..." is a translatable double-quoted string
+    if (ch === '$' && input[i + 1] === '"') {
+      startWord();
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const w = startWord();
+      w.quoted = true;
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && '"\\$`\n'.includes(input[i + 1])) {
+          if (input[i + 1] !== '\n') append(w, input[i + 1], [at(i + 1)]);
+          i += 2;
+        } else if (input[i] === '`' || (input[i] === '$' && '({'.includes(input[i + 1]))) {
+          const expansion = readExpansion(input, i);
+          if (expansion.inner !== null) substitution(expansion.innerStart, expansion.innerStart + expansion.inner.length);
+          append(w, expansion.raw, span(i, i + expansion.raw.length));
+          w.expanded = true;
+          i = expansion.next;
+        } else {
+          append(w, input[i], [at(i)]);
+          i++;
+        }
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '`' || (ch === '$' && '({'.includes(input[i + 1]))) {
+      const expansion = readExpansion(input, i);
+      if (expansion.inner !== null) substitution(expansion.innerStart, expansion.innerStart + expansion.inner.length);
+      const w = startWord();
+      append(w, expansion.raw, span(i, i + expansion.raw.length));
+      w.expanded = true;
+      i = expansion.next;
+      continue;
+    }
+
+    // Process substitution <(...) / >(...) runs a command like $(...)
+    if ((ch === '<' || ch === '>') && input[i + 1] === '(') {
+      const end = findClosingParen(input, i + 2);
+      substitution(i + 2, end);
+      const w = startWord();
+      append(w, input.slice(i, end + 1), span(i, Math.min(end + 1, input.length)));
+      w.expanded = true;
+      i = end + 1;
+      continue;
+    }
+
+    // Redirections, optionally prefixed by a file descriptor already read as a word
+    if (ch === '>' || ch === '<' || (ch === '&' && input[i + 1] === '>')) {
+      const match = input.slice(i).match(REDIRECT_PATTERN);
+      if (match) {
+        const fdPrefix = word && !word.quoted && /^\d+$/.test(word.value) ? word.value : '';
+        if (fdPrefix) {
+          word = null;
+        } else {
+          endWord();
+        }
+        const token = { type: 'redirect', op: match[2], fd: fdPrefix || null };
+        tokens.push(token);
+        i += match[0].length;
+        if (match[2] === '<<' || match[2] === '<<-') {
+          const rest = input.slice(i).match(/^\s*(['"]?)([^\s'";|&<>()]+)\1/);
+          if (rest) {
+            pendingHeredocs.push({ token, delimiter: rest[2], stripTabs: match[2] === '<<-' });
+          }
+        }
+        continue;
+      }
+    }
+
+    const op = OPERATORS.find(candidate => input.startsWith(candidate, i));
+    if (op) {
+      endWord();
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    append(startWord(), ch, [at(i)]);
+    i++;
+  }
+
+  endWord();
+  return { tokens, substitutions };
+}
+
+/**
+ * Split arguments into flags and operands, honouring `--`.
+ * Short flag clusters are expanded (-rf -> r, f), long flags keep their name
+ * without dashes or value (--force=yes -> force).
+ */
+function splitArgs(args) {
+  const flags = new Set();
+  const operands = [];
+  let endOfOptions = false;
+
+  for (const arg of args) {
+    if (endOfOptions || arg === '-' || !arg.startsWith('-')) {
+      operands.push(arg);
+    } else if (arg === '--') {
+      endOfOptions = true;
+    } else if (arg.startsWith('--')) {
+      flags.add(arg.slice(2).split('=')[0]);
+    } else {
+      for (const ch of arg.slice(1)) flags.add(ch);
+    }
+  }
+
+  return { flags, operands };
+}
+
+/**
+ * Strip a wrapper command and its options, returning the wrapped words
+ */
+function unwrap(words, assignments) {
+  const name = path.basename(words[0]);
+  const valueOptions = WRAPPERS[name];
+  let i = 1;
+
+  // `command -v foo` and friends only look a command up
+  if ((name === 'command' || name === 'builtin') && /^-[vV]$/.test(words[1] || '')) {
+    return null;
+  }
+
+  while (i < words.length && words[i].startsWith('-') && words[i] !== '-') {
+    const option = words[i];
+    i++;
+    if (option === '--') break;
+    if (name === 'env' && (option === '-S' || option === '--split-string')) {
+      // env -S "cmd args" runs the split string as the command
+      return (words[i] || '').split(/\s+/).filter(Boolean).concat(words.slice(i + 1));
+    }
+    if (valueOptions.includes(option) && !option.includes('=')) i++;
+    // nice -10 style adjustments take no separate value
+  }
+
+  if (name === 'env' || name === 'sudo' || name === 'doas') {
+    while (i < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i])) {
+      const [key, ...rest] = words[i].split('=');
+      assignments[key] = rest.join('=');
+      i++;
+    }
+  }
+
+  // timeout DURATION command
+  if (name === 'timeout' && i < words.length) i++;
+
+  return words.slice(i);
+}
+
+/**
+ * Return the RUNNERS key for argv (`uv run`, `npx`, ...) or null
+ */
+function runnerKey(argv) {
+  const name = path.basename(argv[0]);
+  if (RUNNERS[name]) return name;
+  const key = `${name} ${argv[1]}`;
+  return RUNNERS[key] ? key : null;
+}
+
+/**
+ * Strip a package runner and its options, returning the command it runs
+ */
+function unwrapRunner(argv, key) {
+  const valueOptions = RUNNERS[key];
+  let i = key.split(' ').length;
+
+  while (i < argv.length && argv[i].startsWith('-')) {
+    const option = argv[i];
+    i++;
+    if (option === '--') break;
+    if (valueOptions.includes(option)) i++;
+  }
+
+  return argv.slice(i);
+}
+
+/**
+ * Find the text executed by `sh -c` / `eval`, if this command has one.
+ * Returns the script and, for `sh -c`, the index of the argument holding it
+ * (null for eval, which runs all of them).
+ */
+function findInlineScript(name, args) {
+  if (name === 'eval') {
+    return args.length > 0 ? { script: args.join(' '), index: null } : null;
+  }
+  if (SHELLS.has(name)) {
+    for (let i = 0; i < args.length; i++) {
+      if (!args[i].startsWith('-') || args[i].startsWith('--')) break;
+      if (args[i].slice(1).includes('c')) return args[i + 1] ? { script: args[i + 1], index: i + 1 } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * True when a shell invoked with `args` reads its commands from stdin:
+ * no -c script and no script file, or an explicit -s
+ */
+function readsStdinScript(args) {
+  for (const arg of args) {
+    if (arg === '--') return true;
+    if (!/^[-+]/.test(arg)) return false;
+    if (/^-[^-]*s/.test(arg)) return true;
+  }
+  return true;
+}
+
+/**
+ * Text a shell command receives on stdin from its own heredocs and here-strings,
+ * with the positions of its characters
+ */
+function stdinScripts(redirects) {
+  return redirects
+    .map(redirect => (redirect.op === '<<<'
+      ? { source: redirect.target, positions: redirect.targetPositions }
+      : { source: redirect.body, positions: redirect.bodyPositions }))
+    .filter(({ source }) => typeof source === 'string' && source !== '');
+}
+
+/**
+ * Turn the words and redirects of one simple command into a command record
+ */
+function buildCommand(words, redirects, state, ctx) {
+  let argv = words.map(w => w.value);
+  // The word tokens behind argv, kept in step with it
+  let tokens = words;
+  const assignments = {};
+  const assignmentWords = {};
+  const wrappers = [];
+  const drop = count => {
+    argv = argv.slice(count);
+    tokens = tokens.slice(count);
+  };
+
+  while (argv.length > 0 && LEADING_KEYWORDS.has(argv[0])) drop(1);
+  if (argv.length > 0 && (CLOSING_KEYWORDS.has(argv[0]) || HEADER_KEYWORDS.has(argv[0]))) {
+    drop(argv.length > 1 && CLOSING_KEYWORDS.has(argv[0]) ? 1 : argv.length);
+  }
+
+  while (argv.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*(\[[^\]]*\])?\+?=/.test(argv[0])) {
+    const [key, ...rest] = argv[0].split('=');
+    assignments[key.replace(/\+$/, '')] = rest.join('=');
+    assignmentWords[key.replace(/\+$/, '')] = tokens[0];
+    drop(1);
+  }
+
+  const invocation = argv.join(' ');
+  while (argv.length > 0) {
+    const name = path.basename(argv[0]);
+    const runner = runnerKey(argv);
+    const inner = runner ? unwrapRunner(argv, runner) : WRAPPERS[name] ? unwrap(argv, assignments) : null;
+    if (inner === null || inner.length === 0) break;
+    wrappers.push(runner || name);
+    const consumed = tokens.slice(0, argv.length - inner.length);
+    for (const key of Object.keys(assignments)) {
+      if (!assignmentWords[key]) assignmentWords[key] = consumed.find(token => token.value.startsWith(`${key}=`));
+    }
+    // env -S splits a word, whose pieces have no source position of their own
+    tokens = inner.every((value, k) => value === argv[argv.length - inner.length + k])
+      ? tokens.slice(argv.length - inner.length)
+      : inner.map(value => ({ type: 'word', value, positions: Array(value.length).fill(null), start: null, end: null }));
+    argv = inner;
+  }
+
+  if (argv.length === 0 && Object.keys(assignments).length === 0 && redirects.length === 0) {
+    return null;
+  }
+
+  const name = argv.length > 0 ? path.basename(argv[0]) : '';
+  const inline = findInlineScript(name, argv.slice(1));
+  if (inline) {
+    // eval runs its arguments joined by spaces
+    const positions = inline.index === null
+      ? tokens.slice(1).flatMap((token, k) => (k > 0 ? [null, ...token.positions] : token.positions))
+      : tokens[inline.index + 1].positions;
+    parseSource(inline.script, ctx, 'shell', state.depth + 1, positions);
+  } else if (SHELLS.has(name) && readsStdinScript(argv.slice(1))) {
+    // bash <<EOF / sh <<< "..." runs its input like sh -c
+    for (const { source, positions } of stdinScripts(redirects)) {
+      parseSource(source, ctx, 'shell', state.depth + 1, positions);
+    }
+  }
+
+  return {
+    name,
+    argv,
+    args: argv.slice(1),
+    assignments,
+    words: tokens,
+    assignmentWords,
+    redirects,
+    wrappers,
+    pipeline: state.pipeline,
+    position: state.position,
+    background: false,
+    nesting: state.nesting,
+    text: argv.join(' '),
+    invocation,
+  };
+}
+
+/**
+ * Find the token index of the ')' matching a '(' at `start`
+ */
+function findClosingToken(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (tokens[i].type !== 'op') continue;
+    if (tokens[i].value === '(') depth++;
+    if (tokens[i].value === ')') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Walk a token list, appending every simple command found to ctx.commands
+ */
+function parseTokens(tokens, ctx, nesting, depth) {
+  let words = [];
+  let redirects = [];
+  let pendingRedirect = null;
+  let pipelineStart = ctx.commands.length;
+  let state = { pipeline: ctx.nextPipeline++, position: 0, nesting, depth };
+
+  const finishCommand = () => {
+    if (words.length > 0 || redirects.length > 0) {
+      const command = buildCommand(words, redirects, state, ctx);
+      if (command) {
+        ctx.commands.push(command);
+        state.position++;
+      }
+    }
+    words = [];
+    redirects = [];
+    pendingRedirect = null;
+  };
+
+  const finishPipeline = (background) => {
+    finishCommand();
+    if (background) {
+      for (const command of ctx.commands.slice(pipelineStart)) command.background = true;
+    }
+    pipelineStart = ctx.commands.length;
+    state = { pipeline: ctx.nextPipeline++, position: 0, nesting, depth };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'word') {
+      if (pendingRedirect) {
+        pendingRedirect.target = token.value;
+        pendingRedirect.targetPositions = token.positions;
+        pendingRedirect = null;
+      } else {
+        words.push(token);
+      }
+      continue;
+    }
+
+    if (token.type === 'redirect') {
+      pendingRedirect = { op: token.op, fd: token.fd, target: null };
+      if (token.body !== undefined) {
+        pendingRedirect.body = token.body;
+        pendingRedirect.bodyPositions = token.bodyPositions;
+      }
+      redirects.push(pendingRedirect);
+      continue;
+    }
+
+    switch (token.value) {
+      case '|':
+      case '|&':
+        finishCommand();
+        break;
+      case '&':
+        finishPipeline(true);
+        break;
+      case '&&':
+      case '||':
+      case ';':
+      case ';;':
+        finishPipeline(false);
+        break;
+      case '(': {
+        const close = findClosingToken(tokens, i);
+        if (words.length > 0 && close === i + 1) {
+          // name() { ... } - a function definition, the body follows
+          words = [];
+        } else if (depth < MAX_DEPTH) {
+          parseTokens(tokens.slice(i + 1, close), ctx, 'subshell', depth + 1);
+        } else {
+          ctx.truncated = true;
+        }
+        i = close;
+        break;
+      }
+      default:
+        // Stray ')' - ignore
+        break;
+    }
+  }
+
+  finishPipeline(false);
+}
+
+/**
+ * Tokenize and parse a source string, including its command substitutions.
+ * `positions` places nested sources in the original command line (see tokenize).
+ */
+function parseSource(source, ctx, nesting, depth, positions = null) {
+  if (depth > MAX_DEPTH) {
+    ctx.truncated = true;
+    return;
+  }
+  const { tokens, substitutions } = tokenize(source, positions);
+  parseTokens(tokens, ctx, nesting, depth);
+  for (const inner of substitutions) {
+    parseSource(inner.source, ctx, 'substitution', depth + 1, inner.positions);
+  }
+}
+
+/**
+ * Parse a command line into the list of simple commands it would run.
+ *
+ * Each command has:
+ *   name        basename of the executable after unwrapping (rm, git, ...)
+ *   argv/args   words after quote removal; args excludes argv[0]
+ *   assignments leading VAR=value pairs, including those passed through env/sudo
+ *   words       word tokens behind argv, with their span in the command line
+ *               (start/end, null when it has none); assignmentWords likewise
+ *   redirects   [{ op, fd, target, body? }], body being a heredoc's text
+ *               (targetPositions/bodyPositions place their characters)
+ *   wrappers    wrappers and runners that were stripped (sudo, env, uv run, ...)
+ *   pipeline    id shared by commands joined with |, position within it
+ *   background  true when the pipeline ends with &
+ *   nesting     'top', 'subshell', 'substitution' or 'shell' (sh -c / eval)
+ *   text        argv joined; invocation is the same before wrappers were stripped
+ */
+function parseCommand(command) {
+  const ctx = { commands: [], nextPipeline: 0, truncated: false };
+  parseSource(command || '', ctx, 'top', 0);
+  return { commands: ctx.commands, truncated: ctx.truncated };
+}
+
+/**
+ * Group parsed commands by pipeline, in position order
+ */
+function groupPipelines(commands) {
+  const pipelines = new Map();
+  for (const command of commands) {
+    if (!pipelines.has(command.pipeline)) pipelines.set(command.pipeline, []);
+    pipelines.get(command.pipeline).push(command);
+  }
+  return [...pipelines.values()];
+}
+
+/**
+ * Blank out quoted text and comments so raw-text rules only see shell syntax
+ */
+function maskQuoted(command) {
+  return (command || '')
+    .replace(/'[^']*'/g, match => `'${' '.repeat(match.length - 2)}'`)
+    .replace(/"(?:\\.|[^"\\])*"/g, match => `"${' '.repeat(match.length - 2)}"`)
+    .replace(/(^|\s)#[^\n]*/g, '$1');
+}
+
+module.exports = {
+  parseCommand,
+  tokenize,
+  splitArgs,
+  groupPipelines,
+  maskQuoted,
+  SHELLS,
+};
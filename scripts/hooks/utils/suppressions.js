@@ -0,0 +1,93 @@
+/**
+ * Suppression Comments for validate-workflow
+ *
+ *   x = runtime.execute(workflow)  # kailash: ignore[missing-build]
+ *   # kailash: ignore[missing-build, undefined-node]
+ *   x = runtime.execute(workflow)
+ *   # kailash: ignore-file[relative-import]
+ *
+ * `ignore` applies to its own line, or to the next line when the comment
+ * stands alone; `ignore-file` applies to the whole file. Without a rule list
+ * every rule is suppressed.
+ */
+
+const { TOKEN } = require('./python-parser');
+
+const SUPPRESSION = /#\s*kailash:\s*(ignore-file|ignore)\b(?:\[([^\]]*)\])?/;
+
+// Stands for "every rule"
+const ALL = '*';
+
+// Tokens that are not code
+const LAYOUT = new Set([TOKEN.COMMENT, TOKEN.NEWLINE, TOKEN.INDENT, TOKEN.DEDENT, TOKEN.END]);
+
+/**
+ * Rule ids of a suppression comment, or [ALL]
+ */
+function suppressedRules(list) {
+  if (list === undefined) return [ALL];
+  const rules = list.split(',').map(rule => rule.trim()).filter(Boolean);
+  return rules.length > 0 ? rules : [ALL];
+}
+
+/**
+ * Collect suppressions of a parsed module: { file: Set, lines: Map<line, Set> }
+ */
+function parseSuppressions(module) {
+  const file = new Set();
+  const lines = new Map();
+  const { tokens } = module;
+
+  tokens.forEach((token, i) => {
+    if (token.type !== TOKEN.COMMENT) return;
+    const match = token.value.match(SUPPRESSION);
+    if (!match) return;
+    const rules = suppressedRules(match[2]);
+    if (match[1] === 'ignore-file') {
+      rules.forEach(rule => file.add(rule));
+      return;
+    }
+
+    // A comment alone on its line covers the next line of code
+    let line = token.line;
+    const standalone = i === 0 || tokens[i - 1].endLine < token.line;
+    if (standalone) {
+      const next = tokens.slice(i + 1).find(t => !LAYOUT.has(t.type));
+      if (!next) return;
+      line = next.line;
+    }
+    if (!lines.has(line)) lines.set(line, new Set());
+    rules.forEach(rule => lines.get(line).add(rule));
+  });
+
+  return { file, lines };
+}
+
+/**
+ * JSON form of parseSuppressions() output, for caches
+ */
+function serializeSuppressions({ file, lines }) {
+  return { file: [...file], lines: Object.fromEntries([...lines].map(([line, rules]) => [line, [...rules]])) };
+}
+
+/**
+ * Inverse of serializeSuppressions()
+ */
+function deserializeSuppressions({ file, lines }) {
+  return { file: new Set(file), lines: new Map(Object.entries(lines).map(([line, rules]) => [Number(line), new Set(rules)])) };
+}
+
+/**
+ * True when a finding is silenced by a suppression comment
+ */
+function isSuppressed(finding, suppressions) {
+  const covers = rules => rules && (rules.has(ALL) || rules.has(finding.rule));
+  return covers(suppressions.file) || covers(suppressions.lines.get(finding.line));
+}
+
+module.exports = {
+  parseSuppressions,
+  serializeSuppressions,
+  deserializeSuppressions,
+  isSuppressed,
+};
@@ -0,0 +1,175 @@
+/**
+ * Test Tier Detection for validate-workflow
+ *
+ * Works out which tier of the 3-tier testing strategy (12-testing-strategies)
+ * a pytest file belongs to, from, in order of precedence:
+ * - pytest markers in the file (@pytest.mark.integration, pytestmark = ...)
+ * - the directory layout (tests/unit, tests/tier2_integration, tests/e2e, ...)
+ * - a single tier marker applied by the nearest conftest.py
+ *
+ * Tier 2-3 tests must not mock and must use real infrastructure, so the
+ * fixtures a test requests (from the file and its conftest.py chain) are
+ * checked for Docker-backed databases and services.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parsePython, tokenText, TOKEN } = require('./python-parser');
+
+const TIER_NAMES = { 1: 'Tier 1 (unit)', 2: 'Tier 2 (integration)', 3: 'Tier 3 (e2e)' };
+
+// Directory names, matched per path segment
+const TIER_DIRECTORIES = [
+  { tier: 1, pattern: /^(unit|unit_tests|tier_?1(_unit)?)$/ },
+  { tier: 2, pattern: /^(integration|integration_tests|tier_?2(_integration)?)$/ },
+  { tier: 3, pattern: /^(e2e|end_to_end|tier_?3(_e2e)?)$/ },
+];
+
+// pytest.mark.<name> markers
+const TIER_MARKERS = { unit: 1, tier1: 1, integration: 2, tier2: 2, requires_docker: 2, requires_postgres: 2, e2e: 3, tier3: 3 };
+
+// What a fixture touching real infrastructure looks like
+const INFRA_URL = /^(postgres(ql)?(\+\w+)?|mysql(\+\w+)?|mariadb|mongodb|redis|amqp|sqlite(\+\w+)?):\/\/|^https?:\/\/(localhost|127\.0\.0\.1)/;
+const INFRA_NAMES = new Set(['DataFlow', 'docker', 'testcontainers', 'PostgresContainer', 'RedisContainer', 'MySqlContainer',
+  'asyncpg', 'psycopg', 'psycopg2', 'aiosqlite', 'create_engine', 'TEST_DATABASE_URL', 'DATABASE_URL', 'TEST_REDIS_URL']);
+
+/**
+ * True for pytest test files
+ */
+function isTestFile(filePath) {
+  return /^test_.*\.py$|_test\.py$/.test(path.basename(filePath));
+}
+
+/**
+ * Tier markers named in tokens[start, end): `pytest.mark.<name>` or `mark.<name>`
+ */
+function markerTiers(tokens, start = 0, end = tokens.length) {
+  const tiers = new Set();
+  for (let i = start + 2; i < end; i++) {
+    if (tokens[i].type === TOKEN.NAME && tokens[i - 1].value === '.' && tokens[i - 2].value === 'mark' &&
+      TIER_MARKERS[tokens[i].value]) {
+      tiers.add(TIER_MARKERS[tokens[i].value]);
+    }
+  }
+  return tiers;
+}
+
+/**
+ * conftest.py files from the file's directory up to the project root, nearest first
+ */
+function conftestChain(filePath, projectRoot) {
+  const files = [];
+  let dir = path.dirname(path.resolve(filePath));
+  while (true) {
+    const conftest = path.join(dir, 'conftest.py');
+    if (fs.existsSync(conftest) && path.resolve(conftest) !== path.resolve(filePath)) files.push(conftest);
+    const parent = path.dirname(dir);
+    if (dir === projectRoot || parent === dir) break;
+    dir = parent;
+  }
+  return files;
+}
+
+/**
+ * Parse the conftest.py chain, skipping files that cannot be read
+ */
+function loadConftests(filePath, projectRoot) {
+  return conftestChain(filePath, projectRoot).map(file => {
+    try {
+      return { file, module: parsePython(fs.readFileSync(file, 'utf8')) };
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Tier of a test file: { tier, source } or null when nothing says.
+ * Markers win over directories, directories over conftest conventions.
+ */
+function detectTestTier(filePath, module, projectRoot, conftests) {
+  const marked = markerTiers(module.tokens);
+  if (marked.size > 0) return { tier: Math.max(...marked), source: 'pytest marker' };
+
+  const segments = path.relative(projectRoot, path.resolve(filePath)).split(path.sep).slice(0, -1);
+  for (const segment of segments.reverse()) {
+    const match = TIER_DIRECTORIES.find(({ pattern }) => pattern.test(segment.toLowerCase()));
+    if (match) return { tier: match.tier, source: `${segment}/ directory` };
+  }
+
+  // A conftest that marks everything below it with exactly one tier
+  for (const { file, module: conftest } of conftests) {
+    const tiers = markerTiers(conftest.tokens);
+    if (tiers.size === 1) return { tier: [...tiers][0], source: path.basename(path.dirname(file)) + '/conftest.py' };
+  }
+  return null;
+}
+
+/**
+ * True when the tokens of a def (header and body) connect to a database or service
+ */
+function touchesInfrastructure(module, statement) {
+  const { body } = statement.scope;
+  const end = body.length > 0 ? body[body.length - 1].end : statement.end;
+  return module.tokens.slice(statement.start, end).some(token =>
+    (token.type === TOKEN.STRING && INFRA_URL.test(token.value.replace(/^[rRbBuUfF]*['"]+/, ''))) ||
+    (token.type === TOKEN.NAME && INFRA_NAMES.has(token.value)));
+}
+
+/**
+ * Fixtures defined in a module: Map name -> { params, infra, autouse }
+ */
+function moduleFixtures(module) {
+  const fixtures = new Map();
+  for (const statement of module.statements) {
+    const scope = statement.scope;
+    if (!scope || scope.kind !== 'function') continue;
+    const decorator = scope.decorators.map(d => tokenText(module.tokens, d.start + 1, d.end)).find(text => /(^|\.)fixture\b/.test(text));
+    if (!decorator) continue;
+    fixtures.set(scope.name, {
+      params: scope.params,
+      infra: touchesInfrastructure(module, statement),
+      autouse: /autouse\s*=\s*True/.test(decorator)
+    });
+  }
+  return fixtures;
+}
+
+/**
+ * True when a tier 2-3 test file uses real infrastructure: a test requests a
+ * fixture (directly, through other fixtures, usefixtures or autouse) that
+ * connects to a database or service, or the file connects itself.
+ */
+function usesRealInfrastructure(module, conftests) {
+  // Nearer definitions override farther ones, as in pytest
+  const fixtures = new Map();
+  [...conftests].reverse().forEach(({ module: conftest }) => moduleFixtures(conftest).forEach((f, name) => fixtures.set(name, f)));
+  moduleFixtures(module).forEach((f, name) => fixtures.set(name, f));
+
+  const isInfra = (name, seen = new Set()) => {
+    const fixture = fixtures.get(name);
+    if (!fixture || seen.has(name)) return false;
+    seen.add(name);
+    return fixture.infra || fixture.params.some(param => isInfra(param, seen));
+  };
+
+  if ([...fixtures.keys()].some(name => fixtures.get(name).autouse && isInfra(name))) return true;
+
+  const tests = module.statements.filter(s => s.scope && s.scope.kind === 'function' && s.scope.name.startsWith('test'));
+  const requested = tests.flatMap(s => s.scope.params);
+  for (const call of module.calls.filter(c => /(^|\.)mark\.usefixtures$/.test(c.callee))) {
+    call.args.forEach(arg => arg.value.type === 'string' && requested.push(arg.value.value));
+  }
+  if (requested.some(name => isInfra(name))) return true;
+
+  // Tests that connect inline, without fixtures
+  return tests.some(s => touchesInfrastructure(module, s));
+}
+
+module.exports = {
+  TIER_NAMES,
+  isTestFile,
+  loadConftests,
+  detectTestTier,
+  usesRealInfrastructure,
+};
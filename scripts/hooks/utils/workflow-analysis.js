@@ -0,0 +1,239 @@
+/**
+ * WorkflowBuilder Analysis for validate-workflow
+ *
+ * Finds, in a module parsed by python-parser.js:
+ * - WorkflowBuilder variables (`workflow = WorkflowBuilder()`, including aliases)
+ * - runtime variables (LocalRuntime, AsyncLocalRuntime, get_runtime(), ...)
+ *   Both are bindings of the function (or class, or module) assigning them,
+ *   so two functions with a local `workflow` hold two different builders.
+ * - add_node / add_connection calls on those builders
+ * - runtime.execute / execute_workflow_async call sites and what they execute
+ *
+ * Names defined in other modules (imported builders, functions returning
+ * builders) are resolved through an optional `resolveName` callback, see
+ * workflow-modules.js.
+ */
+
+const BUILDER_CLASSES = ['WorkflowBuilder'];
+const RUNTIME_FACTORIES = ['get_runtime'];
+const EXECUTE_METHODS = ['execute', 'execute_async', 'execute_workflow_async'];
+
+/**
+ * Map local names to the imported names they stand for (`LR` -> `LocalRuntime`)
+ */
+function importedNames(module) {
+  const names = new Map();
+  for (const entry of module.imports) {
+    if (entry.name && entry.name !== '*') names.set(entry.alias || entry.name, entry.name);
+    if (!entry.name && entry.alias) names.set(entry.alias, entry.module);
+  }
+  return names;
+}
+
+/**
+ * Resolve a callee through import aliases to its last dotted segment
+ */
+function resolveCallee(callee, names) {
+  const [head, ...rest] = callee.split('.');
+  const resolved = [names.get(head) || head, ...rest].join('.');
+  return resolved.split('.').pop();
+}
+
+/**
+ * Text of a name expression, or null for anything else
+ */
+function nameOf(expression) {
+  return expression && expression.type === 'name' ? expression.name : null;
+}
+
+/**
+ * Positional argument `index`, or the keyword argument `keyword`
+ */
+function argument(call, index, keyword) {
+  const byKeyword = call.args.find(arg => arg.keyword === keyword);
+  if (byKeyword) return byKeyword.value;
+  const positional = call.args.filter(arg => !arg.keyword && !arg.star);
+  return positional[index] ? positional[index].value : null;
+}
+
+/**
+ * String value of an argument expression, or null when it is not a literal
+ */
+function literal(expression) {
+  return expression && expression.type === 'string' && !expression.fstring ? expression.value : null;
+}
+
+/**
+ * Innermost def/class scope around a statement, or null at module level
+ */
+function scopeOf(statement) {
+  return statement.scopes[statement.scopes.length - 1] || null;
+}
+
+/**
+ * Key of a name bound in a scope (null for the module)
+ */
+function scopeKey(scope, name) {
+  return `${scope ? scope.line : 0}:${name}`;
+}
+
+/**
+ * Scope a name assigned in `statement` is bound in: the innermost def/class for
+ * plain names, the class for self./cls. attributes, the module for other attributes
+ */
+function bindingScope(name, statement) {
+  if (!name.includes('.')) return scopeOf(statement);
+  if (/^(self|cls)\./.test(name)) return [...statement.scopes].reverse().find(scope => scope.kind === 'class') || null;
+  return null;
+}
+
+/**
+ * Analyze the WorkflowBuilder usage of a parsed module.
+ * `resolveName(name)` tells what a name from elsewhere holds:
+ * { value: 'builder' | 'built' } or { returns: 'builder' | 'built' } for
+ * functions, with an optional `origin` (the defining module), or null.
+ *
+ * Assignments are bindings keyed by (scope, name): a name used in a function
+ * holds what its last assignment in that function before the use made of it,
+ * else what the enclosing functions or the module assigned to it last.
+ */
+function analyzeWorkflows(module, resolveName = () => null) {
+  const names = importedNames(module);
+  // scopeKey(scope, name) -> [binding] in source order
+  const bindings = new Map();
+
+  for (const assignment of module.assignments) {
+    const value = assignment.value;
+    const resolved = value.type === 'call' ? resolveCallee(value.callee, names) : null;
+    for (const target of assignment.targets) {
+      const scope = bindingScope(target, assignment.statement);
+      const binding = {
+        name: target, kind: 'other', key: scopeKey(scope, target), scope, value,
+        line: assignment.line, col: assignment.col, statement: assignment.statement
+      };
+      if (BUILDER_CLASSES.includes(resolved)) binding.kind = 'builder';
+      else if (/Runtime$/.test(resolved) || RUNTIME_FACTORIES.includes(resolved)) Object.assign(binding, { kind: 'runtime', runtime: resolved });
+      else if (resolved === 'build') Object.assign(binding, { kind: 'built', builder: value.callee.replace(/\.build$/, '') });
+      else if (resolved) {
+        // workflow = create_workflow(): a builder (or workflow) made by a function
+        const external = resolveName(value.callee);
+        if (external && external.returns === 'builder') Object.assign(binding, { kind: 'builder', via: value.callee, origin: external.origin });
+        else if (external && external.returns === 'built') Object.assign(binding, { kind: 'built', builder: null, via: value.callee });
+      }
+      if (!bindings.has(binding.key)) bindings.set(binding.key, []);
+      bindings.get(binding.key).push(binding);
+    }
+  }
+
+  /**
+   * The binding `name` refers to in `statement`: { kind, ... }, where kind
+   * 'unknown' is a parameter or a name assigned only later in the function;
+   * null when the module never binds it
+   */
+  const definitionAt = (name, statement) => {
+    if (!name) return null;
+    const before = list => list.filter(binding => binding.statement.start < statement.start).pop();
+    if (name.includes('.')) {
+      const list = bindings.get(scopeKey(bindingScope(name, statement), name)) || [];
+      return before(list) || list[list.length - 1] || null;
+    }
+
+    const scopes = [null, ...statement.scopes];
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      const own = i === scopes.length - 1;
+      // Class bodies are not visible from the methods inside them
+      if (scope && scope.kind === 'class' && !own) continue;
+      const list = bindings.get(scopeKey(scope, name)) || [];
+      const parameter = scope && scope.kind === 'function' && scope.params.includes(name);
+      if (list.length === 0 && !parameter) continue;
+      // Enclosing scopes have usually run to the end by the time a function body runs
+      const binding = own ? before(list) : list[list.length - 1];
+      return binding || { name, kind: 'unknown', key: scopeKey(scope, name), scope };
+    }
+    return null;
+  };
+
+  /**
+   * A WorkflowBuilder passed where a built workflow is expected: { origin } or null
+   */
+  const unbuilt = (expression, statement) => {
+    if (!expression) return null;
+    if (expression.type === 'name') {
+      const definition = definitionAt(expression.name, statement);
+      if (definition) return definition.kind === 'builder' ? { origin: definition.origin || null } : null;
+      const external = resolveName(expression.name);
+      return external && external.value === 'builder' ? { origin: external.origin || null } : null;
+    }
+    if (expression.type === 'call') {
+      if (BUILDER_CLASSES.includes(resolveCallee(expression.callee, names))) return { origin: null };
+      const external = resolveName(expression.callee);
+      return external && external.returns === 'builder' ? { origin: external.origin || null } : null;
+    }
+    return null;
+  };
+
+  const kindAt = (name, statement) => definitionAt(name, statement)?.kind;
+  const isBuilder = (name, statement) => kindAt(name, statement) === 'builder';
+  const isRuntime = (name, statement) => kindAt(name, statement) === 'runtime' || /(^|\.)runtime$/i.test(name || '');
+
+  const nodes = [];
+  const connections = [];
+  const executions = [];
+  const builderExecutions = [];
+
+  for (const call of module.calls) {
+    const { statement } = call;
+    const onBuilder = isBuilder(call.object, statement) || call.object === 'workflow';
+    // The assignment of the builder a node or connection belongs to, null when there is none
+    const bound = onBuilder ? definitionAt(call.object, statement) : null;
+    const definition = bound && bound.kind !== 'unknown' ? bound : null;
+    if (call.method === 'add_node' && onBuilder) {
+      nodes.push({
+        builder: call.object,
+        definition,
+        type: literal(argument(call, 0, 'node_type')),
+        id: literal(argument(call, 1, 'node_id')),
+        config: argument(call, 2, 'config'),
+        call
+      });
+    } else if (call.method === 'add_connection' && onBuilder) {
+      connections.push({
+        builder: call.object,
+        definition,
+        source: literal(argument(call, 0, 'from_node')),
+        output: literal(argument(call, 1, 'from_output')),
+        target: literal(argument(call, 2, 'to_node')),
+        input: literal(argument(call, 3, 'to_input')),
+        call
+      });
+    } else if (EXECUTE_METHODS.includes(call.method) && isRuntime(call.object, statement)) {
+      const workflow = argument(call, 0, 'workflow');
+      const workflowName = nameOf(workflow);
+      executions.push({
+        runtime: call.object,
+        workflow,
+        workflowName,
+        definition: definitionAt(workflowName, statement),
+        unbuilt: unbuilt(workflow, statement),
+        call
+      });
+    } else if (call.method === 'execute' && (isBuilder(call.object, statement) || isRuntime(nameOf(argument(call, 0, 'runtime')), statement))) {
+      // workflow.execute(runtime): the builder executing itself
+      builderExecutions.push({ builder: call.object, call });
+    }
+  }
+
+  return { bindings, definitionAt, nodes, connections, executions, builderExecutions };
+}
+
+module.exports = {
+  analyzeWorkflows,
+  scopeOf,
+  scopeKey,
+  BUILDER_CLASSES,
+  importedNames,
+  resolveCallee,
+  argument,
+  literal,
+};
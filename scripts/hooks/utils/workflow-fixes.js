@@ -0,0 +1,219 @@
+/**
+ * Automatic Fixes for validate-workflow
+ *
+ * Rewrites the source of a Python file for findings that have one safe fix:
+ * - builder-execute:        workflow.execute(runtime) -> runtime.execute(workflow.build())
+ * - missing-build:          runtime.execute(workflow) -> runtime.execute(workflow.build()),
+ *                           also for builders returned by functions: create_workflow().build()
+ * - relative-import:        from .nodes import X -> from mypackage.nodes import X
+ *                           (resolved through the __init__.py package chain)
+ * - environ-without-dotenv: from dotenv import load_dotenv; load_dotenv() after the imports
+ *
+ * Edits are computed from token positions, so formatting elsewhere in the
+ * file is left untouched. Findings that cannot be fixed safely are returned
+ * unchanged.
+ */
+
+const { parsePython, splitTopLevel, TOKEN } = require('./python-parser');
+const { analyzeWorkflows } = require('./workflow-analysis');
+const { absoluteModule } = require('./workflow-modules');
+
+const FIXABLE_RULES = ['builder-execute', 'missing-build', 'relative-import', 'environ-without-dotenv'];
+
+const DOTENV_IMPORT = ['from dotenv import load_dotenv', 'load_dotenv()'];
+
+/**
+ * Offsets of the first character of every line
+ */
+function lineStarts(content) {
+  const starts = [0];
+  const newline = /\r\n|\r|\n/g;
+  let match;
+  while ((match = newline.exec(content))) starts.push(match.index + match[0].length);
+  return starts;
+}
+
+/**
+ * Offsets in `content` of anything with line/col (tokens, calls) and of a token's end
+ */
+function sourceMap(content) {
+  const starts = lineStarts(content);
+  const start = position => starts[position.line - 1] + position.col - 1;
+  const end = token => starts[token.endLine - 1] + token.endCol - 1;
+  return { starts, start, end };
+}
+
+/**
+ * Arguments of a call as token ranges: [{ keyword, star, from, to, argFrom }],
+ * where tokens[from, to) is the value and tokens[argFrom, to) the whole
+ * argument including `keyword=` (comments excluded)
+ */
+function argumentRanges(tokens, call) {
+  return splitTopLevel(tokens, call.open + 1, call.close, ',').map(([from, to]) => {
+    while (from < to && tokens[from].type === TOKEN.COMMENT) from++;
+    while (to > from && tokens[to - 1].type === TOKEN.COMMENT) to--;
+    const keyword = tokens[from]?.type === TOKEN.NAME && tokens[from + 1]?.value === '=' && from + 1 < to
+      ? tokens[from].value
+      : null;
+    const star = tokens[from]?.value === '*' || tokens[from]?.value === '**';
+    return { keyword, star, from: keyword ? from + 2 : from, to, argFrom: from };
+  }).filter(range => range.from < range.to);
+}
+
+/**
+ * The positional argument `index` or keyword argument `keyword` of argumentRanges()
+ */
+function findArgument(ranges, index, keyword) {
+  return ranges.find(range => range.keyword === keyword) ||
+    ranges.filter(range => !range.keyword && !range.star)[index] ||
+    null;
+}
+
+/**
+ * workflow.execute(runtime, ...) -> runtime.execute(workflow.build(), ...)
+ */
+function fixBuilderExecute(finding, context) {
+  const { module, workflows, content, map } = context;
+  const entry = workflows.builderExecutions.find(e => e.call.line === finding.line && e.call.col === finding.col);
+  if (!entry) return null;
+  const { tokens } = module;
+  const ranges = argumentRanges(tokens, entry.call);
+  const runtime = findArgument(ranges, 0, 'runtime');
+  if (!runtime) return null;
+
+  const text = range => content.slice(map.start(tokens[range.argFrom]), map.end(tokens[range.to - 1]));
+  const rest = ranges.filter(range => range !== runtime).map(text);
+  const runtimeText = content.slice(map.start(tokens[runtime.from]), map.end(tokens[runtime.to - 1]));
+  // A name or a plain call can be called on directly; anything else is parenthesized
+  const simple = /^[\w.]+(\([^()]*\))?$/.test(runtimeText);
+  return {
+    start: map.start(entry.call),
+    end: map.end(tokens[entry.call.close]),
+    text: `${simple ? runtimeText : `(${runtimeText})`}.execute(${[`${entry.builder}.build()`, ...rest].join(', ')})`
+  };
+}
+
+/**
+ * runtime.execute(workflow) -> runtime.execute(workflow.build())
+ */
+function fixMissingBuild(finding, context) {
+  const { module, workflows, content, map } = context;
+  const entry = workflows.executions.find(e => e.call.line === finding.line && e.call.col === finding.col);
+  if (!entry || !entry.unbuilt || !['name', 'call'].includes(entry.workflow?.type)) return null;
+  // A name its scope also assigns something other than a builder may hold a built workflow here
+  const { definition } = entry;
+  if (definition && workflows.bindings.get(definition.key).some(binding => binding.kind !== 'builder')) return null;
+  const workflow = findArgument(argumentRanges(module.tokens, entry.call), 0, 'workflow');
+  if (!workflow) return null;
+  const start = map.start(module.tokens[workflow.from]);
+  const end = map.end(module.tokens[workflow.to - 1]);
+  return { start, end, text: `${content.slice(start, end)}.build()` };
+}
+
+/**
+ * from ..nodes import X -> from package.nodes import X
+ */
+function fixRelativeImport(finding, context) {
+  const { module, filePath, map } = context;
+  const entry = module.imports.find(e => e.level > 0 && e.line === finding.line && e.col === finding.col);
+  if (!entry) return null;
+  const absolute = absoluteModule(filePath, entry.level, entry.module);
+  if (!absolute) return null;
+
+  const { tokens } = module;
+  const { start, end } = entry.statement;
+  let importAt = start + 1;
+  while (importAt < end && tokens[importAt].value !== 'import') importAt++;
+  if (importAt === end || importAt === start + 1) return null;
+  return { start: map.start(tokens[start + 1]), end: map.end(tokens[importAt - 1]), text: absolute };
+}
+
+/**
+ * Insert load_dotenv() after the module-level imports preceding the first os.environ
+ */
+function fixEnvironWithoutDotenv(finding, context) {
+  const { module, content, map } = context;
+  const topLevel = module.statements.filter(s => s.level === 0 && s.line < finding.line);
+  const imports = topLevel.filter(s => ['import', 'from'].includes(module.tokens[s.start].value));
+  const docstring = topLevel[0] && topLevel[0].end - topLevel[0].start === 1 &&
+    module.tokens[topLevel[0].start].type === TOKEN.STRING ? topLevel[0] : null;
+  const anchor = imports[imports.length - 1] || docstring;
+
+  let line = 0;
+  if (anchor) {
+    line = module.tokens[anchor.end - 1].endLine;
+  } else {
+    // Keep a shebang, encoding line or license header first
+    const firstCode = module.tokens.find(t => t.type !== TOKEN.COMMENT);
+    line = module.comments.filter(c => !firstCode || c.line < firstCode.line).reduce((last, c) => Math.max(last, c.line), 0);
+  }
+
+  // Same line endings as the rest of the file
+  const eol = (content.match(/\r\n|\r|\n/) || ['\n'])[0];
+  const text = DOTENV_IMPORT.map(statement => statement + eol).join('');
+  if (line < map.starts.length) return { start: map.starts[line], end: map.starts[line], text };
+  const separator = content.length > 0 && !/[\r\n]$/.test(content) ? eol : '';
+  return { start: content.length, end: content.length, text: separator + text };
+}
+
+const FIXERS = {
+  'builder-execute': fixBuilderExecute,
+  'missing-build': fixMissingBuild,
+  'relative-import': fixRelativeImport,
+  'environ-without-dotenv': fixEnvironWithoutDotenv,
+};
+
+/**
+ * Apply the fixes for `findings` (limited to `rules`) to a file's source.
+ * `resolverFor(module)` returns the resolveName callback of analyzeWorkflows
+ * for names from other modules, as validate-workflow used it.
+ * Returns { content, applied: [{ rule, line, col, before, after }], unfixed: [finding] }.
+ */
+function fixSource(filePath, content, findings, rules = FIXABLE_RULES, resolverFor = () => undefined) {
+  const fixable = findings.filter(f => rules.includes(f.rule) && FIXERS[f.rule]);
+  if (fixable.length === 0) return { content, applied: [], unfixed: findings };
+
+  const module = parsePython(content);
+  const map = sourceMap(content);
+  const context = { filePath, content, module, workflows: analyzeWorkflows(module, resolverFor(module)), map };
+
+  // One edit per source range; findings sharing a statement share its edit
+  const edits = new Map();
+  for (const finding of fixable) {
+    const edit = FIXERS[finding.rule](finding, context);
+    if (!edit) continue;
+    const key = `${edit.start}:${edit.end}`;
+    if (edits.has(key)) edits.get(key).findings.push(finding);
+    else edits.set(key, { ...edit, rule: finding.rule, findings: [finding] });
+  }
+
+  // Apply from the end of the file so earlier offsets stay valid; skip overlaps
+  let fixed = content;
+  let limit = Infinity;
+  const applied = [];
+  const fixedFindings = new Set();
+  for (const edit of [...edits.values()].sort((a, b) => b.start - a.start || b.end - a.end)) {
+    if (edit.end > limit) continue;
+    fixed = fixed.slice(0, edit.start) + edit.text + fixed.slice(edit.end);
+    limit = edit.start;
+    edit.findings.forEach(f => fixedFindings.add(f));
+    applied.push({
+      rule: edit.rule,
+      line: edit.findings[0].line,
+      col: edit.findings[0].col,
+      before: content.slice(edit.start, edit.end),
+      after: edit.text
+    });
+  }
+
+  return {
+    content: fixed,
+    applied: applied.sort((a, b) => a.line - b.line || a.col - b.col),
+    unfixed: findings.filter(f => !fixedFindings.has(f))
+  };
+}
+
+module.exports = {
+  fixSource,
+  FIXABLE_RULES,
+};
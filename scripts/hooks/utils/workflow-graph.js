@@ -0,0 +1,207 @@
+/**
+ * Connection Graph Validation for validate-workflow
+ *
+ * Rebuilds each WorkflowBuilder's node graph from its add_node and
+ * add_connection calls (see workflow-analysis.js) and reports:
+ * - duplicate node ids
+ * - connections from or to node ids that were never added
+ * - nodes that are not connected to the rest of the workflow, or that can
+ *   only be reached through a cycle
+ * - cycles when nothing in the file passes enable_cycles=True
+ *
+ * Graphs with node ids or connections that are not string literals (loops,
+ * f-strings, variables) are incomplete, so only the duplicate and cycle
+ * checks run on them.
+ */
+
+const { scopeOf, scopeKey } = require('./workflow-analysis');
+
+const RULES = {
+  'duplicate-node-id': { severity: 'high', description: 'Node ids must be unique within a workflow' },
+  'undefined-node': { severity: 'high', description: 'Connection from or to a node id that was never added' },
+  'disconnected-node': { severity: 'medium', description: 'Node not connected to the rest of the workflow' },
+  'unreachable-node': { severity: 'medium', description: 'Node only reachable through a cycle with no entry node' },
+  'cycle-without-enable-cycles': { severity: 'high', description: 'Cyclic connections without enable_cycles=True' },
+};
+
+/**
+ * Group nodes and connections by the builder they are added to: the
+ * assignment that made it, or the variable name within its function when
+ * the builder comes from elsewhere (a parameter, another module)
+ */
+function groupByBuilder(workflows) {
+  const graphs = new Map();
+  const graphFor = ({ builder, definition, call }) => {
+    const key = definition || scopeKey(scopeOf(call.statement), builder);
+    if (!graphs.has(key)) graphs.set(key, { builder, definition, nodes: [], connections: [] });
+    return graphs.get(key);
+  };
+  workflows.nodes.forEach(node => graphFor(node).nodes.push(node));
+  workflows.connections.forEach(connection => graphFor(connection).connections.push(connection));
+  return [...graphs.values()];
+}
+
+/**
+ * True when a call in the module passes enable_cycles=True
+ */
+function cyclesEnabled(module) {
+  return module.calls.some(call => call.args.some(arg =>
+    arg.keyword === 'enable_cycles' && arg.value.type === 'constant' && arg.value.value === true));
+}
+
+/**
+ * Map each source id to its outgoing edges
+ */
+function outgoingEdges(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+    outgoing.get(edge.source).push(edge);
+  }
+  return outgoing;
+}
+
+/**
+ * Find the cycles closed by back edges of a depth-first search, as
+ * [{ path, closing }] where `closing` is the connection that completes the cycle.
+ * Iterative, so long connection chains cannot overflow the call stack.
+ */
+function findCycles(ids, edges) {
+  const outgoing = outgoingEdges(edges);
+  const done = new Set();
+  const stack = [];
+  // Position on `stack` of each node still being visited
+  const active = new Map();
+  const cycles = [];
+
+  for (const start of ids) {
+    if (done.has(start) || active.has(start)) continue;
+    const frames = [{ id: start, next: 0 }];
+    active.set(start, 0);
+    stack.push(start);
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      const edge = (outgoing.get(frame.id) || [])[frame.next++];
+      if (!edge) {
+        frames.pop();
+        stack.pop();
+        active.delete(frame.id);
+        done.add(frame.id);
+        continue;
+      }
+      if (active.has(edge.target)) {
+        const path = stack.slice(active.get(edge.target)).concat(edge.target);
+        cycles.push({ path, closing: edge.connection });
+      } else if (!done.has(edge.target)) {
+        active.set(edge.target, stack.length);
+        stack.push(edge.target);
+        frames.push({ id: edge.target, next: 0 });
+      }
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Validate the connection graph of every builder in a module.
+ * Returns [{ rule, position, message, fix }] with positions taken from the calls.
+ */
+function validateWorkflowGraph(workflows, module) {
+  const findings = [];
+  const allowCycles = cyclesEnabled(module);
+
+  for (const graph of groupByBuilder(workflows)) {
+    const defined = new Map();
+    const { builder, definition } = graph;
+
+    for (const node of graph.nodes) {
+      if (!node.id) continue;
+      const first = defined.get(node.id);
+      if (first) {
+        findings.push({
+          rule: 'duplicate-node-id',
+          position: node.call,
+          message: `Duplicate node id "${node.id}" in ${builder} (first added on line ${first.call.line}). Node ids must be unique.`
+        });
+      } else {
+        defined.set(node.id, node);
+      }
+    }
+
+    const edges = graph.connections
+      .filter(c => c.source && c.target)
+      .map(c => ({ source: c.source, target: c.target, connection: c }));
+
+    // Nodes may be added elsewhere (helpers, loops, other modules, the function that made the builder)
+    const complete = definition && definition.kind === 'builder' && !definition.via &&
+      graph.nodes.every(node => node.id) &&
+      graph.connections.every(c => c.source && c.target);
+
+    if (complete) {
+      for (const { connection } of edges) {
+        for (const [end, id] of [['from', connection.source], ['to', connection.target]]) {
+          if (!defined.has(id)) {
+            findings.push({
+              rule: 'undefined-node',
+              position: connection.call,
+              message: `Connection ${end} undefined node "${id}" in ${builder}. Add it with ${builder}.add_node() first.`,
+              fix: `${builder}.add_node("<NodeType>", "${id}", {...})`
+            });
+          }
+        }
+      }
+
+      const known = edges.filter(e => defined.has(e.source) && defined.has(e.target));
+      if (defined.size > 1 && known.length > 0) {
+        const connected = new Set(known.flatMap(e => [e.source, e.target]));
+        const targets = new Set(known.map(e => e.target));
+        const outgoing = outgoingEdges(known);
+        const queue = [...defined.keys()].filter(id => !targets.has(id));
+        const reached = new Set(queue);
+        for (let i = 0; i < queue.length; i++) {
+          for (const edge of outgoing.get(queue[i]) || []) {
+            if (reached.has(edge.target)) continue;
+            reached.add(edge.target);
+            queue.push(edge.target);
+          }
+        }
+
+        for (const [id, node] of defined) {
+          if (!connected.has(id)) {
+            findings.push({
+              rule: 'disconnected-node',
+              position: node.call,
+              message: `Node "${id}" is not connected to the rest of ${builder}. Connect it or remove it.`
+            });
+          } else if (!reached.has(id)) {
+            findings.push({
+              rule: 'unreachable-node',
+              position: node.call,
+              message: `Node "${id}" is unreachable in ${builder}: its only inputs come from a cycle with no entry node.`
+            });
+          }
+        }
+      }
+    }
+
+    if (!allowCycles) {
+      for (const { path, closing } of findCycles([...new Set(edges.map(e => e.source))], edges)) {
+        findings.push({
+          rule: 'cycle-without-enable-cycles',
+          position: closing.call,
+          message: `Cycle ${path.join(' -> ')} in ${builder} without enable_cycles=True. Enable cycles on the runtime or remove the loop.`,
+          fix: 'enable_cycles=True'
+        });
+      }
+    }
+  }
+
+  return findings;
+}
+
+module.exports = {
+  validateWorkflowGraph,
+  findCycles,
+  RULES,
+};
@@ -0,0 +1,383 @@
+/**
+ * Cross-Module Workflow Tracking for validate-workflow
+ *
+ * Workflows are often built in one module and executed in another:
+ *
+ *   # myapp/flows.py
+ *   def create_order_workflow():
+ *       workflow = WorkflowBuilder()
+ *       ...
+ *       return workflow
+ *
+ *   # myapp/run.py
+ *   from myapp.flows import create_order_workflow
+ *   runtime.execute(create_order_workflow())   # missing .build()
+ *
+ * Every module is summarised by what its top-level names hold (a WorkflowBuilder
+ * or a built Workflow, directly or as the return value of a function) and
+ * where it executes imported workflows. Imports are followed to files inside
+ * the project; summaries are cached by file mtime and size in
+ * <learning dir>/cache/workflow-modules/<project hash>.json, so only edited
+ * files are parsed again. Each project has its own cache, bounded to
+ * MAX_CACHED_FILES files; caches of projects not validated for
+ * CACHE_MAX_AGE_DAYS are removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parsePython, parseExpression } = require('./python-parser');
+const { analyzeWorkflows, importedNames, resolveCallee, BUILDER_CLASSES } = require('./workflow-analysis');
+const { parseSuppressions, serializeSuppressions } = require('./suppressions');
+const { getLearningDir } = require('./project');
+
+const CACHE_VERSION = 2;
+
+// Most recently summarised files kept in a project's cache
+const MAX_CACHED_FILES = 5000;
+
+// Caches of projects not validated for this long are removed
+const CACHE_MAX_AGE_DAYS = 30;
+
+// Import chains longer than this are not followed
+const MAX_DEPTH = 8;
+
+// Parsing is synchronous, so larger files are not summarised (as in validate-workflow.js)
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+// Directories never searched for Python modules
+const SKIP_DIRS = new Set(['node_modules', '__pycache__', 'venv', 'env', 'build', 'dist', 'site-packages']);
+
+/**
+ * Python files under a directory, skipping hidden, virtualenv and build directories
+ */
+function pythonFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name.startsWith('.') || SKIP_DIRS.has(entry.name) ? [] : pythonFiles(full);
+    }
+    return entry.isFile() && entry.name.endsWith('.py') ? [full] : [];
+  });
+}
+
+/**
+ * Dotted package of a file, from the directories holding an __init__.py
+ */
+function packageOf(filePath) {
+  const parts = [];
+  let dir = path.dirname(path.resolve(filePath));
+  while (fs.existsSync(path.join(dir, '__init__.py'))) {
+    parts.unshift(path.basename(dir));
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return parts;
+}
+
+/**
+ * Absolute module for a relative import, or null when it leaves the package
+ */
+function absoluteModule(filePath, level, module) {
+  const parts = packageOf(filePath);
+  const base = parts.slice(0, parts.length - (level - 1));
+  if (level - 1 >= parts.length || base.length === 0) return null;
+  return [...base, module].filter(Boolean).join('.');
+}
+
+/**
+ * What an expression holds: { value: 'builder' | 'built' } or { resultOf: callee }
+ * for the result of a call still to be resolved; null when unrelated
+ */
+function describeValue(expression, names, callables) {
+  if (!expression || expression.type !== 'call') return null;
+  if (BUILDER_CLASSES.includes(resolveCallee(expression.callee, names))) return { value: 'builder' };
+  if (/\.build$/.test(expression.callee)) return { value: 'built' };
+  return callables(expression.callee) ? { resultOf: expression.callee } : null;
+}
+
+/**
+ * What a top-level function returns: { returns } or { returnsResultOf }, when every return agrees
+ */
+function describeFunction(module, statement, names, callables) {
+  const { scope } = statement;
+  const { tokens } = module;
+  const returns = scope.body.filter(s => s.scopes[s.scopes.length - 1] === scope && tokens[s.start].value === 'return');
+  if (returns.length === 0) return null;
+
+  const described = returns.map(ret => {
+    const expression = parseExpression(tokens, ret.start + 1, ret.end);
+    if (expression.type === 'name') {
+      // return workflow: the last assignment to it in the function before the return
+      const assignment = module.assignments
+        .filter(a => a.statement.scopes[a.statement.scopes.length - 1] === scope && a.targets.includes(expression.name) && a.line <= ret.line)
+        .pop();
+      return assignment ? describeValue(assignment.value, names, callables) : null;
+    }
+    return describeValue(expression, names, callables);
+  });
+
+  const [first] = described;
+  if (!first || described.some(d => JSON.stringify(d) !== JSON.stringify(first))) return null;
+  return first.value ? { returns: first.value } : { returnsResultOf: first.resultOf };
+}
+
+/**
+ * Summarise a parsed module: { names, imports, executions, suppressions }
+ */
+function summarizeModule(module, filePath) {
+  const names = importedNames(module);
+  const topLevel = module.statements.filter(s => s.scopes.length === 0);
+  const functions = new Set(topLevel.filter(s => s.scope && s.scope.kind === 'function').map(s => s.scope.name));
+
+  const imports = module.imports
+    .map(entry => ({
+      module: entry.level > 0 ? absoluteModule(filePath, entry.level, entry.module) : entry.module,
+      name: entry.name,
+      alias: entry.alias
+    }))
+    .filter(entry => entry.module && entry.name !== '*');
+  const imported = new Set(imports.map(entry => entry.alias || entry.name || entry.module.split('.')[0]));
+  const isImported = callee => imported.has(callee.split('.')[0]);
+  const callables = callee => functions.has(callee) || isImported(callee);
+
+  const summary = {};
+  for (const statement of topLevel.filter(s => s.scope && s.scope.kind === 'function')) {
+    const described = describeFunction(module, statement, names, callables);
+    if (described) summary[statement.scope.name] = described;
+  }
+  for (const assignment of module.assignments.filter(a => a.statement.scopes.length === 0)) {
+    const described = describeValue(assignment.value, names, callables);
+    assignment.targets.filter(target => !target.includes('.')).forEach(target => {
+      if (described) summary[target] = described;
+      else delete summary[target];
+    });
+  }
+
+  // Executions of workflows made by functions or imported from other modules
+  const executions = [];
+  for (const { workflow, definition, call } of analyzeWorkflows(module).executions) {
+    let source = null;
+    if (workflow && workflow.type === 'call' && callables(workflow.callee)) {
+      source = { call: workflow.callee };
+    } else if (workflow && workflow.type === 'name') {
+      // The assignment the executed name comes from, in its own scope
+      const value = definition && definition.value;
+      if (value && value.type === 'call' && callables(value.callee)) source = { call: value.callee };
+      else if (!definition && isImported(workflow.name)) source = { name: workflow.name };
+    }
+    if (source) executions.push({ ...source, text: workflow.text, line: call.line, col: call.col, runtime: call.object, method: call.method });
+  }
+
+  return { names: summary, imports, executions, suppressions: serializeSuppressions(parseSuppressions(module)) };
+}
+
+/**
+ * Directory of the module summary caches, one file per project
+ */
+function cacheDir() {
+  return path.join(getLearningDir(), 'cache', 'workflow-modules');
+}
+
+/**
+ * Path of a project's module summary cache
+ */
+function cacheFile(projectRoot) {
+  const id = crypto.createHash('sha256').update(projectRoot).digest('hex').slice(0, 16);
+  return path.join(cacheDir(), `${id}.json`);
+}
+
+/**
+ * Remove the caches of projects not validated for CACHE_MAX_AGE_DAYS
+ */
+function pruneCaches() {
+  const cutoff = Date.now() - CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  for (const name of fs.readdirSync(cacheDir())) {
+    const file = path.join(cacheDir(), name);
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file);
+    } catch {}
+  }
+}
+
+/**
+ * Module index for a project: summaries by file (cached), import resolution
+ * and lookups of what a name holds across modules
+ */
+function createModuleIndex(projectRoot) {
+  const cachePath = cacheFile(projectRoot);
+  let cache = { version: CACHE_VERSION, projectRoot, files: {} };
+  try {
+    const loaded = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (loaded.version === CACHE_VERSION && loaded.projectRoot === projectRoot && loaded.files) cache = loaded;
+  } catch {}
+  let dirty = false;
+  const fresh = new Map();
+  const resolved = new Map();
+
+  /**
+   * Summary of a file, from the cache while its mtime and size are unchanged
+   */
+  function summary(file) {
+    if (fresh.has(file)) return fresh.get(file);
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      if (cache.files[file]) {
+        delete cache.files[file];
+        dirty = true;
+      }
+      return null;
+    }
+    const cached = cache.files[file];
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.summary;
+    if (stat.size > MAX_SOURCE_BYTES) return null;
+
+    let result = null;
+    try {
+      result = summarizeModule(parsePython(fs.readFileSync(file, 'utf8')), file);
+    } catch {}
+    cache.files[file] = { mtimeMs: stat.mtimeMs, size: stat.size, cachedAt: Date.now(), summary: result };
+    dirty = true;
+    return result;
+  }
+
+  /**
+   * Use an already parsed module (the file being edited) instead of the disk copy
+   */
+  function setModule(file, module) {
+    const result = summarizeModule(module, file);
+    fresh.set(file, result);
+    return result;
+  }
+
+  /**
+   * File of an absolute dotted module inside the project, or null
+   */
+  function resolveModule(dotted, fromFile) {
+    const key = `${dotted}\0${path.dirname(fromFile)}`;
+    if (resolved.has(key)) return resolved.get(key);
+
+    // The project root, a src/ layout and the directory holding the importer's top package
+    const pkg = packageOf(fromFile);
+    const importerRoot = path.resolve(path.dirname(fromFile), ...pkg.map(() => '..'));
+    const roots = [...new Set([projectRoot, path.join(projectRoot, 'src'), importerRoot])];
+    const relative = path.join(...dotted.split('.'));
+    let file = null;
+    for (const root of roots) {
+      const candidates = [path.join(root, `${relative}.py`), path.join(root, relative, '__init__.py')];
+      file = candidates.find(candidate => candidate.startsWith(projectRoot + path.sep) && fs.existsSync(candidate));
+      if (file) break;
+    }
+    resolved.set(key, file || null);
+    return file || null;
+  }
+
+  /**
+   * What `name` (possibly dotted, `flows.create`) holds in `file`:
+   * { value } or { returns }, with `files` listing the modules it came through
+   */
+  function lookup(file, name, depth = 0) {
+    if (depth > MAX_DEPTH) return null;
+    const info = summary(file);
+    if (!info) return null;
+    const through = result => result && { ...result, files: [file, ...result.files] };
+
+    const entry = Object.hasOwn(info.names, name) ? info.names[name] : null;
+    if (entry) {
+      if (entry.value || entry.returns) return { value: entry.value, returns: entry.returns, files: [file] };
+      const target = lookup(file, entry.resultOf || entry.returnsResultOf, depth + 1);
+      if (!target || !target.returns) return null;
+      return through(entry.resultOf ? { value: target.returns, files: target.files } : { returns: target.returns, files: target.files });
+    }
+
+    // from pkg.mod import name [as alias]
+    const head = name.split('.')[0];
+    const fromImport = info.imports.find(i => i.name && (i.alias || i.name) === name);
+    if (fromImport) {
+      const target = resolveModule(fromImport.module, file);
+      return target ? through(lookup(target, fromImport.name, depth + 1)) : null;
+    }
+
+    // import pkg.mod [as alias]; pkg.mod.name
+    const moduleImport = info.imports.find(i => !i.name && name.startsWith(`${i.alias || i.module}.`));
+    if (moduleImport) {
+      const rest = name.slice((moduleImport.alias || moduleImport.module).length + 1);
+      if (rest.includes('.')) return null;
+      const target = resolveModule(moduleImport.module, file);
+      return target ? through(lookup(target, rest, depth + 1)) : null;
+    }
+
+    // from pkg import mod; mod.name
+    const submodule = info.imports.find(i => i.name && (i.alias || i.name) === head && name !== head);
+    if (submodule) {
+      const rest = name.slice(head.length + 1);
+      const target = resolveModule(`${submodule.module}.${submodule.name}`, file);
+      return target && !rest.includes('.') ? through(lookup(target, rest, depth + 1)) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Executions elsewhere in the project of a WorkflowBuilder that comes
+   * through `file`: [{ file, execution }]. Stops at `deadline` (ms timestamp)
+   * and reports whether every file was checked.
+   */
+  function dependents(file, deadline) {
+    const found = [];
+    for (const other of pythonFiles(projectRoot)) {
+      if (Date.now() > deadline) return { found, complete: false };
+      if (other === file) continue;
+      const info = summary(other);
+      if (!info || info.executions.length === 0) continue;
+      for (const execution of info.executions) {
+        const result = lookup(other, execution.call || execution.name);
+        const unbuilt = execution.call ? result?.returns === 'builder' : result?.value === 'builder';
+        if (unbuilt && result.files.includes(file)) found.push({ file: other, execution, suppressions: info.suppressions });
+      }
+    }
+    return { found, complete: true };
+  }
+
+  /**
+   * Write changed summaries back to the cache, keeping the MAX_CACHED_FILES
+   * most recent ones. The file is replaced by a rename, so a concurrent
+   * hook never reads half of it.
+   */
+  function save() {
+    if (!dirty) return;
+    const entries = Object.entries(cache.files);
+    if (entries.length > MAX_CACHED_FILES) {
+      entries.sort((a, b) => (b[1].cachedAt || 0) - (a[1].cachedAt || 0));
+      cache.files = Object.fromEntries(entries.slice(0, MAX_CACHED_FILES));
+    }
+    const temp = `${cachePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(cacheDir(), { recursive: true });
+      fs.writeFileSync(temp, JSON.stringify(cache));
+      fs.renameSync(temp, cachePath);
+      dirty = false;
+      pruneCaches();
+    } catch {
+      fs.rmSync(temp, { force: true });
+    }
+  }
+
+  return { projectRoot, summary, setModule, resolveModule, lookup, dependents, save };
+}
+
+module.exports = {
+  createModuleIndex,
+  summarizeModule,
+  pythonFiles,
+  packageOf,
+  absoluteModule,
+};
@@ -0,0 +1,100 @@
+/**
+ * Workflow Validation Policy for validate-workflow
+ *
+ * Layered like the bash policy (utils/bash-policy.js):
+ *   1. built-in defaults (auto-fix off)
+ *   2. user policy:    <learning dir>/policies/workflow.json
+ *   3. project policy: <project root>/.agent/policies/workflow.json
+ *
+ * Later layers win, field by field.
+ *
+ * Policy file format:
+ *   {
+ *     "autoFix": {
+ *       "enabled": true,                          // rewrite fixable findings in place
+ *       "rules": ["builder-execute", "missing-build"]  // default: every fixable rule
+ *     },
+ *     "baseline": ".agent/workflow-baseline.json"  // project-relative; false to ignore it
+ *   }
+ */
+
+const path = require('path');
+const { getLearningDir, findProjectRoot } = require('./project');
+const { readPolicyFile } = require('./bash-policy');
+const { FIXABLE_RULES } = require('./workflow-fixes');
+const { DEFAULT_BASELINE } = require('./baseline');
+
+const PROJECT_POLICY = path.join('.agent', 'policies', 'workflow.json');
+const USER_POLICY = path.join('policies', 'workflow.json');
+
+/**
+ * Validate the "autoFix" section of a policy file
+ */
+function readAutoFixSection(section, where, errors) {
+  if (section === undefined) return null;
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const before = errors.length;
+  if (section.enabled !== undefined && typeof section.enabled !== 'boolean') {
+    errors.push(`${where}: "enabled" must be true or false`);
+  }
+  if (section.rules !== undefined) {
+    if (!Array.isArray(section.rules) || !section.rules.every(rule => typeof rule === 'string')) {
+      errors.push(`${where}: "rules" must be an array of rule ids`);
+    } else {
+      section.rules.filter(rule => !FIXABLE_RULES.includes(rule)).forEach(rule => {
+        errors.push(`${where}: "${rule}" has no automatic fix (fixable: ${FIXABLE_RULES.join(', ')})`);
+      });
+    }
+  }
+  return errors.length === before ? section : null;
+}
+
+/**
+ * Load the effective workflow policy for a file in `cwd`
+ */
+function loadWorkflowPolicy(cwd) {
+  const errors = [];
+  const projectRoot = findProjectRoot(cwd);
+  const autoFix = { enabled: false, rules: FIXABLE_RULES.slice() };
+  let baseline = DEFAULT_BASELINE;
+  const files = [];
+
+  const layers = [
+    path.join(getLearningDir(), USER_POLICY),
+    path.join(projectRoot, PROJECT_POLICY),
+  ];
+
+  for (const file of layers) {
+    const policy = readPolicyFile(file, errors);
+    if (!policy) continue;
+    files.push(file);
+
+    const section = readAutoFixSection(policy.autoFix, `${file}: autoFix`, errors);
+    if (section) {
+      if (section.enabled !== undefined) autoFix.enabled = section.enabled;
+      if (section.rules) autoFix.rules = section.rules.slice();
+    }
+
+    if (policy.baseline !== undefined) {
+      if (policy.baseline === false || (typeof policy.baseline === 'string' && policy.baseline)) baseline = policy.baseline;
+      else errors.push(`${file}: "baseline" must be a path or false`);
+    }
+  }
+
+  return {
+    autoFix,
+    baseline: baseline ? path.resolve(projectRoot, baseline) : null,
+    projectRoot,
+    files,
+    errors
+  };
+}
+
+module.exports = {
+  loadWorkflowPolicy,
+  PROJECT_POLICY,
+  USER_POLICY,
+};
@@ -5,6 +5,10 @@
  * Matcher: Bash
  * Purpose: Block dangerous commands, suggest tmux for long-running
  *
+ * Commands are parsed into their real sub-commands (see utils/shell-parser.js),
+ * so quoted text is ignored and wrapped or chained commands are still checked.
+ * Every decision is appended to the bash audit log (scripts/learning/bash-audit.js).
+ *
  * Exit Codes:
  *   0 = success (continue)
  *   2 = blocking error (stop tool execution)
@@ -12,6 +16,12 @@
  */
 
 const fs = require('fs');
+const { parseCommand, groupPipelines, maskQuoted } = require('./utils/shell-parser');
+const { loadBashPolicy, findMatchingRule, findRawRule } = require('./utils/bash-policy');
+const { gitSubcommand } = require('./utils/git-safety');
+const { redactSecrets, redactCommand } = require('./utils/secret-scanner');
+const { createFinding } = require('./utils/findings');
+const { createAuditEntry, appendAuditEntry } = require('../learning/bash-audit');
 
 // Timeout handling for PreToolUse hooks (5 second limit)
 const TIMEOUT_MS = 5000;
@@ -29,12 +39,22 @@ process.stdin.on('end', () => {
   try {
     const data = JSON.parse(input);
     const result = validateBashCommand(data);
+    const hookSpecificOutput = {
+      hookEventName: 'PreToolUse',
+      validation: result.message
+    };
+    if (result.rule) {
+      hookSpecificOutput.rule = result.rule;
+    }
+    hookSpecificOutput.findings = result.findings || [];
+    if (result.policyErrors && result.policyErrors.length > 0) {
+      hookSpecificOutput.policyErrors = result.policyErrors;
+      result.policyErrors.forEach(err => console.error(`[POLICY ERROR] ${err}`));
+    }
+    recordAudit(data, result);
     console.log(JSON.stringify({
       continue: result.continue,
-      hookSpecificOutput: {
-        hookEventName: 'PreToolUse',
-        validation: result.message
-      }
+      hookSpecificOutput
     }));
     process.exit(result.exitCode);
   } catch (error) {
@@ -44,70 +64,145 @@ process.stdin.on('end', () => {
   }
 });
 
+/**
+ * Build the hook result for a policy rule that fired
+ */
+function ruleResult(rule, cmd) {
+  const blocked = rule.action === 'block';
+  const text = (rule.message || `policy rule "${rule.id}"`).replace(/^(Blocked|WARNING):\s*/, '');
+  const prefix = { block: 'Blocked', warn: 'WARNING', allow: 'Allowed' }[rule.action];
+  return {
+    continue: !blocked,
+    exitCode: blocked ? 2 : 0,
+    verdict: rule.action,
+    message: [`${prefix}: ${text}`, rule.detail && `(${rule.detail})`, rule.suggestion && `Suggested: ${rule.suggestion}`]
+      .filter(Boolean).join(' '),
+    rule: {
+      id: rule.id,
+      action: rule.action,
+      severity: rule.severity,
+      source: rule.source,
+      command: cmd ? redactCommand(cmd) : null
+    },
+    findings: rule.action === 'allow' ? [] : [createFinding({
+      rule: rule.id,
+      severity: rule.severity,
+      message: [text, rule.detail && `(${rule.detail})`].filter(Boolean).join(' '),
+      fix: rule.suggestion || null
+    })]
+  };
+}
+
 function validateBashCommand(data) {
   const command = data.tool_input?.command || '';
+  const cwd = data.cwd || process.cwd();
+  const policy = loadBashPolicy(cwd);
+  const result = evaluateCommand(command, policy, {
+    cwd,
+    projectRoot: policy.projectRoot,
+    protectedBranches: policy.git.protectedBranches,
+    network: policy.network,
+    filesystem: policy.filesystem
+  });
+  result.policyErrors = policy.errors;
+  return result;
+}
+
+/**
+ * Evaluate every sub-command of `command` against the merged policy
+ */
+function evaluateCommand(command, policy, context) {
+  const { commands } = parseCommand(command);
+  context = { ...context, commands };
+
+  let warning = null;
+  let allowed = null;
+
+  // BLOCK/WARN: Dangerous commands, first matching rule per sub-command
+  const rawRule = findRawRule(policy.rules, maskQuoted(command));
+  if (rawRule && rawRule.action !== 'allow') {
+    if (rawRule.action === 'block') return ruleResult(rawRule, null);
+    warning = ruleResult(rawRule, null);
+  }
 
-  // BLOCK: Dangerous commands
-  const dangerousPatterns = [
-    { pattern: /rm\s+-rf\s+\/(?!\w)/, message: 'Blocked: rm -rf / (system destruction)' },
-    { pattern: />\s*\/dev\/sd/, message: 'Blocked: Writing to block device' },
-    { pattern: /mkfs\./, message: 'Blocked: Filesystem formatting' },
-    { pattern: /dd\s+if=.*of=\/dev\/sd/, message: 'Blocked: dd to disk' },
-    { pattern: /:\(\)\{\s*:\|:&\s*\};:/, message: 'Blocked: Fork bomb' },
-    { pattern: /chmod\s+-R\s+777\s+\//, message: 'Blocked: chmod 777 on root' },
-    { pattern: /curl.*\|\s*(ba)?sh/, message: 'WARNING: Piping curl to shell is dangerous' },
-  ];
-
-  for (const { pattern, message } of dangerousPatterns) {
-    if (pattern.test(command)) {
-      if (message.startsWith('Blocked')) {
-        return { continue: false, exitCode: 2, message };
+  for (const pipeline of groupPipelines(commands)) {
+    for (const cmd of pipeline) {
+      const rule = findMatchingRule(policy.rules, cmd, pipeline, context);
+      if (!rule) continue;
+      if (rule.action === 'allow') {
+        allowed = allowed || ruleResult(rule, cmd);
+        continue;
       }
-      return { continue: true, exitCode: 0, message };
+      if (rule.action === 'block') return ruleResult(rule, cmd);
+      warning = warning || ruleResult(rule, cmd);
     }
   }
 
-  // WARN: Long-running commands outside tmux/background
-  const longRunningPatterns = [
-    /npm\s+run\s+(dev|start|serve)/,
-    /yarn\s+(dev|start|serve)/,
-    /python\s+-m\s+http\.server/,
-    /uvicorn/,
-    /flask\s+run/,
-    /node\s+.*server/,
-    /docker\s+compose\s+up(?!\s+-d)/,
-  ];
+  if (warning) {
+    return warning;
+  }
 
+  // WARN: Long-running commands outside tmux/background
   const inTmux = process.env.TMUX || process.env.TERM_PROGRAM === 'tmux';
-  const isBackground = /&\s*$/.test(command) || /--background/.test(command) || /-d\s/.test(command);
-
-  for (const pattern of longRunningPatterns) {
-    if (pattern.test(command) && !inTmux && !isBackground) {
-      return {
-        continue: true,
-        exitCode: 0,
-        message: 'WARNING: Long-running command. Consider using run_in_background or tmux.'
-      };
+
+  if (!inTmux) {
+    const loopRule = findRawRule(policy.longRunning, maskQuoted(command));
+    if (loopRule && loopRule.action !== 'allow') {
+      return ruleResult(loopRule, null);
+    }
+
+    for (const cmd of commands) {
+      if (cmd.background) continue;
+      const rule = findMatchingRule(policy.longRunning, cmd, [cmd], context);
+      if (rule && rule.action !== 'allow') {
+        return ruleResult(rule, cmd);
+      }
     }
   }
 
   // WARN: Git push - reminder for security review
-  if (/git\s+push/.test(command)) {
+  if (commands.some(cmd => gitSubcommand(cmd) === 'push')) {
     return {
       continue: true,
       exitCode: 0,
+      verdict: 'warn',
       message: 'REMINDER: Did you run security-reviewer before pushing?'
     };
   }
 
   // WARN: Git commit - reminder for review
-  if (/git\s+commit/.test(command)) {
+  if (commands.some(cmd => gitSubcommand(cmd) === 'commit')) {
     return {
       continue: true,
       exitCode: 0,
+      verdict: 'warn',
       message: 'REMINDER: Code review completed? Consider delegating to intermediate-reviewer.'
     };
   }
 
-  return { continue: true, exitCode: 0, message: 'Validated' };
+  return {
+    continue: true,
+    exitCode: 0,
+    verdict: 'allow',
+    message: 'Validated',
+    rule: allowed ? allowed.rule : undefined
+  };
+}
+
+/**
+ * Append the decision to the bash audit log. Never fails the hook.
+ */
+function recordAudit(data, result) {
+  try {
+    appendAuditEntry(createAuditEntry({
+      session_id: data.session_id,
+      cwd: data.cwd,
+      command: redactSecrets(data.tool_input?.command || ''),
+      verdict: result.verdict,
+      rule: result.rule,
+      message: result.message
+    }));
+  } catch (error) {
+    console.error(`[AUDIT ERROR] ${error.message}`);
+  }
 }
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Bash Audit Log for Kailash Continuous Learning System
+ *
+ * Records every command the validate-bash-command hook evaluated, with the
+ * verdict and the rule that decided it. Commands are stored with secrets
+ * redacted.
+ *
+ * Usage:
+ *   node bash-audit.js --session <id>
+ *   node bash-audit.js --verdict block --since 2026-01-01 --until 2026-01-31
+ *   node bash-audit.js --stats
+ *
+ * Output:
+ *   Appends to ~/.claude/kailash-learning/bash-audit.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Learning directory structure - supports env var override for testing
+const LEARNING_DIR = process.env.KAILASH_LEARNING_DIR || path.join(os.homedir(), '.claude', 'kailash-learning');
+const AUDIT_FILE = path.join(LEARNING_DIR, 'bash-audit.jsonl');
+const ARCHIVE_DIR = path.join(LEARNING_DIR, 'bash-audit.archive');
+
+// Rotate the active log once it grows past this size
+const MAX_AUDIT_BYTES = 5 * 1024 * 1024;
+
+const VERDICTS = ['block', 'warn', 'allow'];
+
+/**
+ * Audit entry schema
+ */
+function createAuditEntry({ session_id, cwd, command, verdict, rule, message }) {
+  return {
+    timestamp: new Date().toISOString(),
+    session_id: session_id || 'unknown',
+    cwd: cwd || process.cwd(),
+    command,
+    verdict,
+    rule: rule || null,
+    message: message || null
+  };
+}
+
+/**
+ * Append an entry to the audit log, rotating it first if it is too large
+ */
+function appendAuditEntry(entry) {
+  if (!fs.existsSync(LEARNING_DIR)) {
+    fs.mkdirSync(LEARNING_DIR, { recursive: true });
+  }
+
+  if (fs.existsSync(AUDIT_FILE) && fs.statSync(AUDIT_FILE).size >= MAX_AUDIT_BYTES) {
+    if (!fs.existsSync(ARCHIVE_DIR)) {
+      fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+    }
+    fs.renameSync(AUDIT_FILE, path.join(ARCHIVE_DIR, `bash-audit_${Date.now()}.jsonl`));
+  }
+
+  fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read all audit entries, archives first so results are in time order
+ */
+function readAuditEntries() {
+  const files = [];
+  if (fs.existsSync(ARCHIVE_DIR)) {
+    fs.readdirSync(ARCHIVE_DIR)
+      .filter(f => f.endsWith('.jsonl'))
+      .sort()
+      .forEach(f => files.push(path.join(ARCHIVE_DIR, f)));
+  }
+  if (fs.existsSync(AUDIT_FILE)) {
+    files.push(AUDIT_FILE);
+  }
+
+  const entries = [];
+  files.forEach(file => {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').filter(l => l);
+    lines.forEach(line => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) { }
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Parse a --since/--until value. A bare date for --until covers the whole day.
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setTime(date.getTime() - 1);
+  }
+  return date;
+}
+
+/**
+ * Filter audit entries by session, verdict, rule and date range
+ */
+function queryAuditLog(filters = {}) {
+  const since = parseDate(filters.since);
+  const until = parseDate(filters.until, true);
+
+  if (filters.verdict && !VERDICTS.includes(filters.verdict)) {
+    throw new Error(`Invalid verdict: ${filters.verdict} (expected ${VERDICTS.join(', ')})`);
+  }
+
+  let entries = readAuditEntries().filter(entry => {
+    if (filters.session && entry.session_id !== filters.session) return false;
+    if (filters.verdict && entry.verdict !== filters.verdict) return false;
+    if (filters.rule && entry.rule?.id !== filters.rule) return false;
+    const time = new Date(entry.timestamp);
+    if (since && time < since) return false;
+    if (until && time > until) return false;
+    return true;
+  });
+
+  if (filters.limit) {
+    entries = entries.slice(-filters.limit);
+  }
+
+  return entries;
+}
+
+/**
+ * Summarize audit entries by verdict, rule and session
+ */
+function getAuditStats(entries = readAuditEntries()) {
+  const stats = {
+    total: entries.length,
+    by_verdict: {},
+    by_rule: {},
+    sessions: new Set()
+  };
+
+  entries.forEach(entry => {
+    stats.by_verdict[entry.verdict] = (stats.by_verdict[entry.verdict] || 0) + 1;
+    if (entry.rule?.id) {
+      stats.by_rule[entry.rule.id] = (stats.by_rule[entry.rule.id] || 0) + 1;
+    }
+    stats.sessions.add(entry.session_id);
+  });
+
+  return { ...stats, sessions: stats.sessions.size };
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log(`
+Bash Audit Log for Kailash Continuous Learning
+
+Usage:
+  node bash-audit.js [filters]              List matching audit entries
+  node bash-audit.js [filters] --stats      Summarize matching entries
+  node bash-audit.js --help                 Show this help
+
+Filters:
+  --session <id>        Only entries from this session
+  --verdict <verdict>   block | warn | allow
+  --rule <id>           Only entries decided by this rule
+  --since <date>        ISO date or timestamp (inclusive)
+  --until <date>        ISO date or timestamp (inclusive)
+  --limit <n>           Only the last n matching entries
+`);
+    process.exit(0);
+  }
+
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const entries = queryAuditLog({
+      session: option('--session'),
+      verdict: option('--verdict'),
+      rule: option('--rule'),
+      since: option('--since'),
+      until: option('--until'),
+      limit: option('--limit') ? parseInt(option('--limit'), 10) : undefined
+    });
+
+    const output = args.includes('--stats') ? getAuditStats(entries) : entries;
+    console.log(JSON.stringify(output, null, 2));
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createAuditEntry,
+  appendAuditEntry,
+  queryAuditLog,
+  getAuditStats,
+  AUDIT_FILE,
+  VERDICTS
+};
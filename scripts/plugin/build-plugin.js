@@ -52,6 +52,18 @@ const EXCLUDE_PATTERNS = [
   /__tests__\//
 ];
 
+/**
+ * Number of .js scripts directly in a directory of the project
+ */
+function countScripts(relativeDir) {
+  const dir = path.join(path.resolve(__dirname, '../..'), relativeDir);
+  try {
+    return fs.readdirSync(dir).filter(name => name.endsWith('.js')).length;
+  } catch {
+    return 0;
+  }
+}
+
 /**
  * Plugin manifest schema
  */
@@ -85,7 +97,7 @@ function createManifest() {
       rules: 5,
       hooks: 8,
       mcp_configs: 3,
-      learning_scripts: 4,
+      learning_scripts: countScripts('scripts/learning'),
       ci_validators: 5
     },
     features: [